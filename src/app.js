@@ -17,6 +17,7 @@ console.log('[ENV] NODE_ENV:', process.env.NODE_ENV);
 console.log('[ENV] PORT:', process.env.PORT);
 console.log('[ENV] MONGODB_URI:', process.env.MONGODB_URI ? 'Set' : 'Not Set');
 console.log('[ENV] JWT_SECRET:', process.env.JWT_SECRET ? 'Set' : 'Not Set');
+console.log('[ENV] JWT_KEYS:', process.env.JWT_KEYS || process.env.JWT_KEYS_FILE ? 'Set' : 'Not Set');
 
 // Check critical environment variables
 if (!process.env.MONGODB_URI) {
@@ -27,10 +28,10 @@ if (!process.env.MONGODB_URI) {
   }
 }
 
-if (!process.env.JWT_SECRET) {
-  console.error('❌ CRITICAL: JWT_SECRET environment variable is not set!');
+if (!process.env.JWT_KEYS && !process.env.JWT_KEYS_FILE && !process.env.JWT_SECRET) {
+  console.error('❌ CRITICAL: No JWT signing key configured (JWT_KEYS, JWT_KEYS_FILE or JWT_SECRET)!');
   if (process.env.NODE_ENV === 'production') {
-    console.error('❌ Cannot start production server without JWT_SECRET');
+    console.error('❌ Cannot start production server without a JWT signing key');
     // Don't exit in production, just log the error
   }
 }
@@ -41,6 +42,7 @@ console.log('🔍 All Environment Variables:', {
   PORT: process.env.PORT,
   MONGODB_URI: process.env.MONGODB_URI ? 'SET' : 'NOT SET',
   JWT_SECRET: process.env.JWT_SECRET ? 'SET' : 'NOT SET',
+  JWT_KEYS: process.env.JWT_KEYS || process.env.JWT_KEYS_FILE ? 'SET' : 'NOT SET',
   // Add any other environment variables you might have
 });
 
@@ -54,11 +56,15 @@ const rateLimit = require('express-rate-limit');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const oauthRoutes = require('./routes/oauth');
+const webauthnRoutes = require('./routes/webauthn');
 const profileRoutes = require('./routes/profile');
 const projectRoutes = require('./routes/projects');
 const skillRoutes = require('./routes/skills');
 const searchRoutes = require('./routes/search');
 const healthRoutes = require('./routes/health');
+const adminRoutes = require('./routes/admin');
+const wellKnownRoutes = require('./routes/wellKnown');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -66,6 +72,9 @@ const { errorHandler } = require('./middleware/errorHandler');
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Trust the first proxy (Vercel/Render) so req.ip is the client address
+app.set('trust proxy', 1);
+
 // Security middleware
 app.use(helmet());
 
@@ -139,12 +148,18 @@ app.get('/db-health', (req, res) => {
   });
 });
 
+// Public signing keys for services verifying our tokens
+app.use('/.well-known', wellKnownRoutes);
+
 // API routes
+app.use('/api/auth/oauth', oauthRoutes);
+app.use('/api/auth/webauthn', webauthnRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/skills', skillRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -158,6 +173,8 @@ app.get('/', (req, res) => {
       projects: '/api/projects',
       skills: '/api/skills',
       search: '/api/search',
+      admin: '/api/admin',
+      jwks: '/.well-known/jwks.json',
       health: '/health'
     }
   });
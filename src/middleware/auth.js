@@ -1,8 +1,44 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { verifyAccessToken, hashToken, isPersonalAccessToken } = require('../utils/tokens');
+
+// Only record token usage once per minute to avoid a write on every request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Check that the session an access token was issued for is still active
+ */
+const isSessionActive = async (decoded) => {
+  if (!decoded.sid) {
+    return false;
+  }
+
+  const session = await Session.findById(decoded.sid);
+  return !!session && session.isActive() && session.userId.toString() === decoded.userId.toString();
+};
+
+/**
+ * Look up an active personal access token and record its use
+ */
+const findActivePersonalAccessToken = async (token, req) => {
+  const accessToken = await PersonalAccessToken.findOne({ tokenHash: hashToken(token) });
+  if (!accessToken || !accessToken.isActive()) {
+    return null;
+  }
+
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    PersonalAccessToken.updateOne(
+      { _id: accessToken._id },
+      { lastUsedAt: new Date(), lastUsedIp: req.ip }
+    ).catch(error => console.error('Failed to record access token use:', error.message));
+  }
+
+  return accessToken;
+};
 
 /**
- * Middleware to authenticate JWT tokens
+ * Middleware to authenticate JWT tokens and personal access tokens
  */
 const authenticateToken = async (req, res, next) => {
   try {
@@ -17,11 +53,37 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let userId;
+    let sessionId = null;
+    let accessToken = null;
+
+    if (isPersonalAccessToken(token)) {
+      // Personal access token
+      accessToken = await findActivePersonalAccessToken(token, req);
+      if (!accessToken) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access token is invalid, expired or revoked'
+        });
+      }
+      userId = accessToken.userId;
+    } else {
+      // Verify token
+      const decoded = verifyAccessToken(token);
+
+      // Check if the session behind the token has been revoked
+      if (!(await isSessionActive(decoded))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked'
+        });
+      }
+      userId = decoded.userId;
+      sessionId = decoded.sid;
+    }
     
     // Check if user still exists
-    const user = await User.findById(decoded.userId).select('-password');
+    const user = await User.findById(userId).select('-password');
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -37,8 +99,10 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    // Add user and session (or access token) to request object
     req.user = user;
+    req.sessionId = sessionId;
+    req.accessToken = accessToken;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -71,12 +135,27 @@ const optionalAuth = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
-    if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (user && user.isActive) {
-        req.user = user;
+    if (token && isPersonalAccessToken(token)) {
+      const accessToken = await findActivePersonalAccessToken(token, req);
+
+      if (accessToken) {
+        const user = await User.findById(accessToken.userId).select('-password');
+
+        if (user && user.isActive) {
+          req.user = user;
+          req.accessToken = accessToken;
+        }
+      }
+    } else if (token) {
+      const decoded = verifyAccessToken(token);
+
+      if (await isSessionActive(decoded)) {
+        const user = await User.findById(decoded.userId).select('-password');
+
+        if (user && user.isActive) {
+          req.user = user;
+          req.sessionId = decoded.sid;
+        }
       }
     }
     
@@ -89,8 +168,11 @@ const optionalAuth = async (req, res, next) => {
 
 /**
  * Role-based access control middleware
+ * @param {string|string[]} roles - Roles allowed through; admins are always allowed
  */
 const requireRole = (roles) => {
+  const allowedRoles = Array.isArray(roles) ? roles : [roles];
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -99,9 +181,8 @@ const requireRole = (roles) => {
       });
     }
 
-    // For now, we'll implement basic role checking
-    // You can extend this based on your needs
-    if (roles.includes('user') && req.user) {
+    const role = req.user.role || 'user';
+    if (role === 'admin' || allowedRoles.includes(role)) {
       return next();
     }
 
@@ -112,6 +193,36 @@ const requireRole = (roles) => {
   };
 };
 
+/**
+ * Scope check for personal access tokens; session (JWT) logins have every scope
+ * @param {string} scope - Scope the route requires, e.g. 'profile:write'
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.accessToken && !req.accessToken.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access token is missing the required scope: ${scope}`
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Refuse personal access tokens on routes that need an interactive login
+ * (account security, token management, admin)
+ */
+const requireSession = (req, res, next) => {
+  if (req.accessToken) {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint cannot be used with a personal access token'
+    });
+  }
+  next();
+};
+
 /**
  * Check if user owns the resource
  */
@@ -152,5 +263,7 @@ module.exports = {
   authenticateToken,
   optionalAuth,
   requireRole,
+  requireScope,
+  requireSession,
   checkOwnership
 };
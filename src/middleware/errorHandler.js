@@ -123,7 +123,8 @@ const createError = {
   conflict: (message = 'Conflict') => new AppError(message, 409),
   unprocessable: (message = 'Unprocessable entity') => new AppError(message, 422),
   tooManyRequests: (message = 'Too many requests') => new AppError(message, 429),
-  internal: (message = 'Internal server error') => new AppError(message, 500)
+  internal: (message = 'Internal server error') => new AppError(message, 500),
+  badGateway: (message = 'Bad gateway') => new AppError(message, 502)
 };
 
 // Validation error handler
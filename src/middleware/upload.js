@@ -39,4 +39,36 @@ const upload = multer({
   }
 });
 
+// Map a stored imageUrl (/uploads/projects/<file>) back to its path on disk
+const resolveUploadedFile = (imageUrl) => {
+  const match = /^\/uploads\/projects\/([^/\\.][^/\\]*)$/.exec(imageUrl || '');
+  return match ? path.join(uploadDir, match[1]) : null;
+};
+
+/**
+ * Delete uploaded images from disk; URLs that are not uploads are skipped
+ * @returns {Promise<number>} how many files were removed
+ */
+const removeUploadedImages = async (imageUrls) => {
+  let removed = 0;
+  for (const imageUrl of imageUrls) {
+    const filePath = resolveUploadedFile(imageUrl);
+    if (!filePath) {
+      continue;
+    }
+    try {
+      await fs.promises.unlink(filePath);
+      removed++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Failed to remove uploaded file:', filePath, error.message);
+      }
+    }
+  }
+  return removed;
+};
+
 module.exports = upload;
+module.exports.uploadDir = uploadDir;
+module.exports.resolveUploadedFile = resolveUploadedFile;
+module.exports.removeUploadedImages = removeUploadedImages;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const dataExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileSize: {
+    type: Number,
+    default: 0
+  },
+  downloadTokenHash: {
+    type: String,
+    select: false
+  },
+  error: {
+    type: String,
+    trim: true
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Download link stops working after this date
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Method to get public export info (without file path or token hash)
+dataExportSchema.methods.getPublicInfo = function() {
+  return {
+    id: this._id,
+    status: this.status,
+    fileSize: this.fileSize,
+    error: this.error,
+    createdAt: this.createdAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
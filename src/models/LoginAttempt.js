@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Throttle key is required'],
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  firstFailureAt: {
+    type: Date,
+    default: null
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop stale counters
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const oauthIdentitySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+    trim: true
+  },
+  // Stable account id at the provider (GitHub user id, OIDC "sub")
+  providerUserId: {
+    type: String,
+    required: [true, 'Provider user ID is required']
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  username: {
+    type: String,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  avatarUrl: {
+    type: String,
+    trim: true
+  },
+  profileUrl: {
+    type: String,
+    trim: true
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+oauthIdentitySchema.index({ provider: 1, providerUserId: 1 }, { unique: true });
+oauthIdentitySchema.index({ userId: 1 });
+
+// Instance method to refresh the stored provider details after a login
+oauthIdentitySchema.methods.updateFromProfile = function(profile) {
+  this.email = profile.email;
+  this.username = profile.username;
+  this.name = profile.name;
+  this.avatarUrl = profile.avatarUrl;
+  this.profileUrl = profile.profileUrl;
+};
+
+// Method to get public identity info
+oauthIdentitySchema.methods.getPublicInfo = function() {
+  return {
+    id: this._id,
+    provider: this.provider,
+    email: this.email,
+    username: this.username,
+    name: this.name,
+    avatarUrl: this.avatarUrl,
+    profileUrl: this.profileUrl,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('OAuthIdentity', oauthIdentitySchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const OAUTH_STATE_EXPIRES_MINUTES = 10;
+
+const oauthStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: [true, 'State hash is required'],
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+  // PKCE verifier and OIDC nonce for the pending authorization
+  codeVerifier: {
+    type: String,
+    required: [true, 'Code verifier is required']
+  },
+  nonce: {
+    type: String,
+    required: [true, 'Nonce is required']
+  },
+  redirectUri: {
+    type: String,
+    required: [true, 'Redirect URI is required']
+  },
+  // Hash of the nonce in the browser cookie set when the flow started; the
+  // callback must come from that browser
+  browserNonceHash: {
+    type: String,
+    required: [true, 'Browser nonce hash is required']
+  },
+  // Set when a signed-in user is linking a provider to their account
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + OAUTH_STATE_EXPIRES_MINUTES * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop abandoned authorizations
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
+OAuthState.OAUTH_STATE_EXPIRES_MINUTES = OAUTH_STATE_EXPIRES_MINUTES;
+
+module.exports = OAuthState;
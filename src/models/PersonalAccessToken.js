@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const SCOPES = [
+  'profile:read',
+  'profile:write',
+  'projects:write',
+  'work:write'
+];
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    select: false
+  },
+  // First characters of the token, shown so users can tell tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: {
+      values: SCOPES,
+      message: 'Scope must be one of: ' + SCOPES.join(', ')
+    }
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+personalAccessTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+// Instance method to check whether the token can still be used
+personalAccessTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to get public token info (without hash)
+personalAccessTokenSchema.methods.getPublicInfo = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    tokenPrefix: this.tokenPrefix,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+PersonalAccessToken.SCOPES = SCOPES;
+
+module.exports = PersonalAccessToken;
@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const { publicProfileFilter, canView, VISIBILITY_LEVELS } = require('../utils/profileVisibility');
+const { scoreProfile } = require('../utils/profileCompleteness');
+const { educationFromString } = require('../utils/legacyEducation');
+
+// Visibility of a profile section or entry: everyone, signed-in users, or only the owner
+const visibilityField = (defaultLevel = 'public') => ({
+  type: String,
+  enum: {
+    values: VISIBILITY_LEVELS,
+    message: 'Visibility must be one of: ' + VISIBILITY_LEVELS.join(', ')
+  },
+  default: defaultLevel
+});
 
 const projectSchema = new mongoose.Schema({
   title: {
@@ -59,12 +72,26 @@ const workExperienceSchema = new mongoose.Schema({
     maxlength: [500, 'Work description cannot exceed 500 characters']
   },
   startDate: {
-    type: String,
+    type: Date,
     required: [true, 'Start date is required']
   },
   endDate: {
-    type: String,
-    default: ''
+    type: Date,
+    default: null,
+    validate: [
+      {
+        validator: function(v) {
+          return !v || !this.startDate || v >= this.startDate;
+        },
+        message: 'End date cannot be before the start date'
+      },
+      {
+        validator: function(v) {
+          return !v || !this.isCurrent;
+        },
+        message: 'A current position cannot have an end date'
+      }
+    ]
   },
   isCurrent: {
     type: Boolean,
@@ -74,7 +101,86 @@ const workExperienceSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: [100, 'Location cannot exceed 100 characters']
+  },
+  visibility: visibilityField()
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Format a number of months the way résumés do, e.g. "2 yrs 3 mos"
+const formatMonths = (totalMonths) => {
+  const years = Math.floor(totalMonths / 12);
+  const months = totalMonths % 12;
+  const parts = [];
+  if (years) {
+    parts.push(`${years} ${years === 1 ? 'yr' : 'yrs'}`);
   }
+  if (months || !years) {
+    parts.push(`${months} ${months === 1 ? 'mo' : 'mos'}`);
+  }
+  return parts.join(' ');
+};
+
+// Virtual for the length of a position, counting the start and end months;
+// current positions (and those without an end date) run until today
+workExperienceSchema.virtual('duration').get(function() {
+  if (!this.startDate) {
+    return null;
+  }
+  const end = this.endDate || new Date();
+  const months = Math.max(0,
+    (end.getUTCFullYear() - this.startDate.getUTCFullYear()) * 12 +
+    (end.getUTCMonth() - this.startDate.getUTCMonth()) + 1);
+  return {
+    months,
+    label: formatMonths(months)
+  };
+});
+
+const educationSchema = new mongoose.Schema({
+  institution: {
+    type: String,
+    required: [true, 'Institution is required'],
+    trim: true,
+    maxlength: [150, 'Institution cannot exceed 150 characters']
+  },
+  degree: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Degree cannot exceed 100 characters']
+  },
+  field: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Field of study cannot exceed 100 characters']
+  },
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return !v || !this.startDate || v >= this.startDate;
+      },
+      message: 'End date cannot be before the start date'
+    }
+  },
+  grade: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Grade cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Education description cannot exceed 500 characters']
+  },
+  visibility: visibilityField()
 }, {
   timestamps: true
 });
@@ -92,6 +198,15 @@ const profileSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Name cannot exceed 100 characters']
   },
+  // Vanity handle for /api/profile/u/:username, shown as typed
+  username: {
+    type: String,
+    trim: true
+  },
+  // Lowercased username; handles are unique regardless of case
+  usernameKey: {
+    type: String
+  },
   email: {
     type: String,
     required: [true, 'Email is required'],
@@ -99,11 +214,7 @@ const profileSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
-  education: {
-    type: String,
-    trim: true,
-    maxlength: [200, 'Education cannot exceed 200 characters']
-  },
+  education: [educationSchema],
   bio: {
     type: String,
     trim: true,
@@ -170,6 +281,76 @@ const profileSchema = new mongoose.Schema({
   isPublic: {
     type: Boolean,
     default: true
+  },
+  // Unpublished changes to the versioned fields (see utils/profileVersions)
+  draft: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined,
+    select: false
+  },
+  draftUpdatedAt: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // Completeness score (0-100) of the live profile as anyone may see it, kept up
+  // to date on save; search shows, filters and sorts on it
+  completeness: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // Number of the ProfileVersion the live fields match (0 before the first publish)
+  publishedVersion: {
+    type: Number,
+    default: 0
+  },
+  // Who can see each section of a public profile; work and education entries
+  // and individual links can be restricted further
+  privacy: {
+    work: visibilityField(),
+    education: visibilityField(),
+    links: visibilityField(),
+    location: visibilityField(),
+    email: visibilityField('private'),
+    linkItems: {
+      github: visibilityField(),
+      linkedin: visibilityField(),
+      portfolio: visibilityField(),
+      website: visibilityField()
+    }
+  },
+  // Mirrors User.emailVerified so public queries can filter without a join
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Mirrors User.isActive so deactivated or pending-deletion accounts drop out of public queries
+  accountActive: {
+    type: Boolean,
+    default: true
+  },
+  // Set by moderators; overrides isPublic until lifted
+  moderation: {
+    hidden: {
+      type: Boolean,
+      default: false
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Moderation reason cannot exceed 500 characters']
+    },
+    hiddenAt: {
+      type: Date,
+      default: null
+    },
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
   }
 }, {
   timestamps: true,
@@ -189,35 +370,98 @@ profileSchema.virtual('user', {
 profileSchema.index({ userId: 1 });
 profileSchema.index({ name: 'text', bio: 'text', skills: 'text' });
 profileSchema.index({ 'projects.title': 'text', 'projects.description': 'text' });
-profileSchema.index({ isPublic: 1 });
+profileSchema.index({ isPublic: 1, emailVerified: 1 });
 profileSchema.index({ skills: 1 });
+profileSchema.index({ usernameKey: 1 }, { unique: true, sparse: true });
+profileSchema.index({ completeness: -1 });
+
+// Read an education string from before `npm run migrate-education` as a list
+// of entries, and write the list back on the next save
+profileSchema.pre('init', function(doc) {
+  if (typeof doc.education === 'string') {
+    doc.education = educationFromString(doc.education);
+    this.$locals.legacyEducation = true;
+  }
+});
+
+profileSchema.post('init', function() {
+  if (this.$locals.legacyEducation) {
+    this.markModified('education');
+  }
+});
 
 // Pre-save middleware to ensure email consistency
 profileSchema.pre('save', function(next) {
   if (this.isModified('email')) {
     this.email = this.email.toLowerCase();
   }
+  if (this.isModified('username')) {
+    this.usernameKey = this.username ? this.username.toLowerCase() : undefined;
+  }
+  this.completeness = this.getPublicCompleteness();
   next();
 });
 
-// Instance method to get public profile
-profileSchema.methods.getPublicProfile = function() {
+/**
+ * Instance method to get the privacy-controlled sections a viewer may see
+ * @param {Object|null} viewer - The signed-in user (req.user), or null
+ */
+profileSchema.methods.getVisibleSections = function(viewer = null) {
+  const privacy = this.privacy || {};
+  const sectionVisible = (section) => canView(privacy[section], viewer, this.userId);
+  const itemVisible = (item) => canView(item.visibility, viewer, this.userId);
+
+  const links = {};
+  if (sectionVisible('links') && this.links) {
+    for (const key of ['github', 'linkedin', 'portfolio', 'website']) {
+      const linkVisibility = privacy.linkItems && privacy.linkItems[key];
+      if (this.links[key] && canView(linkVisibility, viewer, this.userId)) {
+        links[key] = this.links[key];
+      }
+    }
+  }
+
+  return {
+    work: sectionVisible('work') ? (this.work || []).filter(itemVisible) : [],
+    education: sectionVisible('education') ? (this.education || []).filter(itemVisible) : [],
+    links,
+    location: sectionVisible('location') ? this.location : undefined,
+    email: sectionVisible('email') ? this.email : undefined
+  };
+};
+
+/**
+ * Instance method to get public profile as seen by a viewer
+ * @param {Object|null} viewer - The signed-in user (req.user), or null
+ */
+profileSchema.methods.getPublicProfile = function(viewer = null) {
+  const sections = this.getVisibleSections(viewer);
   return {
     id: this._id,
     name: this.name,
+    username: this.username,
     bio: this.bio,
-    education: this.education,
+    education: sections.education,
     skills: this.skills,
     projects: this.projects.filter(p => p.isPublic),
-    work: this.work,
-    links: this.links,
+    work: sections.work,
+    links: sections.links,
     avatar: this.avatar,
-    location: this.location,
+    location: sections.location,
+    ...(sections.email && { email: sections.email }),
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
 };
 
+/**
+ * Instance method to score the profile as anonymous viewers see it, so private
+ * sections, entries and projects add nothing to the score others can see
+ */
+profileSchema.methods.getPublicCompleteness = function() {
+  return scoreProfile(this.getPublicProfile()).score;
+};
+
 // Instance method to add skill
 profileSchema.methods.addSkill = function(skill) {
   if (!this.skills.includes(skill)) {
@@ -232,38 +476,16 @@ profileSchema.methods.removeSkill = function(skill) {
   return this.save();
 };
 
-// Instance method to add project
-profileSchema.methods.addProject = function(projectData) {
-  this.projects.push(projectData);
-  return this.save();
-};
-
-// Instance method to update project
-profileSchema.methods.updateProject = function(projectId, projectData) {
-  const projectIndex = this.projects.findIndex(p => p._id.toString() === projectId);
-  if (projectIndex !== -1) {
-    this.projects[projectIndex] = { ...this.projects[projectIndex].toObject(), ...projectData };
-    return this.save();
-  }
-  throw new Error('Project not found');
-};
-
-// Instance method to remove project
-profileSchema.methods.removeProject = function(projectId) {
-  this.projects = this.projects.filter(p => p._id.toString() !== projectId);
-  return this.save();
-};
-
 // Static method to find profiles by skill
 profileSchema.statics.findBySkill = function(skill) {
-  return this.find({ skills: skill, isPublic: true });
+  return this.find(publicProfileFilter({ skills: skill }));
 };
 
 // Static method to search profiles
 profileSchema.statics.search = function(query) {
   return this.find({
     $and: [
-      { isPublic: true },
+      publicProfileFilter(),
       {
         $or: [
           { name: { $regex: query, $options: 'i' } },
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const profileShareLinkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  profileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: [true, 'Profile ID is required']
+  },
+  // Who the link was made for, e.g. "Acme recruiter"
+  name: {
+    type: String,
+    required: [true, 'Share link name is required'],
+    trim: true,
+    maxlength: [100, 'Share link name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    select: false
+  },
+  // First characters of the token, shown so users can tell links apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  // Private projects the link also reveals (public projects are always shown)
+  projectIds: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+profileShareLinkSchema.index({ userId: 1, revokedAt: 1 });
+
+// Instance method to check whether the link can still be used
+profileShareLinkSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to get public link info (without hash)
+profileShareLinkSchema.methods.getPublicInfo = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    tokenPrefix: this.tokenPrefix,
+    projectIds: this.projectIds,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    viewCount: this.viewCount,
+    lastViewedAt: this.lastViewedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ProfileShareLink', profileShareLinkSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A published state of a profile's versioned content (see utils/profileVersions)
+const profileVersionSchema = new mongoose.Schema({
+  profileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: [true, 'Profile ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // 1, 2, 3... per profile
+  version: {
+    type: Number,
+    required: [true, 'Version number is required'],
+    min: 1
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Snapshot is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Version note cannot exceed 200 characters'],
+    default: ''
+  },
+  // Set when this version was published by rolling back to an earlier one
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better query performance
+profileVersionSchema.index({ profileId: 1, version: -1 }, { unique: true });
+profileVersionSchema.index({ userId: 1 });
+
+// Method to get public version info (without the snapshot)
+profileVersionSchema.methods.getPublicInfo = function() {
+  return {
+    version: this.version,
+    note: this.note,
+    restoredFrom: this.restoredFrom,
+    publishedAt: this.publishedAt
+  };
+};
+
+module.exports = mongoose.model('ProfileVersion', profileVersionSchema);
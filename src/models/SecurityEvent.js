@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+  'register',
+  'login_success',
+  'login_failure',
+  'account_locked',
+  'account_unlocked',
+  'magic_link_requested',
+  'token_refresh',
+  'refresh_token_reuse',
+  'logout',
+  'logout_all',
+  'session_revoked',
+  'password_change',
+  'password_reset_requested',
+  'password_reset',
+  'email_verified',
+  'email_change_requested',
+  'email_changed',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'recovery_codes_regenerated',
+  'oauth_linked',
+  'oauth_unlinked',
+  'passkey_added',
+  'passkey_removed',
+  'access_token_created',
+  'access_token_revoked',
+  'data_export_requested',
+  'account_deletion_requested',
+  'account_restored',
+  'account_deactivated',
+  'account_reactivated',
+  'role_changed'
+];
+
+const SECURITY_LOG_RETENTION_DAYS = parseInt(process.env.SECURITY_LOG_RETENTION_DAYS) || 365;
+
+const securityEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Email the event was about, kept for failures on unknown accounts
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: {
+      values: EVENT_TYPES,
+      message: 'Unknown security event type'
+    },
+    required: [true, 'Event type is required']
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  // User who performed the action when it was not the account owner (e.g. an admin)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ ipAddress: 1, createdAt: -1 });
+// Retention limit: MongoDB drops events older than SECURITY_LOG_RETENTION_DAYS
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: SECURITY_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+// The log is append-only: refuse updates to existing events
+const rejectUpdate = function(next) {
+  next(new Error('Security events are append-only and cannot be modified'));
+};
+securityEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+securityEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectUpdate(next);
+  }
+  next();
+});
+
+// Method to get public event info
+securityEventSchema.methods.getPublicInfo = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    ipAddress: this.ipAddress,
+    userAgent: this.userAgent,
+    metadata: this.metadata,
+    createdAt: this.createdAt
+  };
+};
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+SecurityEvent.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = SecurityEvent;
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required']
+  },
+  // Hashes of refresh tokens already rotated out, kept for reuse detection
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'reuse_detected', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB drop sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function(reason = 'revoked') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+// Static method to find active sessions for a user
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout_all', exceptSessionId = null) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Method to get public session info (without token hash)
+sessionSchema.methods.getPublicInfo = function(currentSessionId) {
+  return {
+    id: this._id,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: currentSessionId ? this._id.toString() === currentSessionId.toString() : false
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
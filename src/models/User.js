@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+const ROLES = ['user', 'moderator', 'admin'];
+const UNLOCK_TOKEN_EXPIRES_HOURS = 24;
+const MAGIC_LINK_EXPIRES_MINUTES = parseInt(process.env.MAGIC_LINK_EXPIRES_MINUTES) || 15;
+const EMAIL_VERIFICATION_EXPIRES_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48;
+
+// Hash one-time tokens before storing or looking them up
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -12,17 +22,135 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return this.hasPassword; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
   },
+  // False for accounts created through a login provider until a password is set
+  hasPassword: {
+    type: Boolean,
+    default: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Role must be one of: ' + ROLES.join(', ')
+    },
+    default: 'user'
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+  deactivatedReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Deactivation reason cannot exceed 500 characters']
+  },
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  // Account is purged after this date unless restored
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  // New address awaiting confirmation during an email change
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    select: false
+  },
+  emailChangeTokenHash: {
+    type: String,
+    select: false
+  },
+  emailChangeExpires: {
+    type: Date,
+    select: false
+  },
   lastLogin: {
     type: Date,
     default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  unlockTokenHash: {
+    type: String,
+    select: false
+  },
+  unlockTokenExpires: {
+    type: Date,
+    select: false
+  },
+  magicLinkTokenHash: {
+    type: String,
+    select: false
+  },
+  magicLinkExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodeHashes: {
+      type: [String],
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true,
@@ -41,6 +169,13 @@ userSchema.virtual('profile', {
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ role: 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+userSchema.index({ unlockTokenHash: 1 }, { sparse: true });
+userSchema.index({ magicLinkTokenHash: 1 }, { sparse: true });
+userSchema.index({ emailChangeTokenHash: 1 }, { sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -51,6 +186,10 @@ userSchema.pre('save', async function(next) {
     // Hash password with cost of 12
     const hashedPassword = await bcrypt.hash(this.password, 12);
     this.password = hashedPassword;
+    this.hasPassword = true;
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -67,6 +206,10 @@ userSchema.pre('save', function(next) {
 
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // Passwordless accounts never match
+  if (!this.password) {
+    return false;
+  }
   try {
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
@@ -80,6 +223,139 @@ userSchema.methods.updateLastLogin = function() {
   return this.save();
 };
 
+// Instance method to create a single-use password reset token (returns the raw token)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Instance method to clear any outstanding password reset token
+userSchema.methods.clearPasswordResetToken = function() {
+  this.passwordResetTokenHash = undefined;
+  this.passwordResetExpires = undefined;
+};
+
+// Static method to find a user by a valid (unexpired) password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+passwordResetTokenHash +passwordResetExpires');
+};
+
+// Instance method to create an account unlock token (returns the raw token)
+userSchema.methods.createUnlockToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.unlockTokenHash = hashToken(token);
+  this.unlockTokenExpires = new Date(Date.now() + UNLOCK_TOKEN_EXPIRES_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+// Static method to find a user by a valid (unexpired) unlock token
+userSchema.statics.findByUnlockToken = function(token) {
+  return this.findOne({
+    unlockTokenHash: hashToken(token),
+    unlockTokenExpires: { $gt: new Date() }
+  }).select('+unlockTokenHash +unlockTokenExpires');
+};
+
+// Instance method to create a single-use magic login link token (returns the raw token)
+userSchema.methods.createMagicLinkToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.magicLinkTokenHash = hashToken(token);
+  this.magicLinkExpires = new Date(Date.now() + MAGIC_LINK_EXPIRES_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Static method to redeem a magic link token; clearing it in the same update makes it single use
+userSchema.statics.consumeMagicLinkToken = function(token) {
+  return this.findOneAndUpdate(
+    {
+      magicLinkTokenHash: hashToken(token),
+      magicLinkExpires: { $gt: new Date() }
+    },
+    { $unset: { magicLinkTokenHash: 1, magicLinkExpires: 1 } },
+    { new: true }
+  );
+};
+
+// Instance method to clear any outstanding magic link token
+userSchema.methods.clearMagicLinkToken = function() {
+  this.magicLinkTokenHash = undefined;
+  this.magicLinkExpires = undefined;
+};
+
+// Instance method to generate new 2FA recovery codes (returns the raw codes)
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactor.recoveryCodeHashes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Instance method to consume a 2FA recovery code (requires +twoFactor.recoveryCodeHashes)
+userSchema.methods.useRecoveryCode = function(code) {
+  const codeHash = hashToken(String(code).trim().toLowerCase());
+  const hashes = this.twoFactor.recoveryCodeHashes || [];
+  if (!hashes.includes(codeHash)) {
+    return false;
+  }
+  this.twoFactor.recoveryCodeHashes = hashes.filter(hash => hash !== codeHash);
+  return true;
+};
+
+// Instance method to create an email verification token (returns the raw token)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRES_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+// Instance method to mark the email address as verified
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationTokenHash = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
+// Static method to find a user by a valid (unexpired) email verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationTokenHash: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  }).select('+emailVerificationTokenHash +emailVerificationExpires');
+};
+
+// Instance method to start an email change to a new address (returns the raw token)
+userSchema.methods.createEmailChangeToken = function(newEmail) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.pendingEmail = newEmail.toLowerCase();
+  this.emailChangeTokenHash = hashToken(token);
+  this.emailChangeExpires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRES_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+// Instance method to clear a pending email change
+userSchema.methods.clearEmailChange = function() {
+  this.pendingEmail = undefined;
+  this.emailChangeTokenHash = undefined;
+  this.emailChangeExpires = undefined;
+};
+
+// Static method to find a user by a valid (unexpired) email change token
+userSchema.statics.findByEmailChangeToken = function(token) {
+  return this.findOne({
+    emailChangeTokenHash: hashToken(token),
+    emailChangeExpires: { $gt: new Date() }
+  }).select('+pendingEmail +emailChangeTokenHash +emailChangeExpires');
+};
+
 // Static method to find user by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
@@ -95,11 +371,18 @@ userSchema.methods.getPublicInfo = function() {
   return {
     _id: this._id,
     email: this.email,
+    role: this.role,
     isActive: this.isActive,
+    emailVerified: this.emailVerified,
+    hasPassword: this.hasPassword,
+    twoFactorEnabled: !!(this.twoFactor && this.twoFactor.enabled),
     lastLogin: this.lastLogin,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
 };
 
-module.exports = mongoose.model('User', userSchema);
+const User = mongoose.model('User', userSchema);
+User.ROLES = ROLES;
+
+module.exports = User;
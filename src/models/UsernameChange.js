@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Record of a handle a profile gave up; it keeps redirecting until redirectUntil
+const usernameChangeSchema = new mongoose.Schema({
+  profileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: [true, 'Profile ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // The previous handle, as typed and lowercased
+  username: {
+    type: String,
+    required: [true, 'Username is required']
+  },
+  usernameKey: {
+    type: String,
+    required: [true, 'Username key is required']
+  },
+  // Handle the profile moved to (null when the handle was removed)
+  newUsername: {
+    type: String,
+    default: null
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Until then the old handle redirects and cannot be claimed by anyone else
+  redirectUntil: {
+    type: Date,
+    required: [true, 'Redirect expiry is required']
+  }
+});
+
+// Indexes for better query performance
+usernameChangeSchema.index({ usernameKey: 1, redirectUntil: -1 });
+usernameChangeSchema.index({ profileId: 1, changedAt: -1 });
+usernameChangeSchema.index({ userId: 1 });
+
+// Method to get public change info
+usernameChangeSchema.methods.getPublicInfo = function() {
+  return {
+    username: this.username,
+    newUsername: this.newUsername,
+    changedAt: this.changedAt,
+    redirectUntil: this.redirectUntil
+  };
+};
+
+module.exports = mongoose.model('UsernameChange', usernameChangeSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const WEBAUTHN_CHALLENGE_EXPIRES_MINUTES = 5;
+
+const webAuthnChallengeSchema = new mongoose.Schema({
+  challengeHash: {
+    type: String,
+    required: [true, 'Challenge hash is required'],
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['registration', 'authentication'],
+    required: [true, 'Ceremony type is required']
+  },
+  // User adding a passkey, or the id reserved for a passkey-only signup
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Account details for a passkey-only signup
+  signup: {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + WEBAUTHN_CHALLENGE_EXPIRES_MINUTES * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop abandoned ceremonies
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
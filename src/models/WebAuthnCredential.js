@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const webAuthnCredentialSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // Credential id chosen by the authenticator (base64url)
+  credentialId: {
+    type: String,
+    required: [true, 'Credential ID is required']
+  },
+  // SPKI DER public key (base64url) and its COSE algorithm
+  publicKey: {
+    type: String,
+    required: [true, 'Public key is required']
+  },
+  algorithm: {
+    type: Number,
+    required: [true, 'Algorithm is required']
+  },
+  signCount: {
+    type: Number,
+    default: 0
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [64, 'Passkey name cannot exceed 64 characters'],
+    default: 'Passkey'
+  },
+  transports: {
+    type: [String],
+    default: []
+  },
+  // Authenticator model identifier (hex), all zeros when not disclosed
+  aaguid: {
+    type: String
+  },
+  // Synced passkeys (e.g. iCloud Keychain, Google Password Manager)
+  backupEligible: {
+    type: Boolean,
+    default: false
+  },
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+webAuthnCredentialSchema.index({ credentialId: 1 }, { unique: true });
+webAuthnCredentialSchema.index({ userId: 1 });
+
+// Method to get public credential info (never the key material)
+webAuthnCredentialSchema.methods.getPublicInfo = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    transports: this.transports,
+    backedUp: this.backedUp,
+    lastUsedAt: this.lastUsedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('WebAuthnCredential', webAuthnCredentialSchema);
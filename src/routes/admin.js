@@ -0,0 +1,426 @@
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { authenticateToken, requireSession, requireRole } = require('../middleware/auth');
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
+const { recordSecurityEvent } = require('../utils/auditLog');
+
+const router = express.Router();
+
+// Every admin route requires an interactive login as at least a moderator
+router.use(authenticateToken, requireSession, requireRole(['moderator']));
+
+// Validation schemas
+const reasonSchema = Joi.object({
+  reason: Joi.string().max(500).allow('').messages({
+    'string.max': 'Reason cannot exceed 500 characters'
+  })
+});
+
+const roleSchema = Joi.object({
+  role: Joi.string().valid(...User.ROLES).required().messages({
+    'any.only': `Role must be one of: ${User.ROLES.join(', ')}`,
+    'any.required': 'Role is required'
+  })
+});
+
+// Query strings can carry arrays and objects (?role[]=a, ?email[$ne]=x); only plain strings are accepted
+const userListQuerySchema = Joi.object({
+  q: Joi.string().allow('').max(200).messages({
+    'string.base': 'Search query must be a string',
+    'string.max': 'Search query cannot exceed 200 characters'
+  }),
+  role: Joi.string().valid(...User.ROLES).messages({
+    'any.only': `Role must be one of: ${User.ROLES.join(', ')}`
+  }),
+  isActive: Joi.boolean().messages({
+    'boolean.base': 'isActive must be true or false'
+  }),
+  limit: Joi.number().integer().messages({
+    'number.base': 'Limit must be a number'
+  }),
+  page: Joi.number().integer().messages({
+    'number.base': 'Page must be a number'
+  })
+}).unknown(true);
+
+const securityEventQuerySchema = Joi.object({
+  userId: Joi.string().messages({
+    'string.base': 'User ID must be a string'
+  }),
+  email: Joi.string().lowercase().messages({
+    'string.base': 'Email must be a string'
+  }),
+  type: Joi.string().messages({
+    'string.base': 'Type must be a comma-separated string'
+  }),
+  ip: Joi.string().messages({
+    'string.base': 'IP address must be a string'
+  }),
+  from: Joi.date().messages({
+    'date.base': 'Invalid from date'
+  }),
+  to: Joi.date().messages({
+    'date.base': 'Invalid to date'
+  }),
+  limit: Joi.number().integer().messages({
+    'number.base': 'Limit must be a number'
+  }),
+  page: Joi.number().integer().messages({
+    'number.base': 'Page must be a number'
+  })
+}).unknown(true);
+
+// Escape user input before building a regular expression from it
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Validate the :userId route parameter
+const validateUserId = (userId) => {
+  if (!userId || !/^[0-9a-fA-F]{24}$/.test(userId)) {
+    throw createError.badRequest('Invalid user ID format');
+  }
+};
+
+// Load the target user, refusing changes to the acting admin's own account
+const findTargetUser = async (req) => {
+  validateUserId(req.params.userId);
+
+  if (req.params.userId === req.user._id.toString()) {
+    throw createError.badRequest('You cannot change your own account from the admin API');
+  }
+
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    throw createError.notFound('User not found');
+  }
+  return user;
+};
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List and search users
+ * @access  Private (moderator, admin)
+ */
+router.get('/users', asyncHandler(async (req, res) => {
+  const { error, value } = userListQuerySchema.validate(req.query);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const { q: query, role, isActive, limit = 20, page = 1 } = value;
+  const pageLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+
+  const filter = {};
+  if (role) {
+    filter.role = role;
+  }
+  if (isActive !== undefined) {
+    filter.isActive = isActive;
+  }
+
+  // Match on the account email or the profile name
+  if (query && query.trim().length > 0) {
+    const pattern = new RegExp(escapeRegex(query.trim()), 'i');
+    const matchingProfiles = await Profile.find({ name: pattern }).select('userId');
+    filter.$or = [
+      { email: pattern },
+      { _id: { $in: matchingProfiles.map(profile => profile.userId) } }
+    ];
+  }
+
+  const [users, totalUsers] = await Promise.all([
+    User.find(filter)
+      .populate('profile', 'name isPublic moderation')
+      .sort({ createdAt: -1 })
+      .skip((currentPage - 1) * pageLimit)
+      .limit(pageLimit),
+    User.countDocuments(filter)
+  ]);
+
+  const totalPages = Math.ceil(totalUsers / pageLimit);
+
+  res.json({
+    success: true,
+    data: {
+      users: users.map(user => ({
+        ...user.getPublicInfo(),
+        profile: user.profile
+          ? {
+              id: user.profile._id,
+              name: user.profile.name,
+              isPublic: user.profile.isPublic,
+              hidden: !!(user.profile.moderation && user.profile.moderation.hidden)
+            }
+          : null
+      })),
+      pagination: {
+        currentPage,
+        totalPages,
+        totalUsers,
+        hasNextPage: currentPage < totalPages,
+        hasPrevPage: currentPage > 1
+      }
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/admin/users/:userId
+ * @desc    Get a user and their full profile regardless of visibility
+ * @access  Private (moderator, admin)
+ */
+router.get('/users/:userId', asyncHandler(async (req, res) => {
+  validateUserId(req.params.userId);
+
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    throw createError.notFound('User not found');
+  }
+
+  const profile = await Profile.findOne({ userId: user._id });
+
+  res.json({
+    success: true,
+    data: {
+      user: {
+        ...user.getPublicInfo(),
+        deactivatedAt: user.deactivatedAt,
+        deactivatedReason: user.deactivatedReason,
+        deletionScheduledFor: user.deletionScheduledFor
+      },
+      profile
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/admin/users/:userId/deactivate
+ * @desc    Deactivate a user account and revoke its sessions
+ * @access  Private (admin)
+ */
+router.put('/users/:userId/deactivate', requireRole(['admin']), asyncHandler(async (req, res) => {
+  const { error, value } = reasonSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const user = await findTargetUser(req);
+  if (!user.isActive) {
+    throw createError.conflict('User account is already deactivated');
+  }
+
+  user.isActive = false;
+  user.deactivatedAt = new Date();
+  user.deactivatedReason = value.reason;
+  await user.save({ validateBeforeSave: false });
+  await Profile.updateOne({ userId: user._id }, { accountActive: false });
+  await Session.revokeAllForUser(user._id, 'revoked');
+  await recordSecurityEvent(req, 'account_deactivated', { user, actor: req.user, metadata: { reason: value.reason } });
+
+  res.json({
+    success: true,
+    message: 'User account deactivated',
+    data: {
+      user: user.getPublicInfo()
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/admin/users/:userId/reactivate
+ * @desc    Reactivate a deactivated user account
+ * @access  Private (admin)
+ */
+router.put('/users/:userId/reactivate', requireRole(['admin']), asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req);
+  if (user.isActive) {
+    throw createError.conflict('User account is already active');
+  }
+
+  user.isActive = true;
+  user.deactivatedAt = null;
+  user.deactivatedReason = undefined;
+  user.deletionRequestedAt = null;
+  user.deletionScheduledFor = null;
+  await user.save({ validateBeforeSave: false });
+  await Profile.updateOne({ userId: user._id }, { accountActive: true });
+  await recordSecurityEvent(req, 'account_reactivated', { user, actor: req.user });
+
+  res.json({
+    success: true,
+    message: 'User account reactivated',
+    data: {
+      user: user.getPublicInfo()
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/admin/users/:userId/role
+ * @desc    Change a user's role
+ * @access  Private (admin)
+ */
+router.put('/users/:userId/role', requireRole(['admin']), asyncHandler(async (req, res) => {
+  const { error, value } = roleSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const user = await findTargetUser(req);
+  const previousRole = user.role;
+  user.role = value.role;
+  await user.save({ validateBeforeSave: false });
+  await recordSecurityEvent(req, 'role_changed', {
+    user,
+    actor: req.user,
+    metadata: { from: previousRole, to: value.role }
+  });
+
+  res.json({
+    success: true,
+    message: 'User role updated',
+    data: {
+      user: user.getPublicInfo()
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/admin/security-events
+ * @desc    Query the security audit log
+ * @access  Private (admin)
+ */
+router.get('/security-events', requireRole(['admin']), asyncHandler(async (req, res) => {
+  const { error, value } = securityEventQuerySchema.validate(req.query);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const { userId, email, type, ip, from, to, limit = 50, page = 1 } = value;
+  const pageLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+
+  const filter = {};
+  if (userId) {
+    validateUserId(userId);
+    filter.userId = userId;
+  }
+  if (email) {
+    filter.email = email;
+  }
+  if (type) {
+    filter.type = { $in: type.split(',').map(item => item.trim()) };
+  }
+  if (ip) {
+    filter.ipAddress = ip;
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      filter.createdAt.$gte = from;
+    }
+    if (to) {
+      filter.createdAt.$lte = to;
+    }
+  }
+
+  const [events, totalEvents] = await Promise.all([
+    SecurityEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((currentPage - 1) * pageLimit)
+      .limit(pageLimit),
+    SecurityEvent.countDocuments(filter)
+  ]);
+
+  const totalPages = Math.ceil(totalEvents / pageLimit);
+
+  res.json({
+    success: true,
+    data: {
+      events: events.map(event => ({
+        ...event.getPublicInfo(),
+        userId: event.userId,
+        email: event.email,
+        actorId: event.actorId
+      })),
+      pagination: {
+        currentPage,
+        totalPages,
+        totalEvents,
+        hasNextPage: currentPage < totalPages,
+        hasPrevPage: currentPage > 1
+      }
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/admin/profiles/:userId/hide
+ * @desc    Force-hide a profile from all public listings
+ * @access  Private (moderator, admin)
+ */
+router.put('/profiles/:userId/hide', asyncHandler(async (req, res) => {
+  const { error, value } = reasonSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  validateUserId(req.params.userId);
+
+  const profile = await Profile.findOne({ userId: req.params.userId });
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  profile.moderation = {
+    hidden: true,
+    reason: value.reason,
+    hiddenAt: new Date(),
+    hiddenBy: req.user._id
+  };
+  await profile.save();
+
+  res.json({
+    success: true,
+    message: 'Profile hidden',
+    data: {
+      moderation: profile.moderation
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/admin/profiles/:userId/unhide
+ * @desc    Lift a moderator hide from a profile
+ * @access  Private (moderator, admin)
+ */
+router.put('/profiles/:userId/unhide', asyncHandler(async (req, res) => {
+  validateUserId(req.params.userId);
+
+  const profile = await Profile.findOne({ userId: req.params.userId });
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  profile.moderation = {
+    hidden: false,
+    reason: undefined,
+    hiddenAt: null,
+    hiddenBy: null
+  };
+  await profile.save();
+
+  res.json({
+    success: true,
+    message: 'Profile is no longer hidden',
+    data: {
+      moderation: profile.moderation
+    }
+  });
+}));
+
+module.exports = router;
@@ -1,15 +1,36 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, requireSession } = require('../middleware/auth');
 const User = require('../models/User');
 const Profile = require('../models/Profile');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const DataExport = require('../models/DataExport');
+const {
+  createSession,
+  rotateSession,
+  verifyChallengeToken,
+  generatePersonalAccessToken,
+  hashToken
+} = require('../utils/tokens');
+const totp = require('../utils/totp');
+const { sendMail } = require('../utils/mailer');
+const emailTemplates = require('../utils/mailer/templates');
+const loginThrottle = require('../utils/loginThrottle');
+const { scheduleDeletion, restoreAccount } = require('../utils/accountDeletion');
+const dataExport = require('../utils/dataExport');
+const { runAtomically } = require('../utils/transaction');
+const { recordSecurityEvent } = require('../utils/auditLog');
+const { assertAccountActive, completeLogin } = require('../utils/login');
+const SecurityEvent = require('../models/SecurityEvent');
 const mongoose = require('mongoose');
 
-
 const router = express.Router();
 
+// Account routes need an interactive login, never a personal access token
+const authenticateSession = [authenticateToken, requireSession];
+
 // Validation schemas
 const registerSchema = Joi.object({
   email: Joi.string().email().lowercase().required().messages({
@@ -37,134 +58,287 @@ const loginSchema = Joi.object({
   })
 });
 
-// Generate JWT token
-const generateToken = (userId) => {
-  // Check for JWT_SECRET
-  if (!process.env.JWT_SECRET) {
-    console.error('❌ CRITICAL: JWT_SECRET environment variable is not set!');
-    console.error('🔍 Current environment variables:', {
-      NODE_ENV: process.env.NODE_ENV,
-      JWT_SECRET: process.env.JWT_SECRET ? 'SET' : 'NOT SET',
-      MONGODB_URI: process.env.MONGODB_URI ? 'SET' : 'NOT SET'
-    });
-    
-    // For development, use a fallback secret
-    if (process.env.NODE_ENV === 'development') {
-      console.warn('⚠️ Using fallback JWT_SECRET for development');
-      const fallbackSecret = 'dev-secret-key-for-development-only';
-      return jwt.sign(
-        { userId },
-        fallbackSecret,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  })
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'any.required': 'Reset token is required'
+  }),
+  password: Joi.string().min(6).required().messages({
+    'string.min': 'Password must be at least 6 characters long',
+    'any.required': 'Password is required'
+  })
+});
+
+const magicLinkSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  })
+});
+
+const magicLinkVerifySchema = Joi.object({
+  token: Joi.string().required().messages({
+    'any.required': 'Login token is required'
+  })
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required().messages({
+    'string.pattern.base': 'Code must be a 6-digit number',
+    'any.required': 'Code is required'
+  })
+});
+
+// Passwords are optional where passwordless accounts confirm with a recent sign-in instead
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string(),
+  code: Joi.string().pattern(/^\d{6}$/).messages({
+    'string.pattern.base': 'Code must be a 6-digit number'
+  }),
+  recoveryCode: Joi.string()
+}).xor('code', 'recoveryCode').messages({
+  'object.missing': 'Either a code or a recovery code is required',
+  'object.xor': 'Provide either a code or a recovery code, not both'
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    'any.required': 'Challenge token is required'
+  }),
+  code: Joi.string().pattern(/^\d{6}$/).messages({
+    'string.pattern.base': 'Code must be a 6-digit number'
+  }),
+  recoveryCode: Joi.string()
+}).xor('code', 'recoveryCode').messages({
+  'object.missing': 'Either a code or a recovery code is required',
+  'object.xor': 'Provide either a code or a recovery code, not both'
+});
+
+const personalAccessTokenSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required().messages({
+    'string.min': 'Token name cannot be empty',
+    'string.max': 'Token name cannot exceed 100 characters',
+    'any.required': 'Token name is required'
+  }),
+  scopes: Joi.array().items(Joi.string().valid(...PersonalAccessToken.SCOPES)).min(1).unique().required().messages({
+    'any.only': `Scopes must be any of: ${PersonalAccessToken.SCOPES.join(', ')}`,
+    'array.min': 'At least one scope is required',
+    'any.required': 'Scopes are required'
+  }),
+  expiresInDays: Joi.number().integer().min(1).max(365).allow(null).messages({
+    'number.min': 'Expiry must be at least 1 day',
+    'number.max': 'Expiry cannot exceed 365 days'
+  })
+});
+
+const MAX_PERSONAL_ACCESS_TOKENS = 25;
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string(),
+  newPassword: Joi.string().min(6).invalid(Joi.ref('currentPassword')).required().messages({
+    'string.min': 'Password must be at least 6 characters long',
+    'any.invalid': 'New password must be different from the current password',
+    'any.required': 'New password is required'
+  })
+});
+
+const changeEmailSchema = Joi.object({
+  newEmail: Joi.string().email().lowercase().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'New email is required'
+  }),
+  password: Joi.string()
+});
+
+const confirmEmailChangeSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'any.required': 'Confirmation token is required'
+  })
+});
+
+const deleteAccountSchema = Joi.object({
+  password: Joi.string()
+});
+
+// Without a password, a restore link is emailed instead
+const restoreAccountSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  }),
+  password: Joi.string()
+});
+
+const restoreAccountConfirmSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'any.required': 'Restore token is required'
+  })
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    'any.required': 'Refresh token is required'
+  })
+});
+
+// Record a failed login and email an unlock link when it locks the account
+const handleFailedLogin = async (req, email, user, reason) => {
+  const { accountLocked, lockedUntil } = await loginThrottle.registerFailedLogin(email, req.ip);
+  await recordSecurityEvent(req, 'login_failure', { user, email, metadata: { reason } });
+
+  if (accountLocked && user) {
+    await recordSecurityEvent(req, 'account_locked', { user, metadata: { lockedUntil } });
+    const token = user.createUnlockToken();
+    await user.save({ validateBeforeSave: false });
+
+    const profile = await Profile.findOne({ userId: user._id }).select('name');
+    try {
+      await sendMail({
+        to: user.email,
+        ...emailTemplates.accountLocked({ name: profile && profile.name, token, lockedUntil })
+      });
+    } catch (mailError) {
+      console.error('❌ Failed to send account locked email:', mailError.message);
+    }
+  }
+};
+
+// Check a TOTP code or recovery code against a user loaded with the 2FA secrets
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    return user.useRecoveryCode(recoveryCode);
+  }
+
+  const step = totp.verifyCode(user.twoFactor.secret, code, {
+    lastUsedStep: user.twoFactor.lastUsedStep ?? null
+  });
+  if (step === null) {
+    return false;
+  }
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Minutes after signing in during which a passwordless account can confirm sensitive changes
+const REAUTH_WINDOW_MINUTES = parseInt(process.env.REAUTH_WINDOW_MINUTES) || 10;
+
+/**
+ * Confirm it is really the account owner before a sensitive change. Accounts
+ * with a password must enter it; passwordless accounts (login providers,
+ * passkeys) must have signed in to the current session within the last
+ * REAUTH_WINDOW_MINUTES, with a passkey, a login provider or a login link.
+ * @returns {Promise<boolean>} whether the password matches
+ */
+const confirmIdentity = async (req, user, password) => {
+  if (!user.hasPassword) {
+    const session = await Session.findById(req.sessionId).select('createdAt');
+    if (!session || Date.now() - session.createdAt.getTime() > REAUTH_WINDOW_MINUTES * 60 * 1000) {
+      throw createError.unauthorized(
+        `Please sign in again with a passkey, login provider or login link, then retry within ${REAUTH_WINDOW_MINUTES} minutes`
       );
     }
-    
-    throw new Error('JWT_SECRET environment variable is not configured');
+    return true;
   }
-  
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+
+  if (!password) {
+    throw createError.badRequest('Password is required');
+  }
+  return user.comparePassword(password);
+};
+
+/**
+ * After a password reset or change, end every other way into the account:
+ * sessions (except `exceptSessionId`), personal access tokens, and pending
+ * login links and email changes. Clears the user's tokens in memory; the
+ * caller saves the user.
+ */
+const revokeAccountAccess = async (user, exceptSessionId = null) => {
+  user.clearPasswordResetToken();
+  user.clearMagicLinkToken();
+  user.clearEmailChange();
+
+  await Promise.all([
+    Session.revokeAllForUser(user._id, 'revoked', exceptSessionId),
+    PersonalAccessToken.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() })
+  ]);
 };
 
+// Absolute download link for a data export
+const buildExportDownloadUrl = (req, exportId, token) =>
+  `${req.protocol}://${req.get('host')}/api/auth/export/${exportId}/download?token=${token}`;
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
  * @access  Public
  */
 router.post('/register', asyncHandler(async (req, res) => {
-  console.log('🚀 Registration request received!');
-  console.log('📝 Request body:', req.body);
-  console.log('🔍 Headers:', req.headers);
-  console.log('🔍 Environment check - JWT_SECRET:', process.env.JWT_SECRET ? 'SET' : 'NOT SET');
-  console.log('🔍 Environment check - MONGODB_URI:', process.env.MONGODB_URI ? 'SET' : 'NOT SET');
-  console.log('🔍 NODE_ENV:', process.env.NODE_ENV);
-  
   // Check MongoDB connection
-  const mongoose = require('mongoose');
   if (mongoose.connection.readyState !== 1) {
     console.error('❌ MongoDB not connected. ReadyState:', mongoose.connection.readyState);
     throw createError.internal('Database connection not available');
   }
-  
-  try {
-    // Validate request body
-    const { error, value } = registerSchema.validate(req.body);
-    if (error) {
-      console.error('❌ Validation error:', error.details[0].message);
-      throw createError.badRequest(error.details[0].message);
-    }
 
-    const { email, password, name } = value;
-    console.log('✅ Extracted values:', { email, password, name: name ? 'present' : 'missing' });
+  // Validate request body
+  const { error, value } = registerSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const { email, password, name } = value;
 
   // Check if user already exists
-  console.log('🔍 Checking if user already exists...');
   const existingUser = await User.findByEmail(email);
   if (existingUser) {
-    console.log('❌ User already exists with email:', email);
     throw createError.conflict('User with this email already exists');
   }
-  console.log('✅ No existing user found, proceeding with creation...');
 
-  // Create new user
-  console.log('👤 Creating new user...');
   const user = new User({
     email,
     password
   });
+  const verificationToken = user.createEmailVerificationToken();
 
-  console.log('💾 Saving user to database...');
-  try {
-    await user.save();
-    console.log('✅ User saved successfully! User ID:', user._id);
-  } catch (saveError) {
-    console.error('❌ User save error:', saveError);
-    console.error('❌ User save error details:', saveError.message);
-    throw saveError;
-  }
-
-  // Create profile for the user
-  console.log('📋 Creating profile for user...');
   const profile = new Profile({
     userId: user._id,
     name,
     email
   });
 
-  console.log('📝 Profile object before save:', profile);
-  console.log('💾 Saving profile to database...');
+  // The user and profile are created together or not at all
+  await runAtomically(async (session) => {
+    await user.save({ session });
+    await profile.save({ session });
+  }, async () => {
+    await Profile.deleteOne({ userId: user._id });
+    await User.deleteOne({ _id: user._id });
+  });
+  console.log('✅ User registered:', user._id);
+
+  // Send email verification link (registration still succeeds if mail fails)
   try {
-    await profile.save();
-    console.log('✅ Profile saved successfully! Profile ID:', profile._id);
-  } catch (profileSaveError) {
-    console.error('❌ Profile save error:', profileSaveError);
-    console.error('❌ Profile save error details:', profileSaveError.message);
-    throw profileSaveError;
+    await sendMail({
+      to: user.email,
+      ...emailTemplates.emailVerification({ name, token: verificationToken })
+    });
+  } catch (mailError) {
+    console.error('❌ Failed to send verification email:', mailError.message);
   }
-  
-  // Log database collections
-  console.log('🔍 Checking database collections...');
-  const collections = await mongoose.connection.db.listCollections().toArray();
-  console.log('📚 Available collections:', collections.map(c => c.name));
-  
-  // Log user count
-  const userCount = await User.countDocuments();
-  console.log('👥 Total users in database:', userCount);
-  
-  // Log profile count
-  const profileCount = await Profile.countDocuments();
-  console.log('📋 Total profiles in database:', profileCount);
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Start session
+  const tokens = await createSession(user, req);
+  await recordSecurityEvent(req, 'register', { user });
 
   // Update last login
   await user.updateLastLogin();
 
-  const responseData = {
+  res.status(201).json({
     success: true,
     message: 'User registered successfully',
     data: {
@@ -174,20 +348,9 @@ router.post('/register', asyncHandler(async (req, res) => {
         name: profile.name,
         email: profile.email
       },
-      token
+      ...tokens
     }
-  };
-  
-  console.log('📤 Sending response to client...');
-  console.log('📊 Response data:', JSON.stringify(responseData, null, 2));
-  console.log('🎉 Registration completed successfully!');
-  
-  res.status(201).json(responseData);
-  } catch (error) {
-    console.error('❌ Registration error:', error);
-    console.error('❌ Error stack:', error.stack);
-    throw error; // Re-throw to be handled by errorHandler
-  }
+  });
 }));
 
 /**
@@ -204,25 +367,78 @@ router.post('/login', asyncHandler(async (req, res) => {
 
   const { email, password } = value;
 
+  // Refuse attempts while the account or IP is throttled
+  const throttle = await loginThrottle.checkLoginAllowed(email, req.ip);
+  if (!throttle.allowed) {
+    res.set('Retry-After', String(throttle.retryAfter));
+    throw createError.tooManyRequests(throttle.locked
+      ? 'Too many failed login attempts. The account is temporarily locked.'
+      : `Too many failed login attempts. Please try again in ${throttle.retryAfter} seconds.`);
+  }
+
   // Find user and include password for comparison
   const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
   if (!user) {
+    await handleFailedLogin(req, email, null, 'unknown_account');
     throw createError.unauthorized('Invalid email or password');
   }
 
   // Check if user is active
-  if (!user.isActive) {
-    throw createError.unauthorized('Account is deactivated');
-  }
+  await assertAccountActive(req, user, 'password');
 
   // Check password
   const isPasswordValid = await user.comparePassword(password);
   if (!isPasswordValid) {
+    await handleFailedLogin(req, email, user, 'invalid_password');
     throw createError.unauthorized('Invalid email or password');
   }
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Asks for the second factor before issuing tokens when 2FA is enabled
+  const result = await completeLogin(req, user, 'password');
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete a two-factor login with a TOTP or recovery code
+ * @access  Public
+ */
+router.post('/2fa/verify', asyncHandler(async (req, res) => {
+  const { error, value } = twoFactorLoginSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const { userId } = verifyChallengeToken(value.challengeToken, '2fa');
+  const user = await User.findById(userId)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodeHashes');
+  if (!user || !user.isActive || !user.twoFactor.enabled) {
+    throw createError.unauthorized('Challenge token is invalid or has expired');
+  }
+
+  const throttle = await loginThrottle.checkLoginAllowed(user.email, req.ip);
+  if (!throttle.allowed) {
+    res.set('Retry-After', String(throttle.retryAfter));
+    throw createError.tooManyRequests('Too many failed login attempts. Please try again later.');
+  }
+
+  if (!verifySecondFactor(user, value)) {
+    await handleFailedLogin(req, user.email, user, 'invalid_second_factor');
+    throw createError.unauthorized('Invalid authentication code');
+  }
+  await user.save({ validateBeforeSave: false });
+  await loginThrottle.registerSuccessfulLogin(user.email);
+
+  // Start session
+  const tokens = await createSession(user, req);
+  await recordSecurityEvent(req, 'login_success', {
+    user,
+    metadata: { method: value.recoveryCode ? 'recovery_code' : 'totp' }
+  });
 
   // Update last login
   await user.updateLastLogin();
@@ -232,62 +448,1056 @@ router.post('/login', asyncHandler(async (req, res) => {
     message: 'Login successful',
     data: {
       user: user.getPublicInfo(),
-      token
+      ...(value.recoveryCode && { recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length }),
+      ...tokens
     }
   });
 }));
 
 /**
- * @route   GET /api/auth/profile
- * @desc    Get current user profile
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a single-use passwordless login link
+ * @access  Public
+ */
+router.post('/magic-link', asyncHandler(async (req, res) => {
+  const { error, value } = magicLinkSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const limit = await loginThrottle.registerMagicLinkRequest(value.email);
+  if (!limit.allowed) {
+    res.set('Retry-After', String(limit.retryAfter));
+    throw createError.tooManyRequests(`Too many login links requested. Please try again in ${limit.retryAfter} seconds.`);
+  }
+
+  const user = await User.findByEmail(value.email);
+
+  // Only send mail for active accounts, but always answer the same way
+  if (user && user.isActive) {
+    const token = user.createMagicLinkToken();
+    await user.save({ validateBeforeSave: false });
+    await recordSecurityEvent(req, 'magic_link_requested', { user });
+
+    const profile = await Profile.findOne({ userId: user._id }).select('name');
+    const expiresInMinutes = Math.round((user.magicLinkExpires - Date.now()) / 60000);
+
+    try {
+      await sendMail({
+        to: user.email,
+        ...emailTemplates.magicLink({ name: profile && profile.name, token, expiresInMinutes })
+      });
+    } catch (mailError) {
+      console.error('❌ Failed to send magic link email:', mailError.message);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a login link has been sent'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/magic-link/verify
+ * @desc    Exchange a magic login link token for a session
+ * @access  Public
+ */
+router.post('/magic-link/verify', asyncHandler(async (req, res) => {
+  const { error, value } = magicLinkVerifySchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const user = await User.consumeMagicLinkToken(value.token);
+  if (!user) {
+    throw createError.badRequest('Login link is invalid or has expired');
+  }
+
+  // Check if user is active
+  await assertAccountActive(req, user, 'magic_link');
+
+  // Following the emailed link proves ownership of the address
+  if (!user.emailVerified) {
+    user.markEmailVerified();
+    await user.save({ validateBeforeSave: false });
+    await Profile.updateOne({ userId: user._id }, { emailVerified: true });
+    await recordSecurityEvent(req, 'email_verified', { user });
+  }
+
+  // The link replaces the password, not the second factor
+  const result = await completeLogin(req, user, 'magic_link');
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/enroll
+ * @desc    Start two-factor enrollment and get a TOTP secret
  * @access  Private
  */
-router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
-  const profile = await Profile.findOne({ userId: req.user._id });
-  
-  if (!profile) {
-    throw createError.notFound('Profile not found');
+router.post('/2fa/enroll', authenticateSession, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (user.twoFactor.enabled) {
+    throw createError.conflict('Two-factor authentication is already enabled');
   }
 
+  const secret = totp.generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
   res.json({
     success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
     data: {
-      user: req.user.getPublicInfo(),
-      profile: profile.getPublicProfile()
+      secret,
+      otpauthUri: totp.buildProvisioningUri({ secret, accountName: user.email })
     }
   });
 }));
 
 /**
- * @route   POST /api/auth/refresh
- * @desc    Refresh JWT token
+ * @route   POST /api/auth/2fa/confirm
+ * @desc    Confirm enrollment with a TOTP code and enable two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/confirm', authenticateSession, asyncHandler(async (req, res) => {
+  const { error, value } = twoFactorCodeSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+  if (user.twoFactor.enabled) {
+    throw createError.conflict('Two-factor authentication is already enabled');
+  }
+  if (!user.twoFactor.pendingSecret) {
+    throw createError.badRequest('Start two-factor enrollment first');
+  }
+
+  const step = totp.verifyCode(user.twoFactor.pendingSecret, value.code);
+  if (step === null) {
+    throw createError.badRequest('Invalid authentication code');
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+  await recordSecurityEvent(req, 'two_factor_enabled', { user });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    data: {
+      recoveryCodes
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate two-factor recovery codes
  * @access  Private
  */
-router.post('/refresh', authenticateToken, asyncHandler(async (req, res) => {
-  // Generate new token
-  const token = generateToken(req.user._id);
+router.post('/2fa/recovery-codes', authenticateSession, asyncHandler(async (req, res) => {
+  const { error, value } = twoFactorCodeSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const user = await User.findById(req.user._id).select('+twoFactor.secret +twoFactor.lastUsedStep');
+  if (!user.twoFactor.enabled) {
+    throw createError.badRequest('Two-factor authentication is not enabled');
+  }
+  if (!verifySecondFactor(user, value)) {
+    throw createError.unauthorized('Invalid authentication code');
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+  await recordSecurityEvent(req, 'recovery_codes_regenerated', { user });
 
   res.json({
     success: true,
-    message: 'Token refreshed successfully',
+    message: 'Recovery codes regenerated',
     data: {
-      token
+      recoveryCodes
     }
   });
 }));
 
 /**
- * @route   POST /api/auth/logout
- * @desc    Logout user (client-side token removal)
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication
  * @access  Private
  */
-router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
-  // In a real application, you might want to blacklist the token
-  // For now, we'll just return success (client removes token)
-  
+router.post('/2fa/disable', authenticateSession, asyncHandler(async (req, res) => {
+  const { error, value } = twoFactorDisableSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const user = await User.findById(req.user._id)
+    .select('+password +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodeHashes');
+  if (!user.twoFactor.enabled) {
+    throw createError.badRequest('Two-factor authentication is not enabled');
+  }
+
+  const isPasswordValid = await confirmIdentity(req, user, value.password);
+  if (!isPasswordValid || !verifySecondFactor(user, value)) {
+    throw createError.unauthorized('Invalid password or authentication code');
+  }
+
+  user.twoFactor.enabled = false;
+  user.twoFactor.enabledAt = null;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.lastUsedStep = undefined;
+  user.twoFactor.recoveryCodeHashes = undefined;
+  await user.save({ validateBeforeSave: false });
+  await recordSecurityEvent(req, 'two_factor_disabled', { user });
+
   res.json({
     success: true,
-    message: 'Logout successful'
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+/**
+ * @route   GET /api/auth/unlock/:token
+ * @desc    Unlock an account locked after failed logins
+ * @access  Public
+ */
+router.get('/unlock/:token', asyncHandler(async (req, res) => {
+  const user = await User.findByUnlockToken(req.params.token);
+  if (!user) {
+    throw createError.badRequest('Unlock token is invalid or has expired');
+  }
+
+  user.unlockTokenHash = undefined;
+  user.unlockTokenExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+  await loginThrottle.unlockAccount(user.email);
+  await recordSecurityEvent(req, 'account_unlocked', { user });
+
+  res.json({
+    success: true,
+    message: 'Account unlocked successfully. You can now log in.'
+  });
+}));
+
+/**
+ * @route   GET /api/auth/verify-email/:token
+ * @desc    Verify email address using a verification token
+ * @access  Public
+ */
+router.get('/verify-email/:token', asyncHandler(async (req, res) => {
+  const user = await User.findByEmailVerificationToken(req.params.token);
+  if (!user) {
+    throw createError.badRequest('Verification token is invalid or has expired');
+  }
+
+  user.markEmailVerified();
+  await user.save({ validateBeforeSave: false });
+  await Profile.updateOne({ userId: user._id }, { emailVerified: true });
+  await recordSecurityEvent(req, 'email_verified', { user });
+
+  res.json({
+    success: true,
+    message: 'Email verified successfully',
+    data: {
+      user: user.getPublicInfo()
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Resend the email verification link
+ * @access  Private
+ */
+router.post('/resend-verification', authenticateSession, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (user.emailVerified) {
+    throw createError.badRequest('Email address is already verified');
+  }
+
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const profile = await Profile.findOne({ userId: user._id }).select('name');
+  try {
+    await sendMail({
+      to: user.email,
+      ...emailTemplates.emailVerification({ name: profile && profile.name, token })
+    });
+  } catch (mailError) {
+    console.error('❌ Failed to send verification email:', mailError.message);
+    throw createError.internal('Failed to send verification email');
+  }
+
+  res.json({
+    success: true,
+    message: 'Verification email sent'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', asyncHandler(async (req, res) => {
+  const { error, value } = forgotPasswordSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const user = await User.findByEmail(value.email);
+
+  // Only send mail for active accounts, but always answer the same way
+  if (user && user.isActive) {
+    const token = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+    await recordSecurityEvent(req, 'password_reset_requested', { user });
+
+    const profile = await Profile.findOne({ userId: user._id }).select('name');
+    const expiresInMinutes = Math.round((user.passwordResetExpires - Date.now()) / 60000);
+
+    try {
+      await sendMail({
+        to: user.email,
+        ...emailTemplates.passwordReset({ name: profile && profile.name, token, expiresInMinutes })
+      });
+    } catch (mailError) {
+      console.error('❌ Failed to send password reset email:', mailError.message);
+      user.clearPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+      throw createError.internal('Failed to send password reset email');
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Reset password using a reset token
+ * @access  Public
+ */
+router.post('/reset-password', asyncHandler(async (req, res) => {
+  const { error, value } = resetPasswordSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const user = await User.findByPasswordResetToken(value.token);
+  if (!user || !user.isActive) {
+    throw createError.badRequest('Password reset token is invalid or has expired');
+  }
+
+  // Tokens are single use. Sign the user out everywhere and revoke access
+  // tokens, which someone who took over the account may have created.
+  user.password = value.password;
+  await revokeAccountAccess(user);
+  await user.save();
+  await recordSecurityEvent(req, 'password_reset', { user });
+
+  const profile = await Profile.findOne({ userId: user._id }).select('name');
+  try {
+    await sendMail({
+      to: user.email,
+      ...emailTemplates.passwordChanged({ name: profile && profile.name })
+    });
+  } catch (mailError) {
+    console.error('❌ Failed to send password changed email:', mailError.message);
+  }
+
+  res.json({
+    success: true,
+    message: 'Password has been reset successfully. Please log in with your new password.'
+  });
+}));
+
+/**
+ * @route   GET /api/auth/profile
+ * @desc    Get current user profile
+ * @access  Private
+ */
+router.get('/profile', authenticateSession, asyncHandler(async (req, res) => {
+  const profile = await Profile.findOne({ userId: req.user._id });
+  
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      user: req.user.getPublicInfo(),
+      profile: profile.getPublicProfile(req.user)
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new token pair (rotates the refresh token)
+ * @access  Public
+ */
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const { error, value } = refreshSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const { session, tokens } = await rotateSession(value.refreshToken, req);
+
+  // Make sure the account is still allowed to sign in
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    await session.revoke();
+    throw createError.unauthorized('User account is no longer active');
+  }
+  await recordSecurityEvent(req, 'token_refresh', { user, metadata: { sessionId: session._id } });
+
+  res.json({
+    success: true,
+    message: 'Token refreshed successfully',
+    data: tokens
+  });
+}));
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Logout user by revoking the current session
+ * @access  Private
+ */
+router.post('/logout', authenticateSession, asyncHandler(async (req, res) => {
+  const session = await Session.findById(req.sessionId);
+  if (session) {
+    await session.revoke('logout');
+  }
+  await recordSecurityEvent(req, 'logout', { user: req.user, metadata: { sessionId: req.sessionId } });
+
+  res.json({
+    success: true,
+    message: 'Logout successful'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout user from every device by revoking all sessions
+ * @access  Private
+ */
+router.post('/logout-all', authenticateSession, asyncHandler(async (req, res) => {
+  const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+  await recordSecurityEvent(req, 'logout_all', { user: req.user, metadata: { revokedSessions: result.modifiedCount } });
+
+  res.json({
+    success: true,
+    message: 'Logged out from all sessions',
+    data: {
+      revokedSessions: result.modifiedCount
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions
+ * @access  Private
+ */
+router.get('/sessions', authenticateSession, asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveByUser(req.user._id);
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => session.getPublicInfo(req.sessionId))
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authenticateSession, asyncHandler(async (req, res) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.sessionId)) {
+    throw createError.badRequest('Invalid session ID format');
+  }
+
+  const session = await Session.findOne({
+    _id: req.params.sessionId,
+    userId: req.user._id
+  });
+
+  if (!session) {
+    throw createError.notFound('Session not found');
+  }
+
+  await session.revoke('revoked');
+  await recordSecurityEvent(req, 'session_revoked', { user: req.user, metadata: { sessionId: session._id } });
+
+  res.json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+}));
+
+/**
+ * @route   GET /api/auth/tokens
+ * @desc    List the current user's personal access tokens
+ * @access  Private
+ */
+router.get('/tokens', authenticateSession, asyncHandler(async (req, res) => {
+  const tokens = await PersonalAccessToken.find({ userId: req.user._id, revokedAt: null })
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      tokens: tokens.map(token => token.getPublicInfo()),
+      availableScopes: PersonalAccessToken.SCOPES
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/tokens
+ * @desc    Create a personal access token (the token is only shown once)
+ * @access  Private
+ */
+router.post('/tokens', authenticateSession, asyncHandler(async (req, res) => {
+  const { error, value } = personalAccessTokenSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const activeCount = await PersonalAccessToken.countDocuments({ userId: req.user._id, revokedAt: null });
+  if (activeCount >= MAX_PERSONAL_ACCESS_TOKENS) {
+    throw createError.conflict(`You can have at most ${MAX_PERSONAL_ACCESS_TOKENS} access tokens`);
+  }
+
+  const rawToken = generatePersonalAccessToken();
+  const accessToken = new PersonalAccessToken({
+    userId: req.user._id,
+    name: value.name,
+    tokenHash: hashToken(rawToken),
+    tokenPrefix: rawToken.slice(0, 10),
+    scopes: value.scopes,
+    expiresAt: value.expiresInDays
+      ? new Date(Date.now() + value.expiresInDays * 24 * 60 * 60 * 1000)
+      : null
+  });
+  await accessToken.save();
+  await recordSecurityEvent(req, 'access_token_created', {
+    user: req.user,
+    metadata: { tokenId: accessToken._id, name: accessToken.name, scopes: accessToken.scopes }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Access token created. Copy it now, it will not be shown again.',
+    data: {
+      token: rawToken,
+      accessToken: accessToken.getPublicInfo()
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/auth/tokens/:tokenId
+ * @desc    Revoke a personal access token
+ * @access  Private
+ */
+router.delete('/tokens/:tokenId', authenticateSession, asyncHandler(async (req, res) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.tokenId)) {
+    throw createError.badRequest('Invalid token ID format');
+  }
+
+  const accessToken = await PersonalAccessToken.findOne({
+    _id: req.params.tokenId,
+    userId: req.user._id,
+    revokedAt: null
+  });
+
+  if (!accessToken) {
+    throw createError.notFound('Access token not found');
+  }
+
+  accessToken.revokedAt = new Date();
+  await accessToken.save();
+  await recordSecurityEvent(req, 'access_token_revoked', {
+    user: req.user,
+    metadata: { tokenId: accessToken._id, name: accessToken.name }
+  });
+
+  res.json({
+    success: true,
+    message: 'Access token revoked successfully'
+  });
+}));
+
+/**
+ * @route   PUT /api/auth/password
+ * @desc    Change password, or set one for a passwordless account (signs out all other
+ *          sessions and revokes personal access tokens)
+ * @access  Private
+ */
+router.put('/password', authenticateSession, asyncHandler(async (req, res) => {
+  const { error, value } = changePasswordSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+  const isPasswordValid = await confirmIdentity(req, user, value.currentPassword);
+  if (!isPasswordValid) {
+    throw createError.unauthorized('Current password is incorrect');
+  }
+
+  // Keep the current session, sign out everywhere else
+  user.password = value.newPassword;
+  await revokeAccountAccess(user, req.sessionId);
+  await user.save();
+  await recordSecurityEvent(req, 'password_change', { user });
+
+  const profile = await Profile.findOne({ userId: user._id }).select('name');
+  try {
+    await sendMail({
+      to: user.email,
+      ...emailTemplates.passwordChanged({ name: profile && profile.name })
+    });
+  } catch (mailError) {
+    console.error('❌ Failed to send password changed email:', mailError.message);
+  }
+
+  res.json({
+    success: true,
+    message: 'Password changed successfully'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/email
+ * @desc    Request an email change (a confirmation link is sent to the new address)
+ * @access  Private
+ */
+router.post('/email', authenticateSession, asyncHandler(async (req, res) => {
+  const { error, value } = changeEmailSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+  const isPasswordValid = await confirmIdentity(req, user, value.password);
+  if (!isPasswordValid) {
+    throw createError.unauthorized('Password is incorrect');
+  }
+
+  if (value.newEmail === user.email) {
+    throw createError.badRequest('New email is the same as the current email');
+  }
+  if (await User.emailExists(value.newEmail)) {
+    throw createError.conflict('User with this email already exists');
+  }
+
+  const token = user.createEmailChangeToken(value.newEmail);
+  await user.save({ validateBeforeSave: false });
+  await recordSecurityEvent(req, 'email_change_requested', { user, metadata: { newEmail: value.newEmail } });
+
+  const profile = await Profile.findOne({ userId: user._id }).select('name');
+  try {
+    await sendMail({
+      to: value.newEmail,
+      ...emailTemplates.emailChangeConfirmation({ name: profile && profile.name, token, newEmail: value.newEmail })
+    });
+  } catch (mailError) {
+    console.error('❌ Failed to send email change confirmation:', mailError.message);
+    throw createError.internal('Failed to send confirmation email');
+  }
+
+  res.json({
+    success: true,
+    message: `A confirmation link has been sent to ${value.newEmail}`
+  });
+}));
+
+/**
+ * @route   POST /api/auth/email/confirm
+ * @desc    Confirm an email change; updates the account and profile email together
+ * @access  Public
+ */
+router.post('/email/confirm', asyncHandler(async (req, res) => {
+  const { error, value } = confirmEmailChangeSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const user = await User.findByEmailChangeToken(value.token);
+  if (!user || !user.isActive) {
+    throw createError.badRequest('Email change token is invalid or has expired');
+  }
+
+  const oldEmail = user.email;
+  const newEmail = user.pendingEmail;
+  if (await User.emailExists(newEmail)) {
+    throw createError.conflict('User with this email already exists');
+  }
+
+  const profile = await Profile.findOne({ userId: user._id });
+  const oldProfileEmail = profile ? profile.email : null;
+
+  await runAtomically(async (session) => {
+    user.email = newEmail;
+    user.clearEmailChange();
+    user.clearPasswordResetToken();
+    // The confirmation link proved ownership of the new address
+    user.markEmailVerified();
+    await user.save({ session });
+
+    if (profile) {
+      profile.email = newEmail;
+      profile.emailVerified = true;
+      await profile.save({ session });
+    }
+  }, async () => {
+    await User.updateOne({ _id: user._id }, { email: oldEmail });
+    if (profile) {
+      await Profile.updateOne({ _id: profile._id }, { email: oldProfileEmail });
+    }
+  });
+  await recordSecurityEvent(req, 'email_changed', { user, metadata: { oldEmail, newEmail } });
+
+  try {
+    await sendMail({
+      to: oldEmail,
+      ...emailTemplates.emailChanged({ name: profile && profile.name, newEmail })
+    });
+  } catch (mailError) {
+    console.error('❌ Failed to send email changed notice:', mailError.message);
+  }
+
+  res.json({
+    success: true,
+    message: 'Email address changed successfully',
+    data: {
+      user: user.getPublicInfo()
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/auth/account
+ * @desc    Delete account (deactivated now, purged after the grace period)
+ * @access  Private
+ */
+router.delete('/account', authenticateSession, asyncHandler(async (req, res) => {
+  const { error, value } = deleteAccountSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+  const isPasswordValid = await confirmIdentity(req, user, value.password);
+  if (!isPasswordValid) {
+    throw createError.unauthorized('Password is incorrect');
+  }
+
+  const scheduledFor = await scheduleDeletion(user);
+  await recordSecurityEvent(req, 'account_deletion_requested', { user, metadata: { scheduledFor } });
+
+  const profile = await Profile.findOne({ userId: user._id }).select('name');
+  try {
+    await sendMail({
+      to: user.email,
+      ...emailTemplates.accountDeletionScheduled({ name: profile && profile.name, scheduledFor })
+    });
+  } catch (mailError) {
+    console.error('❌ Failed to send account deletion email:', mailError.message);
+  }
+
+  res.json({
+    success: true,
+    message: 'Account scheduled for deletion',
+    data: {
+      deletionScheduledFor: scheduledFor
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/account/restore
+ * @desc    Restore an account that is scheduled for deletion with its password,
+ *          or without one email a restore link
+ * @access  Public
+ */
+router.post('/account/restore', asyncHandler(async (req, res) => {
+  const { error, value } = restoreAccountSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  if (!value.password) {
+    const limit = await loginThrottle.registerMagicLinkRequest(value.email);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfter));
+      throw createError.tooManyRequests(`Too many restore links requested. Please try again in ${limit.retryAfter} seconds.`);
+    }
+
+    const user = await User.findByEmail(value.email);
+
+    // Only send mail for accounts awaiting deletion, but always answer the same way
+    if (user && user.deletionScheduledFor) {
+      // Restore links are login link tokens, which cannot sign in to an inactive account
+      const token = user.createMagicLinkToken();
+      await user.save({ validateBeforeSave: false });
+
+      const profile = await Profile.findOne({ userId: user._id }).select('name');
+      const expiresInMinutes = Math.round((user.magicLinkExpires - Date.now()) / 60000);
+
+      try {
+        await sendMail({
+          to: user.email,
+          ...emailTemplates.accountRestoreLink({ name: profile && profile.name, token, expiresInMinutes })
+        });
+      } catch (mailError) {
+        console.error('❌ Failed to send account restore email:', mailError.message);
+      }
+    }
+
+    return res.json({
+      success: true,
+      message: 'If that account is scheduled for deletion, a restore link has been sent'
+    });
+  }
+
+  const throttle = await loginThrottle.checkLoginAllowed(value.email, req.ip);
+  if (!throttle.allowed) {
+    res.set('Retry-After', String(throttle.retryAfter));
+    throw createError.tooManyRequests('Too many failed login attempts. Please try again later.');
+  }
+
+  const user = await User.findByEmail(value.email).select('+password');
+  // Passwordless accounts never match and fail like a wrong password, as on login,
+  // so the answer does not tell which accounts have no password
+  const isPasswordValid = user && await user.comparePassword(value.password);
+  if (!isPasswordValid) {
+    await handleFailedLogin(req, value.email, user, user ? 'invalid_password' : 'unknown_account');
+    throw createError.unauthorized('Invalid email or password');
+  }
+
+  if (!user.deletionScheduledFor) {
+    throw createError.badRequest('Account is not scheduled for deletion');
+  }
+
+  await restoreAccount(user);
+  await loginThrottle.registerSuccessfulLogin(user.email);
+  await recordSecurityEvent(req, 'account_restored', { user });
+
+  res.json({
+    success: true,
+    message: 'Account restored successfully. You can now log in.'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/account/restore/confirm
+ * @desc    Restore an account scheduled for deletion with an emailed restore link token
+ * @access  Public
+ */
+router.post('/account/restore/confirm', asyncHandler(async (req, res) => {
+  const { error, value } = restoreAccountConfirmSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const user = await User.consumeMagicLinkToken(value.token);
+  if (!user || !user.deletionScheduledFor) {
+    throw createError.badRequest('Restore link is invalid or has expired');
+  }
+
+  await restoreAccount(user);
+  await loginThrottle.registerSuccessfulLogin(user.email);
+  await recordSecurityEvent(req, 'account_restored', { user, metadata: { method: 'email_link' } });
+
+  res.json({
+    success: true,
+    message: 'Account restored successfully. You can now log in.'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/export
+ * @desc    Request an export of all personal data (ZIP)
+ * @access  Private
+ */
+router.post('/export', authenticateSession, asyncHandler(async (req, res) => {
+  // An export that never finished must not block new requests forever
+  await dataExport.failStaleExports({ userId: req.user._id });
+
+  const inProgress = await DataExport.exists({
+    userId: req.user._id,
+    status: { $in: ['pending', 'processing'] }
+  });
+  if (inProgress) {
+    throw createError.conflict('A data export is already being generated');
+  }
+
+  const pendingExport = new DataExport({ userId: req.user._id });
+  await pendingExport.save();
+  await recordSecurityEvent(req, 'data_export_requested', { user: req.user, metadata: { exportId: pendingExport._id } });
+
+  // Small exports are generated right away
+  if (await dataExport.canGenerateSynchronously(req.user._id)) {
+    const token = await dataExport.generateExport(pendingExport);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Data export is ready',
+      data: {
+        export: pendingExport.getPublicInfo(),
+        downloadUrl: buildExportDownloadUrl(req, pendingExport._id, token)
+      }
+    });
+  }
+
+  // Large exports are generated in the background and the link is emailed.
+  // If the process stops before it finishes, the export times out as failed.
+  const user = req.user;
+  const downloadBase = buildExportDownloadUrl(req, pendingExport._id, '');
+  setImmediate(async () => {
+    try {
+      const token = await dataExport.generateExport(pendingExport);
+      const profile = await Profile.findOne({ userId: user._id }).select('name');
+      await sendMail({
+        to: user.email,
+        ...emailTemplates.dataExportReady({
+          name: profile && profile.name,
+          downloadUrl: `${downloadBase}${token}`,
+          expiresAt: pendingExport.expiresAt
+        })
+      });
+    } catch (error) {
+      console.error('❌ Background data export failed:', error.message);
+    }
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Data export started. We will email you a download link when it is ready.',
+    data: {
+      export: pendingExport.getPublicInfo()
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/auth/export/:exportId
+ * @desc    Get the status of a data export
+ * @access  Private
+ */
+router.get('/export/:exportId', authenticateSession, asyncHandler(async (req, res) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.exportId)) {
+    throw createError.badRequest('Invalid export ID format');
+  }
+
+  await dataExport.failStaleExports({ _id: req.params.exportId, userId: req.user._id });
+  const existingExport = await DataExport.findOne({ _id: req.params.exportId, userId: req.user._id });
+  if (!existingExport) {
+    throw createError.notFound('Data export not found');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      export: existingExport.getPublicInfo()
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/auth/export/:exportId/download
+ * @desc    Download a data export with its download token (or as its owner)
+ * @access  Public (token) / Private
+ */
+router.get('/export/:exportId/download', optionalAuth, asyncHandler(async (req, res, next) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.exportId)) {
+    throw createError.badRequest('Invalid export ID format');
+  }
+
+  const existingExport = await DataExport.findById(req.params.exportId).select('+filePath +downloadTokenHash');
+  if (!existingExport) {
+    throw createError.notFound('Data export not found');
+  }
+
+  const isOwner = req.user && !req.accessToken && existingExport.userId.toString() === req.user._id.toString();
+  if (!isOwner && !dataExport.isValidDownloadToken(existingExport, req.query.token)) {
+    throw createError.forbidden('Download link is invalid');
+  }
+
+  if (existingExport.status !== 'ready' || !existingExport.expiresAt || existingExport.expiresAt <= new Date()) {
+    throw createError.notFound('Data export is not available or has expired');
+  }
+
+  const fileName = `predusk-export-${existingExport.completedAt.toISOString().slice(0, 10)}.zip`;
+  res.download(existingExport.filePath, fileName, (error) => {
+    if (error && !res.headersSent) {
+      next(createError.notFound('Data export file is no longer available'));
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/auth/activity
+ * @desc    List security events for the current user's account
+ * @access  Private
+ */
+router.get('/activity', authenticateSession, asyncHandler(async (req, res) => {
+  const { type, limit = 20, page = 1 } = req.query;
+  const pageLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+
+  const filter = { userId: req.user._id };
+  if (type) {
+    filter.type = type;
+  }
+
+  const [events, totalEvents] = await Promise.all([
+    SecurityEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((currentPage - 1) * pageLimit)
+      .limit(pageLimit),
+    SecurityEvent.countDocuments(filter)
+  ]);
+
+  const totalPages = Math.ceil(totalEvents / pageLimit);
+
+  res.json({
+    success: true,
+    data: {
+      events: events.map(event => event.getPublicInfo()),
+      pagination: {
+        currentPage,
+        totalPages,
+        totalEvents,
+        hasNextPage: currentPage < totalPages,
+        hasPrevPage: currentPage > 1
+      }
+    }
   });
 }));
 
@@ -296,7 +1506,7 @@ router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
  * @desc    Get current user info
  * @access  Private
  */
-router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
+router.get('/me', authenticateSession, asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
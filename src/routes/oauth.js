@@ -0,0 +1,270 @@
+const express = require('express');
+const crypto = require('crypto');
+const Joi = require('joi');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { authenticateToken, optionalAuth, requireSession } = require('../middleware/auth');
+const User = require('../models/User');
+const OAuthIdentity = require('../models/OAuthIdentity');
+const OAuthState = require('../models/OAuthState');
+const oauth = require('../utils/oauth');
+const { findOrCreateUser, linkIdentity } = require('../utils/oauth/accounts');
+const { hashToken } = require('../utils/tokens');
+const { assertAccountActive, completeLogin, countPasswordlessLogins } = require('../utils/login');
+const { recordSecurityEvent } = require('../utils/auditLog');
+
+const router = express.Router();
+
+// Account routes need an interactive login, never a personal access token
+const authenticateSession = [authenticateToken, requireSession];
+
+// Validation schemas
+const callbackSchema = Joi.object({
+  code: Joi.string().required().messages({
+    'any.required': 'Authorization code is required'
+  }),
+  state: Joi.string().required().messages({
+    'any.required': 'State is required'
+  })
+});
+
+// Ties an authorization to the browser that started it, so a callback URL
+// handed to someone else cannot complete it (login CSRF)
+const FLOW_COOKIE = 'predusk_oauth_flow';
+const FLOW_COOKIE_PATH = '/api/auth/oauth';
+// 'none' is needed when the frontend and the API are on different sites
+const FLOW_COOKIE_SAME_SITE = (process.env.OAUTH_COOKIE_SAMESITE || 'lax').toLowerCase();
+
+const flowCookieOptions = () => ({
+  httpOnly: true,
+  sameSite: FLOW_COOKIE_SAME_SITE,
+  secure: FLOW_COOKIE_SAME_SITE === 'none' || process.env.NODE_ENV === 'production',
+  path: FLOW_COOKIE_PATH
+});
+
+// Read a cookie from the request headers (no cookie parser is installed)
+const readCookie = (req, name) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+// Resolve the :provider route parameter to an enabled provider
+const findProvider = (req) => {
+  const provider = oauth.getProvider(req.params.provider);
+  if (!provider) {
+    throw createError.notFound('Login provider not found');
+  }
+  return provider;
+};
+
+// Start an authorization, bind it to the browser with a cookie and return
+// the provider URL to send the browser to
+const startAuthorization = async (res, provider, userId = null) => {
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const browserNonce = crypto.randomBytes(32).toString('base64url');
+  const { codeVerifier, codeChallenge } = oauth.generatePkce();
+  const redirectUri = oauth.getRedirectUri(provider.name);
+
+  await OAuthState.create({
+    stateHash: hashToken(state),
+    provider: provider.name,
+    codeVerifier,
+    nonce,
+    redirectUri,
+    browserNonceHash: hashToken(browserNonce),
+    userId
+  });
+
+  res.cookie(FLOW_COOKIE, browserNonce, {
+    ...flowCookieOptions(),
+    maxAge: OAuthState.OAUTH_STATE_EXPIRES_MINUTES * 60 * 1000
+  });
+
+  return {
+    authorizationUrl: await provider.getAuthorizationUrl({ state, nonce, codeChallenge, redirectUri }),
+    redirectUri
+  };
+};
+
+/**
+ * @route   GET /api/auth/oauth/providers
+ * @desc    List enabled login providers
+ * @access  Public
+ */
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: oauth.listProviders()
+    }
+  });
+});
+
+/**
+ * @route   GET /api/auth/oauth/identities
+ * @desc    List login providers linked to the current user
+ * @access  Private
+ */
+router.get('/identities', authenticateSession, asyncHandler(async (req, res) => {
+  const identities = await OAuthIdentity.find({ userId: req.user._id }).sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      identities: identities.map(identity => identity.getPublicInfo())
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/auth/oauth/identities/:identityId
+ * @desc    Unlink a login provider from the current user
+ * @access  Private
+ */
+router.delete('/identities/:identityId', authenticateSession, asyncHandler(async (req, res) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.identityId)) {
+    throw createError.badRequest('Invalid identity ID format');
+  }
+
+  const identity = await OAuthIdentity.findOne({ _id: req.params.identityId, userId: req.user._id });
+  if (!identity) {
+    throw createError.notFound('Linked login not found');
+  }
+
+  // Never remove the only way to sign in
+  if (!req.user.hasPassword && await countPasswordlessLogins(req.user._id) <= 1) {
+    throw createError.conflict('Set a password or add a passkey before unlinking your only way to sign in');
+  }
+
+  await identity.deleteOne();
+  await recordSecurityEvent(req, 'oauth_unlinked', { user: req.user, metadata: { provider: identity.provider } });
+
+  res.json({
+    success: true,
+    message: 'Login provider unlinked'
+  });
+}));
+
+/**
+ * @route   GET /api/auth/oauth/:provider/authorize
+ * @desc    Start a provider login; returns the URL to redirect the browser to
+ * @access  Public
+ */
+router.get('/:provider/authorize', asyncHandler(async (req, res) => {
+  const provider = findProvider(req);
+  const authorization = await startAuthorization(res, provider);
+
+  res.json({
+    success: true,
+    data: authorization
+  });
+}));
+
+/**
+ * @route   POST /api/auth/oauth/:provider/link
+ * @desc    Start linking a provider to the current user
+ * @access  Private
+ */
+router.post('/:provider/link', authenticateSession, asyncHandler(async (req, res) => {
+  const provider = findProvider(req);
+  const authorization = await startAuthorization(res, provider, req.user._id);
+
+  res.json({
+    success: true,
+    data: authorization
+  });
+}));
+
+/**
+ * @route   POST /api/auth/oauth/:provider/callback
+ * @desc    Finish a provider login or link with the code and state from the redirect.
+ *          Needs the cookie set when the flow started; a link also needs the
+ *          session of the user who started it.
+ * @access  Public
+ */
+router.post('/:provider/callback', optionalAuth, asyncHandler(async (req, res) => {
+  const { error, value } = callbackSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const provider = findProvider(req);
+
+  const browserNonce = readCookie(req, FLOW_COOKIE);
+  if (!browserNonce) {
+    throw createError.badRequest('Login attempt was not started in this browser. Please start again.');
+  }
+
+  // States are single use, and only the browser that started the flow can use one
+  const pending = await OAuthState.findOneAndDelete({
+    stateHash: hashToken(value.state),
+    provider: provider.name,
+    browserNonceHash: hashToken(browserNonce),
+    expiresAt: { $gt: new Date() }
+  });
+  res.clearCookie(FLOW_COOKIE, flowCookieOptions());
+  if (!pending) {
+    throw createError.badRequest('Login attempt is invalid or has expired. Please start again.');
+  }
+
+  // A link can only be finished by the signed-in user who started it
+  if (pending.userId && !(req.user && req.sessionId && req.user._id.equals(pending.userId))) {
+    throw createError.forbidden('Sign in to the account that started linking to finish it');
+  }
+
+  const providerProfile = await provider.fetchProfile({
+    code: value.code,
+    codeVerifier: pending.codeVerifier,
+    redirectUri: pending.redirectUri,
+    nonce: pending.nonce
+  });
+
+  // Linking to an account that is already signed in
+  if (pending.userId) {
+    const user = await User.findById(pending.userId);
+    if (!user || !user.isActive) {
+      throw createError.unauthorized('User account is no longer active');
+    }
+
+    const identity = await linkIdentity(provider, user, providerProfile);
+    await recordSecurityEvent(req, 'oauth_linked', { user, metadata: { provider: provider.name } });
+
+    return res.json({
+      success: true,
+      message: `${provider.displayName} account linked`,
+      data: {
+        identity: identity.getPublicInfo()
+      }
+    });
+  }
+
+  const { user, created, linked } = await findOrCreateUser(provider, providerProfile);
+  if (created) {
+    await recordSecurityEvent(req, 'register', { user, metadata: { method: `oauth:${provider.name}` } });
+  } else if (linked) {
+    await recordSecurityEvent(req, 'oauth_linked', { user, metadata: { provider: provider.name } });
+  }
+
+  await assertAccountActive(req, user, `oauth:${provider.name}`);
+  const result = await completeLogin(req, user, `oauth:${provider.name}`);
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    ...result,
+    data: {
+      ...result.data,
+      newAccount: created
+    }
+  });
+}));
+
+module.exports = router;
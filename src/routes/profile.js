@@ -3,27 +3,64 @@ const Joi = require('joi');
 const path = require('path');
 const fs = require('fs');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, requireScope } = require('../middleware/auth');
 const Profile = require('../models/Profile');
+const UsernameChange = require('../models/UsernameChange');
+const ProfileShareLink = require('../models/ProfileShareLink');
+const { publicProfileFilter, shownProfileFilter, VISIBILITY_LEVELS } = require('../utils/profileVisibility');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { getFrontendUrl } = require('../utils/mailer/templates');
+const ProfileVersion = require('../models/ProfileVersion');
+const {
+  takeSnapshot,
+  getDraftPreview,
+  updateDraft,
+  discardDraft,
+  findDraftOnlyImageUrls,
+  diffSnapshots,
+  diffDraft,
+  addDraftProject,
+  updateDraftProject,
+  removeDraftProject,
+  publishDraft,
+  findVersion,
+  restoreVersion
+} = require('../utils/profileVersions');
+const { scoreProfile } = require('../utils/profileCompleteness');
+const { RESUME_TEMPLATES, renderResume } = require('../utils/resume');
+const {
+  JSON_RESUME_SECTIONS,
+  jsonResumeSchema,
+  toJsonResume,
+  scopesForSections,
+  importJsonResume
+} = require('../utils/jsonResume');
+const { changeUsername, findUsernameRedirect, isUsernameAvailable, validateUsername } = require('../utils/usernames');
 const upload = require('../middleware/upload');
 
 const router = express.Router();
 
 // Validation schemas
+const visibilitySchema = Joi.string().valid(...VISIBILITY_LEVELS).messages({
+  'any.only': 'Visibility must be one of: ' + VISIBILITY_LEVELS.join(', ')
+});
+
 const profileUpdateSchema = Joi.object({
   name: Joi.string().min(2).max(100).messages({
     'string.min': 'Name must be at least 2 characters long',
     'string.max': 'Name cannot exceed 100 characters'
   }),
-  email: Joi.string().email().messages({
-    'string.email': 'Please provide a valid email address'
+  // Profile email follows the account email; change both via POST /api/auth/email.
+  // Clients that send the whole profile back may include the current email, which is dropped.
+  email: Joi.string().trim().lowercase().valid(Joi.ref('$email')).strip().messages({
+    'any.only': 'Email cannot be changed here. Use POST /api/auth/email to change your email address'
   }),
   bio: Joi.string().max(500).messages({
     'string.max': 'Bio cannot exceed 500 characters'
   }),
-  education: Joi.string().max(200).messages({
-    'string.max': 'Education cannot exceed 200 characters'
-  }),
+  // Education is a list of entries managed under /api/profile/education; the old
+  // education string is still accepted from older clients but ignored (see ignoredFieldWarnings)
+  education: Joi.any().strip(),
   location: Joi.string().max(100).messages({
     'string.max': 'Location cannot exceed 100 characters'
   }),
@@ -33,6 +70,12 @@ const profileUpdateSchema = Joi.object({
   isPublic: Joi.boolean()
 });
 
+const publishSchema = Joi.object({
+  note: Joi.string().max(200).allow('').messages({
+    'string.max': 'Version note cannot exceed 200 characters'
+  })
+});
+
 const skillSchema = Joi.object({
   skill: Joi.string().min(1).max(50).required().messages({
     'string.min': 'Skill name cannot be empty',
@@ -80,17 +123,124 @@ const workExperienceSchema = Joi.object({
     'string.max': 'Work description cannot exceed 500 characters',
     'any.required': 'Work description is required'
   }),
-  startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required().messages({
-    'string.pattern.base': 'Start date must be in YYYY-MM-DD format',
+  startDate: Joi.date().iso().required().messages({
+    'date.base': 'Start date must be in YYYY-MM-DD format',
+    'date.format': 'Start date must be in YYYY-MM-DD format',
     'any.required': 'Start date is required'
   }),
-  endDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow('').messages({
-    'string.pattern.base': 'End date must be in YYYY-MM-DD format'
+  // A current position has no end date; otherwise it cannot end before it starts
+  endDate: Joi.when('isCurrent', {
+    is: true,
+    then: Joi.valid(null, '').messages({
+      'any.only': 'A current position cannot have an end date'
+    }),
+    otherwise: Joi.date().iso().min(Joi.ref('startDate')).allow(null, '').messages({
+      'date.base': 'End date must be in YYYY-MM-DD format',
+      'date.format': 'End date must be in YYYY-MM-DD format',
+      'date.min': 'End date cannot be before the start date'
+    })
   }),
   isCurrent: Joi.boolean(),
-  location: Joi.string().max(100).allow('')
+  location: Joi.string().max(100).allow(''),
+  visibility: visibilitySchema
+});
+
+const educationEntrySchema = Joi.object({
+  institution: Joi.string().min(1).max(150).required().messages({
+    'string.min': 'Institution cannot be empty',
+    'string.max': 'Institution cannot exceed 150 characters',
+    'any.required': 'Institution is required'
+  }),
+  degree: Joi.string().max(100).allow('').messages({
+    'string.max': 'Degree cannot exceed 100 characters'
+  }),
+  field: Joi.string().max(100).allow('').messages({
+    'string.max': 'Field of study cannot exceed 100 characters'
+  }),
+  startDate: Joi.date().iso().allow(null, '').messages({
+    'date.base': 'Start date must be in YYYY-MM-DD format',
+    'date.format': 'Start date must be in YYYY-MM-DD format'
+  }),
+  endDate: Joi.when('startDate', {
+    is: Joi.date().required(),
+    then: Joi.date().iso().min(Joi.ref('startDate')).allow(null, ''),
+    otherwise: Joi.date().iso().allow(null, '')
+  }).messages({
+    'date.base': 'End date must be in YYYY-MM-DD format',
+    'date.format': 'End date must be in YYYY-MM-DD format',
+    'date.min': 'End date cannot be before the start date'
+  }),
+  grade: Joi.string().max(50).allow('').messages({
+    'string.max': 'Grade cannot exceed 50 characters'
+  }),
+  description: Joi.string().max(500).allow('').messages({
+    'string.max': 'Education description cannot exceed 500 characters'
+  }),
+  visibility: visibilitySchema
+});
+
+const usernameSchema = Joi.object({
+  // null removes the username
+  username: Joi.string().trim().max(30).allow(null).required().messages({
+    'string.max': 'Username cannot exceed 30 characters',
+    'any.required': 'Username is required'
+  })
+});
+
+const privacySchema = Joi.object({
+  work: visibilitySchema,
+  education: visibilitySchema,
+  links: visibilitySchema,
+  location: visibilitySchema,
+  email: visibilitySchema,
+  linkItems: Joi.object({
+    github: visibilitySchema,
+    linkedin: visibilitySchema,
+    portfolio: visibilitySchema,
+    website: visibilitySchema
+  })
+}).min(1).messages({
+  'object.min': 'At least one privacy setting is required'
+});
+
+const shareLinkSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required().messages({
+    'string.min': 'Share link name cannot be empty',
+    'string.max': 'Share link name cannot exceed 100 characters',
+    'any.required': 'Share link name is required'
+  }),
+  projectIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).max(50).messages({
+    'string.pattern.base': 'Invalid project ID format',
+    'array.max': 'A share link can include at most 50 projects'
+  }),
+  expiresInDays: Joi.number().integer().min(1).max(365).allow(null).messages({
+    'number.min': 'Expiry must be at least 1 day',
+    'number.max': 'Expiry cannot exceed 365 days'
+  })
+});
+
+const MAX_SHARE_LINKS = 25;
+
+const jsonResumeImportSchema = Joi.object({
+  resume: jsonResumeSchema.required().messages({
+    'any.required': 'A JSON Resume document is required in "resume"'
+  }),
+  mode: Joi.string().valid('merge', 'replace').default('merge').messages({
+    'any.only': 'Mode must be either merge or replace'
+  }),
+  sections: Joi.array().items(Joi.string().valid(...JSON_RESUME_SECTIONS)).min(1).default(JSON_RESUME_SECTIONS).messages({
+    'any.only': 'Sections must be any of: ' + JSON_RESUME_SECTIONS.join(', '),
+    'array.min': 'At least one section is required'
+  }),
+  dryRun: Joi.boolean().default(false)
 });
 
+const resumeQuerySchema = Joi.object({
+  template: Joi.string().valid(...RESUME_TEMPLATES).default('classic').messages({
+    'any.only': 'Template must be one of: ' + RESUME_TEMPLATES.join(', ')
+  })
+}).unknown(true);
+
 const linksSchema = Joi.object({
   github: Joi.string().pattern(/^https?:\/\/.+/).allow('').messages({
     'string.pattern.base': 'GitHub link must be a valid URL starting with http:// or https://'
@@ -106,12 +256,95 @@ const linksSchema = Joi.object({
   })
 });
 
+// Find a work experience entry on a profile by its :workId parameter
+const findWorkEntry = (profile, workId) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(workId)) {
+    throw createError.badRequest('Invalid work experience ID format');
+  }
+  const entry = profile.work.id(workId);
+  if (!entry) {
+    throw createError.notFound('Work experience not found');
+  }
+  return entry;
+};
+
+// Find an education entry on a profile by its :educationId parameter
+const findEducationEntry = (profile, educationId) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(educationId)) {
+    throw createError.badRequest('Invalid education ID format');
+  }
+  const entry = profile.education.id(educationId);
+  if (!entry) {
+    throw createError.notFound('Education entry not found');
+  }
+  return entry;
+};
+
+// Education entry fields with blank dates stored as null
+const normalizeEducationEntry = (value) => ({
+  degree: '',
+  field: '',
+  grade: '',
+  description: '',
+  visibility: 'public',
+  ...value,
+  startDate: value.startDate || null,
+  endDate: value.endDate || null
+});
+
+// Find the current user's profile including its draft
+const findOwnProfileWithDraft = async (userId) => {
+  const profile = await Profile.findOne({ userId }).select('+draft +draftUpdatedAt');
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+  return profile;
+};
+
+// Save profile edits to the draft; visibility (isPublic) still applies at once
+const saveProfileDraft = async (profile, value) => {
+  const { isPublic, ...changes } = value;
+  if (isPublic !== undefined) {
+    profile.isPublic = isPublic;
+  }
+  if (Object.keys(changes).length) {
+    updateDraft(profile, changes);
+  }
+  await profile.save();
+};
+
+// Deprecation notices for fields the profile update routes accept but ignore
+const ignoredFieldWarnings = (body) => body && body.education !== undefined
+  ? ['education ignored: it is deprecated here, manage education entries with /api/profile/education']
+  : [];
+
+// Render a résumé of the profile data and send it as a PDF
+const sendResume = (req, res, profileData) => {
+  const { error, value } = resumeQuerySchema.validate(req.query);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const slug = (profileData.username || profileData.name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'profile';
+  const pdf = renderResume(profileData, { template: value.template });
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${slug}-resume.pdf"`,
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(pdf);
+};
+
 /**
  * @route   GET /api/profile
  * @desc    Get current user's profile
  * @access  Private
  */
-router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+router.get('/', authenticateToken, requireScope('profile:read'), asyncHandler(async (req, res) => {
   const profile = await Profile.findOne({ userId: req.user._id });
   
   if (!profile) {
@@ -126,70 +359,357 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
 
 /**
  * @route   POST /api/profile
- * @desc    Create or update current user's profile
+ * @desc    Create current user's profile, or save changes to it as a draft
  * @access  Private
  */
-router.post('/', authenticateToken, asyncHandler(async (req, res) => {
+router.post('/', authenticateToken, requireScope('profile:write'), asyncHandler(async (req, res) => {
   // Validate request body
-  const { error, value } = profileUpdateSchema.validate(req.body);
+  const { error, value } = profileUpdateSchema.validate(req.body, { context: { email: req.user.email } });
   if (error) {
     throw createError.badRequest(error.details[0].message);
   }
 
-  let profile = await Profile.findOne({ userId: req.user._id });
+  let profile = await Profile.findOne({ userId: req.user._id }).select('+draft +draftUpdatedAt');
   
   if (profile) {
-    // Update existing profile
-    Object.assign(profile, value);
-    await profile.save();
+    // Update existing profile (through the draft)
+    await saveProfileDraft(profile, value);
     
+    const warnings = ignoredFieldWarnings(req.body);
     res.json({
       success: true,
-      message: 'Profile updated successfully',
-      data: profile
+      message: 'Profile changes saved as a draft. Publish them with POST /api/profile/publish',
+      data: getDraftPreview(profile),
+      ...(warnings.length && { warnings })
     });
   } else {
     // Create new profile
     profile = new Profile({
       userId: req.user._id,
+      email: req.user.email,
+      emailVerified: req.user.emailVerified,
       ...value
     });
     
     await profile.save();
     
+    const warnings = ignoredFieldWarnings(req.body);
     res.status(201).json({
       success: true,
       message: 'Profile created successfully',
-      data: profile
+      data: profile,
+      ...(warnings.length && { warnings })
     });
   }
 }));
 
 /**
  * @route   PUT /api/profile
- * @desc    Update current user's profile
+ * @desc    Save changes to current user's profile as a draft
  * @access  Private
  */
-router.put('/', authenticateToken, asyncHandler(async (req, res) => {
+router.put('/', authenticateToken, requireScope('profile:write'), asyncHandler(async (req, res) => {
   // Validate request body
-  const { error, value } = profileUpdateSchema.validate(req.body);
+  const { error, value } = profileUpdateSchema.validate(req.body, { context: { email: req.user.email } });
   if (error) {
     throw createError.badRequest(error.details[0].message);
   }
 
+  const profile = await findOwnProfileWithDraft(req.user._id);
+  await saveProfileDraft(profile, value);
+
+  const warnings = ignoredFieldWarnings(req.body);
+  res.json({
+    success: true,
+    message: 'Profile changes saved as a draft. Publish them with POST /api/profile/publish',
+    data: getDraftPreview(profile),
+    ...(warnings.length && { warnings })
+  });
+}));
+
+/**
+ * @route   GET /api/profile/completeness
+ * @desc    Score how complete the current user's profile is, with hints to improve it
+ * @access  Private
+ */
+router.get('/completeness', authenticateToken, requireScope('profile:read'), asyncHandler(async (req, res) => {
+  const profile = await findOwnProfileWithDraft(req.user._id);
+  const completeness = scoreProfile(profile);
+
+  // Unpublished changes count once they are published
+  let draft = null;
+  if (diffDraft(profile).length) {
+    const draftCompleteness = scoreProfile(getDraftPreview(profile));
+    draft = { score: draftCompleteness.score, hints: draftCompleteness.hints };
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...completeness,
+      // What search shows and filters on: private sections do not count
+      publicScore: profile.getPublicCompleteness(),
+      draft
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/profile/resume.pdf
+ * @desc    Download the current user's résumé with every section and project (?template=)
+ * @access  Private
+ */
+router.get('/resume.pdf', authenticateToken, requireScope('profile:read'), asyncHandler(async (req, res) => {
   const profile = await Profile.findOne({ userId: req.user._id });
-  
+
   if (!profile) {
     throw createError.notFound('Profile not found');
   }
 
-  Object.assign(profile, value);
+  // The owner sees every section; private projects are included too
+  sendResume(req, res, {
+    ...profile.getPublicProfile(req.user),
+    projects: profile.projects
+  });
+}));
+
+/**
+ * @route   GET /api/profile/export/json-resume
+ * @desc    Export the current user's profile as a JSON Resume document
+ * @access  Private
+ */
+router.get('/export/json-resume', authenticateToken, requireScope('profile:read'), asyncHandler(async (req, res) => {
+  const profile = await Profile.findOne({ userId: req.user._id });
+
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  res.json({
+    success: true,
+    data: toJsonResume(profile)
+  });
+}));
+
+/**
+ * @route   POST /api/profile/import/json-resume
+ * @desc    Merge a JSON Resume document into the profile or replace sections with it (dryRun previews)
+ * @access  Private
+ */
+router.post('/import/json-resume', authenticateToken, asyncHandler(async (req, res) => {
+  const { error, value } = jsonResumeImportSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  // Tokens need the write scope of each imported section; a dry run only reads
+  const requiredScopes = value.dryRun ? ['profile:read'] : scopesForSections(value.sections);
+  const missingScope = req.accessToken && requiredScopes.find(scope => !req.accessToken.scopes.includes(scope));
+  if (missingScope) {
+    throw createError.forbidden(`Access token is missing the required scope: ${missingScope}`);
+  }
+
+  const profile = await findOwnProfileWithDraft(req.user._id);
+  const { changes, warnings } = importJsonResume(profile, value.resume, {
+    mode: value.mode,
+    sections: value.sections
+  });
+
+  if (value.dryRun) {
+    // Check the result like a save would, without writing it
+    await profile.validate();
+  } else {
+    await profile.save();
+  }
+
+  res.json({
+    success: true,
+    message: value.dryRun
+      ? 'Import preview; nothing was saved'
+      : 'JSON Resume imported. Name, bio, location, avatar and projects are in your draft until you publish them',
+    data: {
+      dryRun: value.dryRun,
+      mode: value.mode,
+      changes,
+      warnings,
+      profile: getDraftPreview(profile)
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/profile/draft
+ * @desc    Get the current user's profile with unpublished changes applied
+ * @access  Private
+ */
+router.get('/draft', authenticateToken, requireScope('profile:read'), asyncHandler(async (req, res) => {
+  const profile = await findOwnProfileWithDraft(req.user._id);
+  const changes = diffDraft(profile);
+
+  res.json({
+    success: true,
+    data: {
+      hasChanges: changes.length > 0,
+      updatedAt: profile.draftUpdatedAt,
+      publishedVersion: profile.publishedVersion,
+      changes,
+      profile: getDraftPreview(profile)
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/profile/draft
+ * @desc    Discard unpublished changes
+ * @access  Private
+ */
+router.delete('/draft', authenticateToken, requireScope('profile:write'), asyncHandler(async (req, res) => {
+  const profile = await findOwnProfileWithDraft(req.user._id);
+  // Images uploaded to draft projects are not referenced anywhere else
+  const orphanedImages = await findDraftOnlyImageUrls(profile);
+  discardDraft(profile);
   await profile.save();
+  await upload.removeUploadedImages(orphanedImages);
 
   res.json({
     success: true,
-    message: 'Profile updated successfully',
-    data: profile
+    message: 'Draft discarded successfully'
+  });
+}));
+
+/**
+ * @route   POST /api/profile/publish
+ * @desc    Publish the draft as a new profile version
+ * @access  Private
+ */
+router.post('/publish', authenticateToken, requireScope('profile:write'), asyncHandler(async (req, res) => {
+  const { error, value } = publishSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const profile = await findOwnProfileWithDraft(req.user._id);
+  const version = await publishDraft(profile, { note: value.note });
+
+  res.json({
+    success: true,
+    message: `Profile published as version ${version.version}`,
+    data: {
+      version: version.getPublicInfo(),
+      profile
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/profile/versions
+ * @desc    List published versions of the current user's profile
+ * @access  Private
+ */
+router.get('/versions', authenticateToken, requireScope('profile:read'), asyncHandler(async (req, res) => {
+  const { limit = 20, page = 1 } = req.query;
+  const pageLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+
+  const profile = await Profile.findOne({ userId: req.user._id }).select('publishedVersion');
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  const [versions, totalVersions] = await Promise.all([
+    ProfileVersion.find({ profileId: profile._id })
+      .select('-snapshot')
+      .sort({ version: -1 })
+      .skip((currentPage - 1) * pageLimit)
+      .limit(pageLimit),
+    ProfileVersion.countDocuments({ profileId: profile._id })
+  ]);
+
+  const totalPages = Math.ceil(totalVersions / pageLimit);
+
+  res.json({
+    success: true,
+    data: {
+      publishedVersion: profile.publishedVersion,
+      versions: versions.map(version => version.getPublicInfo()),
+      pagination: {
+        currentPage,
+        totalPages,
+        totalVersions,
+        hasNextPage: currentPage < totalPages,
+        hasPrevPage: currentPage > 1
+      }
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/profile/versions/:version
+ * @desc    Get a published version's content
+ * @access  Private
+ */
+router.get('/versions/:version', authenticateToken, requireScope('profile:read'), asyncHandler(async (req, res) => {
+  const profile = await findOwnProfileWithDraft(req.user._id);
+  const version = await findVersion(profile, req.params.version);
+
+  res.json({
+    success: true,
+    data: {
+      ...version.getPublicInfo(),
+      snapshot: version.snapshot
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/profile/versions/:version/diff
+ * @desc    Compare a version with another one (?against=N, default the previous version)
+ * @access  Private
+ */
+router.get('/versions/:version/diff', authenticateToken, requireScope('profile:read'), asyncHandler(async (req, res) => {
+  const profile = await findOwnProfileWithDraft(req.user._id);
+  const version = await findVersion(profile, req.params.version);
+
+  // Version 1 compares against an empty profile unless told otherwise
+  let base = null;
+  if (req.query.against !== undefined) {
+    base = await findVersion(profile, req.query.against);
+  } else if (version.version > 1) {
+    base = await findVersion(profile, version.version - 1);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      from: base ? base.version : null,
+      to: version.version,
+      changes: diffSnapshots(base ? base.snapshot : {}, version.snapshot)
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/profile/versions/:version/restore
+ * @desc    Roll the live profile back to an earlier version (published as a new version)
+ * @access  Private
+ */
+router.post('/versions/:version/restore', authenticateToken, requireScope('profile:write'), asyncHandler(async (req, res) => {
+  const profile = await findOwnProfileWithDraft(req.user._id);
+  const record = await findVersion(profile, req.params.version);
+
+  if (!diffSnapshots(takeSnapshot(profile), record.snapshot).length) {
+    throw createError.badRequest('This version is already live');
+  }
+
+  const version = await restoreVersion(profile, record);
+
+  res.json({
+    success: true,
+    message: `Version ${record.version} restored as version ${version.version}`,
+    data: {
+      version: version.getPublicInfo(),
+      profile
+    }
   });
 }));
 
@@ -198,7 +718,7 @@ router.put('/', authenticateToken, asyncHandler(async (req, res) => {
  * @desc    Add a skill to profile
  * @access  Private
  */
-router.post('/skills', authenticateToken, asyncHandler(async (req, res) => {
+router.post('/skills', authenticateToken, requireScope('profile:write'), asyncHandler(async (req, res) => {
   const { error, value } = skillSchema.validate(req.body);
   if (error) {
     throw createError.badRequest(error.details[0].message);
@@ -224,7 +744,7 @@ router.post('/skills', authenticateToken, asyncHandler(async (req, res) => {
  * @desc    Remove a skill from profile
  * @access  Private
  */
-router.delete('/skills/:skill', authenticateToken, asyncHandler(async (req, res) => {
+router.delete('/skills/:skill', authenticateToken, requireScope('profile:write'), asyncHandler(async (req, res) => {
   const profile = await Profile.findOne({ userId: req.user._id });
   
   if (!profile) {
@@ -242,36 +762,32 @@ router.delete('/skills/:skill', authenticateToken, asyncHandler(async (req, res)
 
 /**
  * @route   POST /api/profile/projects
- * @desc    Add a project to profile
+ * @desc    Add a project to the profile draft
  * @access  Private
  */
-router.post('/projects', authenticateToken, asyncHandler(async (req, res) => {
+router.post('/projects', authenticateToken, requireScope('projects:write'), asyncHandler(async (req, res) => {
   const { error, value } = projectSchema.validate(req.body);
   if (error) {
     throw createError.badRequest(error.details[0].message);
   }
 
-  const profile = await Profile.findOne({ userId: req.user._id });
-  
-  if (!profile) {
-    throw createError.notFound('Profile not found');
-  }
-
-  await profile.addProject(value);
+  const profile = await findOwnProfileWithDraft(req.user._id);
+  const projects = addDraftProject(profile, value);
+  await profile.save();
 
   res.json({
     success: true,
-    message: 'Project added successfully',
-    data: profile.projects
+    message: 'Project added to your draft',
+    data: projects
   });
 }));
 
 /**
  * @route   POST /api/profile/projects/upload
- * @desc    Add a project to profile with image upload
+ * @desc    Add a project to the profile draft with image upload
  * @access  Private
  */
-router.post('/projects/upload', authenticateToken, upload.single('image'), asyncHandler(async (req, res) => {
+router.post('/projects/upload', authenticateToken, requireScope('projects:write'), upload.single('image'), asyncHandler(async (req, res) => {
   try {
     console.log('📁 File upload request received:', req.file);
     console.log('📝 Request body:', req.body);
@@ -316,7 +832,7 @@ router.post('/projects/upload', authenticateToken, upload.single('image'), async
       throw createError.badRequest(error.details[0].message);
     }
 
-    const profile = await Profile.findOne({ userId: req.user._id });
+    const profile = await Profile.findOne({ userId: req.user._id }).select('+draft +draftUpdatedAt');
     
     if (!profile) {
       console.error('❌ Profile not found for user:', req.user._id);
@@ -327,13 +843,14 @@ router.post('/projects/upload', authenticateToken, upload.single('image'), async
       throw createError.notFound('Profile not found');
     }
 
-    console.log('✅ Profile found, adding project...');
-    await profile.addProject(value);
+    console.log('✅ Profile found, adding project to draft...');
+    const projects = addDraftProject(profile, value);
+    await profile.save();
 
     res.json({
       success: true,
-      message: 'Project added successfully with image',
-      data: profile.projects
+      message: 'Project added to your draft with image',
+      data: projects
     });
   } catch (error) {
     console.error('❌ Error in project upload:', error);
@@ -356,48 +873,40 @@ router.post('/projects/upload', authenticateToken, upload.single('image'), async
 
 /**
  * @route   PUT /api/profile/projects/:projectId
- * @desc    Update a project in profile
+ * @desc    Update a project in the profile draft
  * @access  Private
  */
-router.put('/projects/:projectId', authenticateToken, asyncHandler(async (req, res) => {
+router.put('/projects/:projectId', authenticateToken, requireScope('projects:write'), asyncHandler(async (req, res) => {
   const { error, value } = projectSchema.validate(req.body);
   if (error) {
     throw createError.badRequest(error.details[0].message);
   }
 
-  const profile = await Profile.findOne({ userId: req.user._id });
-  
-  if (!profile) {
-    throw createError.notFound('Profile not found');
-  }
-
-  await profile.updateProject(req.params.projectId, value);
+  const profile = await findOwnProfileWithDraft(req.user._id);
+  const projects = updateDraftProject(profile, req.params.projectId, value);
+  await profile.save();
 
   res.json({
     success: true,
-    message: 'Project updated successfully',
-    data: profile.projects
+    message: 'Project updated in your draft',
+    data: projects
   });
 }));
 
 /**
  * @route   DELETE /api/profile/projects/:projectId
- * @desc    Remove a project from profile
+ * @desc    Remove a project from the profile draft
  * @access  Private
  */
-router.delete('/projects/:projectId', authenticateToken, asyncHandler(async (req, res) => {
-  const profile = await Profile.findOne({ userId: req.user._id });
-  
-  if (!profile) {
-    throw createError.notFound('Profile not found');
-  }
-
-  await profile.removeProject(req.params.projectId);
+router.delete('/projects/:projectId', authenticateToken, requireScope('projects:write'), asyncHandler(async (req, res) => {
+  const profile = await findOwnProfileWithDraft(req.user._id);
+  const projects = removeDraftProject(profile, req.params.projectId);
+  await profile.save();
 
   res.json({
     success: true,
-    message: 'Project removed successfully',
-    data: profile.projects
+    message: 'Project removed from your draft',
+    data: projects
   });
 }));
 
@@ -406,7 +915,7 @@ router.delete('/projects/:projectId', authenticateToken, asyncHandler(async (req
  * @desc    Add work experience to profile
  * @access  Private
  */
-router.post('/work', authenticateToken, asyncHandler(async (req, res) => {
+router.post('/work', authenticateToken, requireScope('work:write'), asyncHandler(async (req, res) => {
   console.log('💼 Work experience request received:', req.body);
   
   const { error, value } = workExperienceSchema.validate(req.body);
@@ -425,7 +934,7 @@ router.post('/work', authenticateToken, asyncHandler(async (req, res) => {
     throw createError.notFound('Profile not found');
   }
 
-  profile.work.push(value);
+  profile.work.push({ ...value, endDate: value.endDate || null });
   await profile.save();
 
   console.log('✅ Work experience added successfully:', value);
@@ -437,12 +946,162 @@ router.post('/work', authenticateToken, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route   PUT /api/profile/work/:workId
+ * @desc    Update a work experience entry
+ * @access  Private
+ */
+router.put('/work/:workId', authenticateToken, requireScope('work:write'), asyncHandler(async (req, res) => {
+  const { error, value } = workExperienceSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const profile = await Profile.findOne({ userId: req.user._id });
+
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  const entry = findWorkEntry(profile, req.params.workId);
+  entry.set({
+    location: '',
+    isCurrent: false,
+    visibility: 'public',
+    ...value,
+    endDate: value.endDate || null
+  });
+  await profile.save();
+
+  res.json({
+    success: true,
+    message: 'Work experience updated successfully',
+    data: profile.work
+  });
+}));
+
+/**
+ * @route   DELETE /api/profile/work/:workId
+ * @desc    Remove a work experience entry
+ * @access  Private
+ */
+router.delete('/work/:workId', authenticateToken, requireScope('work:write'), asyncHandler(async (req, res) => {
+  const profile = await Profile.findOne({ userId: req.user._id });
+
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  findWorkEntry(profile, req.params.workId).deleteOne();
+  await profile.save();
+
+  res.json({
+    success: true,
+    message: 'Work experience removed successfully',
+    data: profile.work
+  });
+}));
+
+/**
+ * @route   GET /api/profile/education
+ * @desc    List education entries of the current user's profile
+ * @access  Private
+ */
+router.get('/education', authenticateToken, requireScope('profile:read'), asyncHandler(async (req, res) => {
+  const profile = await Profile.findOne({ userId: req.user._id }).select('education');
+
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  res.json({
+    success: true,
+    data: profile.education
+  });
+}));
+
+/**
+ * @route   POST /api/profile/education
+ * @desc    Add an education entry to profile
+ * @access  Private
+ */
+router.post('/education', authenticateToken, requireScope('profile:write'), asyncHandler(async (req, res) => {
+  const { error, value } = educationEntrySchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const profile = await Profile.findOne({ userId: req.user._id });
+
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  profile.education.push(normalizeEducationEntry(value));
+  await profile.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Education added successfully',
+    data: profile.education
+  });
+}));
+
+/**
+ * @route   PUT /api/profile/education/:educationId
+ * @desc    Update an education entry
+ * @access  Private
+ */
+router.put('/education/:educationId', authenticateToken, requireScope('profile:write'), asyncHandler(async (req, res) => {
+  const { error, value } = educationEntrySchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const profile = await Profile.findOne({ userId: req.user._id });
+
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  findEducationEntry(profile, req.params.educationId).set(normalizeEducationEntry(value));
+  await profile.save();
+
+  res.json({
+    success: true,
+    message: 'Education updated successfully',
+    data: profile.education
+  });
+}));
+
+/**
+ * @route   DELETE /api/profile/education/:educationId
+ * @desc    Remove an education entry
+ * @access  Private
+ */
+router.delete('/education/:educationId', authenticateToken, requireScope('profile:write'), asyncHandler(async (req, res) => {
+  const profile = await Profile.findOne({ userId: req.user._id });
+
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  findEducationEntry(profile, req.params.educationId).deleteOne();
+  await profile.save();
+
+  res.json({
+    success: true,
+    message: 'Education removed successfully',
+    data: profile.education
+  });
+}));
+
 /**
  * @route   PUT /api/profile/links
  * @desc    Update social links in profile
  * @access  Private
  */
-router.put('/links', authenticateToken, asyncHandler(async (req, res) => {
+router.put('/links', authenticateToken, requireScope('profile:write'), asyncHandler(async (req, res) => {
   console.log('🔗 Links update request received:', req.body);
   
   const { error, value } = linksSchema.validate(req.body);
@@ -473,21 +1132,318 @@ router.put('/links', authenticateToken, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route   PUT /api/profile/privacy
+ * @desc    Set who can see profile sections and individual links
+ * @access  Private
+ */
+router.put('/privacy', authenticateToken, requireScope('profile:write'), asyncHandler(async (req, res) => {
+  const { error, value } = privacySchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const profile = await Profile.findOne({ userId: req.user._id });
+
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  const { linkItems, ...sections } = value;
+  for (const [section, visibility] of Object.entries(sections)) {
+    profile.set(`privacy.${section}`, visibility);
+  }
+  for (const [key, visibility] of Object.entries(linkItems || {})) {
+    profile.set(`privacy.linkItems.${key}`, visibility);
+  }
+  await profile.save();
+
+  res.json({
+    success: true,
+    message: 'Privacy settings updated successfully',
+    data: profile.privacy
+  });
+}));
+
+/**
+ * @route   GET /api/profile/share-links
+ * @desc    List share links for the current user's profile
+ * @access  Private
+ */
+router.get('/share-links', authenticateToken, requireScope('profile:read'), asyncHandler(async (req, res) => {
+  const links = await ProfileShareLink.find({ userId: req.user._id, revokedAt: null })
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      links: links.map(link => ({ ...link.getPublicInfo(), active: link.isActive() }))
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/profile/share-links
+ * @desc    Create an unlisted link to the profile (the link is only shown once)
+ * @access  Private
+ */
+router.post('/share-links', authenticateToken, requireScope('profile:write'), asyncHandler(async (req, res) => {
+  const { error, value } = shareLinkSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const profile = await Profile.findOne({ userId: req.user._id }).select('projects._id');
+
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  const projectIds = [...new Set(value.projectIds || [])];
+  const unknownProject = projectIds.find(projectId => !profile.projects.id(projectId));
+  if (unknownProject) {
+    throw createError.badRequest(`Project not found: ${unknownProject}`);
+  }
+
+  const activeCount = await ProfileShareLink.countDocuments({ userId: req.user._id, revokedAt: null });
+  if (activeCount >= MAX_SHARE_LINKS) {
+    throw createError.conflict(`You can have at most ${MAX_SHARE_LINKS} share links`);
+  }
+
+  const token = generateRandomToken(24);
+  const link = new ProfileShareLink({
+    userId: req.user._id,
+    profileId: profile._id,
+    name: value.name,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, 8),
+    projectIds,
+    expiresAt: value.expiresInDays
+      ? new Date(Date.now() + value.expiresInDays * 24 * 60 * 60 * 1000)
+      : null
+  });
+  await link.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Share link created. Copy it now, it will not be shown again.',
+    data: {
+      token,
+      url: `${getFrontendUrl()}/shared/${token}`,
+      link: link.getPublicInfo()
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/profile/share-links/:linkId
+ * @desc    Revoke a share link
+ * @access  Private
+ */
+router.delete('/share-links/:linkId', authenticateToken, requireScope('profile:write'), asyncHandler(async (req, res) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.linkId)) {
+    throw createError.badRequest('Invalid share link ID format');
+  }
+
+  const link = await ProfileShareLink.findOne({
+    _id: req.params.linkId,
+    userId: req.user._id,
+    revokedAt: null
+  });
+
+  if (!link) {
+    throw createError.notFound('Share link not found');
+  }
+
+  link.revokedAt = new Date();
+  await link.save();
+
+  res.json({
+    success: true,
+    message: 'Share link revoked successfully'
+  });
+}));
+
+/**
+ * @route   GET /api/profile/shared/:token
+ * @desc    Get a profile, public or not, through a share link
+ * @access  Public
+ */
+router.get('/shared/:token', optionalAuth, asyncHandler(async (req, res) => {
+  // Count the view in the same step that checks the link is still valid
+  const link = await ProfileShareLink.findOneAndUpdate(
+    {
+      tokenHash: hashToken(req.params.token),
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    },
+    { $inc: { viewCount: 1 }, lastViewedAt: new Date() },
+    { new: true }
+  );
+  if (!link) {
+    throw createError.notFound('Share link is invalid, expired or revoked');
+  }
+
+  const profile = await Profile.findOne(shownProfileFilter({ _id: link.profileId }));
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  // Field privacy still applies; the link only adds the selected private projects
+  const sharedProjectIds = new Set(link.projectIds.map(id => id.toString()));
+  res.json({
+    success: true,
+    data: {
+      ...profile.getPublicProfile(req.user),
+      projects: profile.projects.filter(project => project.isPublic || sharedProjectIds.has(project._id.toString())),
+      sharedLink: {
+        name: link.name,
+        expiresAt: link.expiresAt
+      }
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/profile/username/available
+ * @desc    Check whether a username can be claimed
+ * @access  Private
+ */
+router.get('/username/available', authenticateToken, requireScope('profile:read'), asyncHandler(async (req, res) => {
+  const username = String(req.query.username || '').trim();
+  if (!username) {
+    throw createError.badRequest('Username is required');
+  }
+
+  const profile = await Profile.findOne({ userId: req.user._id }).select('_id');
+  const reason = validateUsername(username);
+  const available = !reason && await isUsernameAvailable(username, profile && profile._id);
+
+  res.json({
+    success: true,
+    data: {
+      username,
+      available,
+      ...(reason && { reason })
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/profile/username
+ * @desc    Set, change or remove (null) the profile username
+ * @access  Private
+ */
+router.put('/username', authenticateToken, requireScope('profile:write'), asyncHandler(async (req, res) => {
+  const { error, value } = usernameSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const profile = await Profile.findOne({ userId: req.user._id });
+
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  await changeUsername(profile, value.username || null);
+
+  res.json({
+    success: true,
+    message: value.username ? 'Username updated successfully' : 'Username removed successfully',
+    data: {
+      username: profile.username || null
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/profile/username/history
+ * @desc    List previous usernames and how long they keep redirecting
+ * @access  Private
+ */
+router.get('/username/history', authenticateToken, requireScope('profile:read'), asyncHandler(async (req, res) => {
+  const profile = await Profile.findOne({ userId: req.user._id }).select('_id username');
+
+  if (!profile) {
+    throw createError.notFound('Profile not found');
+  }
+
+  const changes = await UsernameChange.find({ profileId: profile._id }).sort({ changedAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      username: profile.username || null,
+      history: changes.map(change => change.getPublicInfo())
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/profile/u/:username
+ * @desc    Get public profile by username; old usernames redirect to the current URL
+ * @access  Public
+ */
+router.get('/u/:username', optionalAuth, asyncHandler(async (req, res) => {
+  const usernameKey = req.params.username.toLowerCase();
+
+  const profile = await Profile.findOne(publicProfileFilter({ usernameKey }));
+  if (profile) {
+    return res.json({
+      success: true,
+      data: profile.getPublicProfile(req.user)
+    });
+  }
+
+  const redirect = await findUsernameRedirect(req.params.username);
+  const target = redirect && await Profile.findOne(publicProfileFilter({ _id: redirect.profileId })).select('userId username');
+  if (!target) {
+    throw createError.notFound('Profile not found or not public');
+  }
+
+  // Temporary: the old username is released after USERNAME_REDIRECT_DAYS, and a
+  // cached permanent redirect would keep pointing away from its next owner
+  res.redirect(302, target.username
+    ? `${req.baseUrl}/u/${encodeURIComponent(target.username)}`
+    : `${req.baseUrl}/${target.userId}`);
+}));
+
+/**
+ * @route   GET /api/profile/:userId/resume.pdf
+ * @desc    Download a public profile as a PDF résumé, showing what the viewer may see (?template=)
+ * @access  Public
+ */
+router.get('/:userId/resume.pdf', optionalAuth, asyncHandler(async (req, res) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.userId)) {
+    throw createError.badRequest('Invalid user ID format');
+  }
+
+  const profile = await Profile.findOne(publicProfileFilter({
+    userId: req.params.userId
+  }));
+
+  if (!profile) {
+    throw createError.notFound('Profile not found or not public');
+  }
+
+  sendResume(req, res, profile.getPublicProfile(req.user));
+}));
+
 /**
  * @route   GET /api/profile/:userId
  * @desc    Get public profile by user ID
  * @access  Public
  */
-router.get('/:userId', asyncHandler(async (req, res) => {
+router.get('/:userId', optionalAuth, asyncHandler(async (req, res) => {
   // Validate userId format
   if (!req.params.userId || !/^[0-9a-fA-F]{24}$/.test(req.params.userId)) {
     throw createError.badRequest('Invalid user ID format');
   }
 
-  const profile = await Profile.findOne({ 
-    userId: req.params.userId,
-    isPublic: true 
-  });
+  const profile = await Profile.findOne(publicProfileFilter({
+    userId: req.params.userId
+  }));
   
   if (!profile) {
     throw createError.notFound('Profile not found or not public');
@@ -495,7 +1451,7 @@ router.get('/:userId', asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: profile.getPublicProfile()
+    data: profile.getPublicProfile(req.user)
   });
 }));
 
@@ -2,6 +2,7 @@ const express = require('express');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const Profile = require('../models/Profile');
+const { publicProfileFilter } = require('../utils/profileVisibility');
 
 const router = express.Router();
 
@@ -21,7 +22,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
   const { skill, search, limit = 20, page = 1 } = req.query;
   
   // Build query for public profiles with projects
-  let query = { isPublic: true };
+  let query = publicProfileFilter();
   
   // Filter by skill
   if (skill) {
@@ -37,8 +38,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
   }
 
   const profiles = await Profile.find(query)
-    .select('name avatar projects skills')
-    .populate('userId', 'email')
+    .select('name username avatar projects skills')
     .limit(parseInt(limit))
     .skip((parseInt(page) - 1) * parseInt(limit))
     .sort({ 'projects.createdAt': -1 });
@@ -60,6 +60,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
           profile: {
             id: profile._id,
             name: profile.name,
+            username: profile.username,
             avatar: profile.avatar,
             skills: profile.skills
           }
@@ -109,11 +110,10 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
 router.get('/:projectId', optionalAuth, asyncHandler(async (req, res) => {
   const { projectId } = req.params;
   
-  const profile = await Profile.findOne({
+  const profile = await Profile.findOne(publicProfileFilter({
     'projects._id': projectId,
-    'projects.isPublic': true,
-    isPublic: true
-  }).select('name avatar projects skills bio');
+    'projects.isPublic': true
+  })).select('name username avatar projects skills bio');
 
   if (!profile) {
     throw createError.notFound('Project not found or not public');
@@ -141,6 +141,7 @@ router.get('/:projectId', optionalAuth, asyncHandler(async (req, res) => {
       profile: {
         id: profile._id,
         name: profile.name,
+        username: profile.username,
         avatar: profile.avatar,
         skills: profile.skills,
         bio: profile.bio
@@ -159,10 +160,9 @@ router.get('/skill/:skill', optionalAuth, asyncHandler(async (req, res) => {
   const { limit = 20, page = 1 } = req.query;
 
   // Find profiles with the specified skill
-  const profiles = await Profile.find({
-    skills: { $in: [new RegExp(skill, 'i')] },
-    isPublic: true
-  }).select('name avatar projects skills');
+  const profiles = await Profile.find(publicProfileFilter({
+    skills: { $in: [new RegExp(skill, 'i')] }
+  })).select('name username avatar projects skills');
 
   // Extract projects that use the specified skill
   const projectsWithSkill = [];
@@ -185,6 +185,7 @@ router.get('/skill/:skill', optionalAuth, asyncHandler(async (req, res) => {
           profile: {
             id: profile._id,
             name: profile.name,
+            username: profile.username,
             avatar: profile.avatar,
             skills: profile.skills
           }
@@ -228,10 +229,9 @@ router.get('/user/:userId', optionalAuth, asyncHandler(async (req, res) => {
   const { userId } = req.params;
   const { limit = 20, page = 1 } = req.query;
 
-  const profile = await Profile.findOne({
-    userId,
-    isPublic: true
-  }).select('name avatar projects skills bio');
+  const profile = await Profile.findOne(publicProfileFilter({
+    userId
+  })).select('name username avatar projects skills bio');
 
   if (!profile) {
     throw createError.notFound('User profile not found or not public');
@@ -253,6 +253,7 @@ router.get('/user/:userId', optionalAuth, asyncHandler(async (req, res) => {
       profile: {
         id: profile._id,
         name: profile.name,
+        username: profile.username,
         avatar: profile.avatar,
         skills: profile.skills,
         bio: profile.bio
@@ -278,8 +279,8 @@ router.get('/trending/trending', optionalAuth, asyncHandler(async (req, res) =>
   const { limit = 10 } = req.query;
 
   // Get recent public projects
-  const profiles = await Profile.find({ isPublic: true })
-    .select('name avatar projects skills')
+  const profiles = await Profile.find(publicProfileFilter())
+    .select('name username avatar projects skills')
     .sort({ 'projects.createdAt': -1 })
     .limit(parseInt(limit) * 2); // Get more profiles to have enough projects
 
@@ -300,6 +301,7 @@ router.get('/trending/trending', optionalAuth, asyncHandler(async (req, res) =>
           profile: {
             id: profile._id,
             name: profile.name,
+            username: profile.username,
             avatar: profile.avatar,
             skills: profile.skills
           }
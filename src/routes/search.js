@@ -2,9 +2,37 @@ const express = require('express');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
 const { optionalAuth } = require('../middleware/auth');
 const Profile = require('../models/Profile');
+const { publicProfileFilter, visibleTo } = require('../utils/profileVisibility');
 
 const router = express.Router();
 
+// Sort orders accepted by /advanced
+const ADVANCED_SORTS = {
+  name: { name: 1 },
+  completeness: { completeness: -1, name: 1 }
+};
+
+// Profile fields matched by a text search, skipping sections the viewer cannot see
+const profileTextConditions = (text, viewer) => [
+  { name: { $regex: text, $options: 'i' } },
+  { usernameKey: { $regex: text, $options: 'i' } },
+  { bio: { $regex: text, $options: 'i' } },
+  {
+    education: {
+      $elemMatch: {
+        $or: [
+          { institution: { $regex: text, $options: 'i' } },
+          { degree: { $regex: text, $options: 'i' } },
+          { field: { $regex: text, $options: 'i' } }
+        ],
+        ...visibleTo('visibility', viewer)
+      }
+    },
+    ...visibleTo('privacy.education', viewer)
+  },
+  { location: { $regex: text, $options: 'i' }, ...visibleTo('privacy.location', viewer) }
+];
+
 /**
  * @route   GET /api/search
  * @desc    Search across profiles, projects, and skills
@@ -28,47 +56,41 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
   if (searchType === 'all' || searchType === 'profiles') {
     const profiles = await Profile.find({
       $and: [
-        { isPublic: true },
+        publicProfileFilter(),
         {
-          $or: [
-            { name: { $regex: searchQuery, $options: 'i' } },
-            { bio: { $regex: searchQuery, $options: 'i' } },
-            { education: { $regex: searchQuery, $options: 'i' } },
-            { location: { $regex: searchQuery, $options: 'i' } }
-          ]
+          $or: profileTextConditions(searchQuery, req.user)
         }
       ]
     })
-    .select('userId name avatar bio skills education location')
+    .select('userId name username avatar bio skills education location privacy')
     .limit(pageLimit)
     .skip((currentPage - 1) * pageLimit)
     .sort({ name: 1 });
 
     const totalProfiles = await Profile.countDocuments({
       $and: [
-        { isPublic: true },
+        publicProfileFilter(),
         {
-          $or: [
-            { name: { $regex: searchQuery, $options: 'i' } },
-            { bio: { $regex: searchQuery, $options: 'i' } },
-            { education: { $regex: searchQuery, $options: 'i' } },
-            { location: { $regex: searchQuery, $options: 'i' } }
-          ]
+          $or: profileTextConditions(searchQuery, req.user)
         }
       ]
     });
 
     results.profiles = {
-      data: profiles.map(profile => ({
-        id: profile._id,
-        userId: profile.userId,
-        name: profile.name,
-        avatar: profile.avatar,
-        bio: profile.bio,
-        skills: profile.skills,
-        education: profile.education,
-        location: profile.location
-      })),
+      data: profiles.map(profile => {
+        const sections = profile.getVisibleSections(req.user);
+        return {
+          id: profile._id,
+          userId: profile.userId,
+          name: profile.name,
+          username: profile.username,
+          avatar: profile.avatar,
+          bio: profile.bio,
+          skills: profile.skills,
+          education: sections.education,
+          location: sections.location
+        };
+      }),
       total: totalProfiles,
       totalPages: Math.ceil(totalProfiles / pageLimit),
       currentPage,
@@ -81,7 +103,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
   if (searchType === 'all' || searchType === 'projects') {
     const profilesWithProjects = await Profile.find({
       $and: [
-        { isPublic: true },
+        publicProfileFilter(),
         {
           $or: [
             { 'projects.title': { $regex: searchQuery, $options: 'i' } },
@@ -91,7 +113,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
         }
       ]
     })
-    .select('userId name avatar projects skills')
+    .select('userId name username avatar projects skills')
     .limit(pageLimit)
     .skip((currentPage - 1) * pageLimit);
 
@@ -115,6 +137,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
               id: profile._id,
               userId: profile.userId,
               name: profile.name,
+              username: profile.username,
               avatar: profile.avatar
             }
           });
@@ -124,7 +147,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
 
     // Get total count for pagination
     const totalProjects = await Profile.aggregate([
-      { $match: { isPublic: true } },
+      { $match: publicProfileFilter() },
       { $unwind: '$projects' },
       {
         $match: {
@@ -158,7 +181,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
   // Search skills
   if (searchType === 'all' || searchType === 'skills') {
     const matchingSkills = await Profile.aggregate([
-      { $match: { isPublic: true } },
+      { $match: publicProfileFilter() },
       { $unwind: '$skills' },
       {
         $match: {
@@ -178,7 +201,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
     ]);
 
     const totalSkills = await Profile.aggregate([
-      { $match: { isPublic: true } },
+      { $match: publicProfileFilter() },
       { $unwind: '$skills' },
       {
         $match: {
@@ -243,24 +266,24 @@ router.get('/suggestions', optionalAuth, asyncHandler(async (req, res) => {
   const suggestions = [];
 
   // Get profile name suggestions
-  const profileSuggestions = await Profile.find({
-    name: { $regex: `^${searchQuery}`, $options: 'i' },
-    isPublic: true
-  })
-  .select('name')
+  const profileSuggestions = await Profile.find(publicProfileFilter({
+    name: { $regex: `^${searchQuery}`, $options: 'i' }
+  }))
+  .select('name username')
   .limit(5);
 
   profileSuggestions.forEach(profile => {
     suggestions.push({
       type: 'profile',
       text: profile.name,
-      value: profile.name
+      value: profile.name,
+      username: profile.username
     });
   });
 
   // Get skill suggestions
   const skillSuggestions = await Profile.aggregate([
-    { $match: { isPublic: true } },
+    { $match: publicProfileFilter() },
     { $unwind: '$skills' },
     {
       $match: {
@@ -286,7 +309,7 @@ router.get('/suggestions', optionalAuth, asyncHandler(async (req, res) => {
 
   // Get project title suggestions
   const projectSuggestions = await Profile.aggregate([
-    { $match: { isPublic: true } },
+    { $match: publicProfileFilter() },
     { $unwind: '$projects' },
     {
       $match: {
@@ -340,13 +363,22 @@ router.get('/advanced', optionalAuth, asyncHandler(async (req, res) => {
     skills, 
     location, 
     education,
+    institution,
+    degree,
     projectTech,
+    minCompleteness,
+    sort = 'name',
     limit = 20, 
     page = 1 
   } = req.query;
 
+  // Own keys only: names like "constructor" resolve to Object.prototype members
+  if (typeof sort !== 'string' || !Object.prototype.hasOwnProperty.call(ADVANCED_SORTS, sort)) {
+    throw createError.badRequest('Sort must be one of: ' + Object.keys(ADVANCED_SORTS).join(', '));
+  }
+
   // Build advanced search query
-  let searchQuery = { isPublic: true };
+  let searchQuery = publicProfileFilter();
 
   // Text search
   if (query && query.trim().length > 0) {
@@ -367,11 +399,29 @@ router.get('/advanced', optionalAuth, asyncHandler(async (req, res) => {
   // Location filter
   if (location) {
     searchQuery.location = { $regex: location, $options: 'i' };
+    Object.assign(searchQuery, visibleTo('privacy.location', req.user));
   }
 
-  // Education filter
+  // Education filters; institution and degree must match the same entry
+  const educationFilters = [];
   if (education) {
-    searchQuery.education = { $regex: education, $options: 'i' };
+    educationFilters.push({
+      $or: [
+        { institution: { $regex: education, $options: 'i' } },
+        { degree: { $regex: education, $options: 'i' } },
+        { field: { $regex: education, $options: 'i' } }
+      ]
+    });
+  }
+  if (institution) {
+    educationFilters.push({ institution: { $regex: institution, $options: 'i' } });
+  }
+  if (degree) {
+    educationFilters.push({ degree: { $regex: degree, $options: 'i' } });
+  }
+  if (educationFilters.length > 0) {
+    searchQuery.education = { $elemMatch: { $and: educationFilters, ...visibleTo('visibility', req.user) } };
+    Object.assign(searchQuery, visibleTo('privacy.education', req.user));
   }
 
   // Project technology filter
@@ -380,11 +430,20 @@ router.get('/advanced', optionalAuth, asyncHandler(async (req, res) => {
     searchQuery['projects.technologies'] = { $in: techArray.map(tech => new RegExp(tech, 'i')) };
   }
 
+  // Completeness filter (0-100)
+  if (minCompleteness !== undefined) {
+    const minimum = Number(minCompleteness);
+    if (!Number.isInteger(minimum) || minimum < 0 || minimum > 100) {
+      throw createError.badRequest('minCompleteness must be a whole number from 0 to 100');
+    }
+    searchQuery.completeness = { $gte: minimum };
+  }
+
   const profiles = await Profile.find(searchQuery)
-    .select('userId name avatar bio skills education location projects work')
+    .select('userId name username avatar bio skills education location projects work privacy completeness')
     .limit(parseInt(limit))
     .skip((parseInt(page) - 1) * parseInt(limit))
-    .sort({ name: 1 });
+    .sort(ADVANCED_SORTS[sort]);
 
   const totalProfiles = await Profile.countDocuments(searchQuery);
 
@@ -396,20 +455,29 @@ router.get('/advanced', optionalAuth, asyncHandler(async (req, res) => {
         skills: skills ? skills.split(',') : [],
         location: location || '',
         education: education || '',
-        projectTech: projectTech ? projectTech.split(',') : []
+        institution: institution || '',
+        degree: degree || '',
+        projectTech: projectTech ? projectTech.split(',') : [],
+        minCompleteness: minCompleteness !== undefined ? Number(minCompleteness) : null,
+        sort
       },
-      profiles: profiles.map(profile => ({
-        id: profile._id,
-        userId: profile.userId,
-        name: profile.name,
-        avatar: profile.avatar,
-        bio: profile.bio,
-        skills: profile.skills,
-        education: profile.education,
-        location: profile.location,
-        projects: profile.projects.filter(p => p.isPublic).slice(0, 3),
-        work: profile.work.slice(0, 2)
-      })),
+      profiles: profiles.map(profile => {
+        const sections = profile.getVisibleSections(req.user);
+        return {
+          id: profile._id,
+          userId: profile.userId,
+          name: profile.name,
+          username: profile.username,
+          avatar: profile.avatar,
+          bio: profile.bio,
+          skills: profile.skills,
+          education: sections.education,
+          location: sections.location,
+          projects: profile.projects.filter(p => p.isPublic).slice(0, 3),
+          work: sections.work.slice(0, 2),
+          completeness: profile.completeness
+        };
+      }),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(totalProfiles / parseInt(limit)),
@@ -432,7 +500,7 @@ router.get('/trending-skills', optionalAuth, asyncHandler(async (req, res) => {
 
   try {
     const trendingSkills = await Profile.aggregate([
-      { $match: { isPublic: true } },
+      { $match: publicProfileFilter() },
       { $unwind: '$skills' },
       {
         $group: {
@@ -2,6 +2,7 @@ const express = require('express');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
 const { optionalAuth } = require('../middleware/auth');
 const Profile = require('../models/Profile');
+const { publicProfileFilter } = require('../utils/profileVisibility');
 
 const router = express.Router();
 
@@ -15,7 +16,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
 
   // Aggregate skills from all public profiles
   const skillsAggregation = await Profile.aggregate([
-    { $match: { isPublic: true } },
+    { $match: publicProfileFilter() },
     { $unwind: '$skills' },
     {
       $group: {
@@ -31,7 +32,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
 
   // Get total count for pagination
   const totalSkills = await Profile.aggregate([
-    { $match: { isPublic: true } },
+    { $match: publicProfileFilter() },
     { $unwind: '$skills' },
     { $group: { _id: { $toLower: '$skills' } } },
     { $count: 'total' }
@@ -72,7 +73,7 @@ router.get('/top', optionalAuth, asyncHandler(async (req, res) => {
 
   // Get top skills by count
   const topSkills = await Profile.aggregate([
-    { $match: { isPublic: true } },
+    { $match: publicProfileFilter() },
     { $unwind: '$skills' },
     {
       $group: {
@@ -112,20 +113,18 @@ router.get('/:skillName', optionalAuth, asyncHandler(async (req, res) => {
   const { limit = 20, page = 1 } = req.query;
 
   // Find profiles with the specified skill
-  const profilesWithSkill = await Profile.find({
-    skills: { $in: [new RegExp(skillName, 'i')] },
-    isPublic: true
-  }).select('name avatar bio skills projects work location');
+  const profilesWithSkill = await Profile.find(publicProfileFilter({
+    skills: { $in: [new RegExp(skillName, 'i')] }
+  })).select('userId name avatar bio skills projects location privacy');
 
   if (profilesWithSkill.length === 0) {
     throw createError.notFound('No profiles found with this skill');
   }
 
   // Count total profiles with this skill
-  const totalProfiles = await Profile.countDocuments({
-    skills: { $in: [new RegExp(skillName, 'i')] },
-    isPublic: true
-  });
+  const totalProfiles = await Profile.countDocuments(publicProfileFilter({
+    skills: { $in: [new RegExp(skillName, 'i')] }
+  }));
 
   // Get projects that use this skill
   const projectsWithSkill = [];
@@ -161,7 +160,7 @@ router.get('/:skillName', optionalAuth, asyncHandler(async (req, res) => {
 
   // Get related skills (skills that often appear together)
   const relatedSkills = await Profile.aggregate([
-    { $match: { isPublic: true } },
+    { $match: publicProfileFilter() },
     { $unwind: '$skills' },
     {
       $group: {
@@ -188,7 +187,7 @@ router.get('/:skillName', optionalAuth, asyncHandler(async (req, res) => {
         avatar: profile.avatar,
         bio: profile.bio,
         skills: profile.skills,
-        location: profile.location
+        location: profile.getVisibleSections(req.user).location
       })),
       projects: projectsWithSkill.slice(0, 10), // Show top 10 projects
       relatedSkills: relatedSkills
@@ -220,7 +219,7 @@ router.get('/search/:query', optionalAuth, asyncHandler(async (req, res) => {
 
   // Search skills that match the query
   const matchingSkills = await Profile.aggregate([
-    { $match: { isPublic: true } },
+    { $match: publicProfileFilter() },
     { $unwind: '$skills' },
     {
       $match: {
@@ -277,7 +276,7 @@ router.get('/categories/categories', optionalAuth, asyncHandler(async (req, res)
 
   for (const [category, skills] of Object.entries(skillCategories)) {
     const categorySkills = await Profile.aggregate([
-      { $match: { isPublic: true } },
+      { $match: publicProfileFilter() },
       { $unwind: '$skills' },
       {
         $match: {
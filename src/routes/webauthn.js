@@ -0,0 +1,456 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const webauthn = require('../utils/webauthn');
+const { hashToken, createSession } = require('../utils/tokens');
+const { assertAccountActive, completeLogin, countPasswordlessLogins } = require('../utils/login');
+const { recordSecurityEvent } = require('../utils/auditLog');
+const { runAtomically } = require('../utils/transaction');
+const { sendMail } = require('../utils/mailer');
+const emailTemplates = require('../utils/mailer/templates');
+
+const router = express.Router();
+
+// Account routes need an interactive login, never a personal access token
+const authenticateSession = [authenticateToken, requireSession];
+
+// Validation schemas
+const passkeyNameSchema = Joi.string().trim().min(1).max(64).messages({
+  'string.min': 'Passkey name cannot be empty',
+  'string.max': 'Passkey name cannot exceed 64 characters'
+});
+
+const credentialResponseSchema = Joi.object({
+  id: Joi.string().required(),
+  type: Joi.string().valid('public-key').required()
+}).unknown(true).required().messages({
+  'any.required': 'Passkey response is required'
+});
+
+const verifySchema = Joi.object({
+  credential: credentialResponseSchema,
+  name: passkeyNameSchema
+});
+
+const signupOptionsSchema = Joi.object({
+  email: Joi.string().email().lowercase().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  }),
+  name: Joi.string().min(2).max(100).required().messages({
+    'string.min': 'Name must be at least 2 characters long',
+    'string.max': 'Name cannot exceed 100 characters',
+    'any.required': 'Name is required'
+  })
+});
+
+// `email` is ignored (see POST /login/options)
+const loginOptionsSchema = Joi.object({
+  email: Joi.string().email().lowercase().messages({
+    'string.email': 'Please provide a valid email address'
+  })
+});
+
+const renameSchema = Joi.object({
+  name: passkeyNameSchema.required().messages({
+    'any.required': 'Passkey name is required'
+  })
+});
+
+// Store a new ceremony challenge
+const createChallenge = async (type, fields = {}) => {
+  const challenge = webauthn.generateChallenge();
+  await WebAuthnChallenge.create({ challengeHash: hashToken(challenge), type, ...fields });
+  return challenge;
+};
+
+// Take the pending ceremony a response answers; challenges are single use
+const consumeChallenge = async (type, credential) => {
+  const challenge = webauthn.readChallenge(credential);
+  const pending = await WebAuthnChallenge.findOneAndDelete({
+    challengeHash: hashToken(challenge),
+    type,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!pending) {
+    throw createError.badRequest('Passkey request is invalid or has expired. Please start again.');
+  }
+  return { pending, challenge };
+};
+
+// Build a credential document from a verified registration
+const buildCredential = (userId, registration, name) => new WebAuthnCredential({
+  userId,
+  credentialId: registration.credentialId,
+  publicKey: registration.publicKey,
+  algorithm: registration.algorithm,
+  signCount: registration.signCount,
+  transports: registration.transports,
+  aaguid: registration.aaguid,
+  backupEligible: registration.backupEligible,
+  backedUp: registration.backedUp,
+  ...(name && { name })
+});
+
+// Translate a duplicate credential into a conflict error
+const rethrowDuplicateCredential = (error) => {
+  if (error.code === 11000) {
+    throw createError.conflict('This passkey is already registered');
+  }
+  throw error;
+};
+
+// Find one of the current user's passkeys from the :credentialId parameter
+const findOwnCredential = async (req) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.credentialId)) {
+    throw createError.badRequest('Invalid passkey ID format');
+  }
+  const credential = await WebAuthnCredential.findOne({ _id: req.params.credentialId, userId: req.user._id });
+  if (!credential) {
+    throw createError.notFound('Passkey not found');
+  }
+  return credential;
+};
+
+/**
+ * @route   POST /api/auth/webauthn/register/options
+ * @desc    Start adding a passkey to the current user
+ * @access  Private
+ */
+router.post('/register/options', authenticateSession, asyncHandler(async (req, res) => {
+  const [existing, profile] = await Promise.all([
+    WebAuthnCredential.find({ userId: req.user._id }).select('credentialId'),
+    Profile.findOne({ userId: req.user._id }).select('name')
+  ]);
+
+  const challenge = await createChallenge('registration', { userId: req.user._id });
+
+  res.json({
+    success: true,
+    data: {
+      options: webauthn.buildRegistrationOptions({
+        challenge,
+        userId: req.user._id,
+        userName: req.user.email,
+        displayName: profile && profile.name,
+        excludeCredentialIds: existing.map(credential => credential.credentialId)
+      })
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/webauthn/register/verify
+ * @desc    Finish adding a passkey with the authenticator's response
+ * @access  Private
+ */
+router.post('/register/verify', authenticateSession, asyncHandler(async (req, res) => {
+  const { error, value } = verifySchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const { pending, challenge } = await consumeChallenge('registration', value.credential);
+  if (!pending.userId || pending.userId.toString() !== req.user._id.toString()) {
+    throw createError.badRequest('Passkey request is invalid or has expired. Please start again.');
+  }
+
+  const registration = webauthn.verifyRegistrationResponse({
+    response: value.credential,
+    expectedChallenge: challenge
+  });
+
+  const credential = buildCredential(req.user._id, registration, value.name);
+  try {
+    await credential.save();
+  } catch (saveError) {
+    rethrowDuplicateCredential(saveError);
+  }
+  await recordSecurityEvent(req, 'passkey_added', { user: req.user, metadata: { passkeyId: credential._id } });
+
+  res.status(201).json({
+    success: true,
+    message: 'Passkey added',
+    data: {
+      passkey: credential.getPublicInfo()
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/webauthn/signup/options
+ * @desc    Start creating a passkey-only account
+ * @access  Public
+ */
+router.post('/signup/options', asyncHandler(async (req, res) => {
+  const { error, value } = signupOptionsSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  if (await User.emailExists(value.email)) {
+    throw createError.conflict('User with this email already exists');
+  }
+
+  // The account id is fixed now so it can be the passkey's user handle
+  const userId = new mongoose.Types.ObjectId();
+  const challenge = await createChallenge('registration', {
+    userId,
+    signup: { email: value.email, name: value.name }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      options: webauthn.buildRegistrationOptions({
+        challenge,
+        userId,
+        userName: value.email,
+        displayName: value.name
+      })
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/webauthn/signup/verify
+ * @desc    Create a passkey-only account with the authenticator's response
+ * @access  Public
+ */
+router.post('/signup/verify', asyncHandler(async (req, res) => {
+  const { error, value } = verifySchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const { pending, challenge } = await consumeChallenge('registration', value.credential);
+  if (!pending.signup || !pending.signup.email) {
+    throw createError.badRequest('Passkey request is invalid or has expired. Please start again.');
+  }
+
+  const registration = webauthn.verifyRegistrationResponse({
+    response: value.credential,
+    expectedChallenge: challenge
+  });
+
+  const { email, name } = pending.signup;
+  if (await User.emailExists(email)) {
+    throw createError.conflict('User with this email already exists');
+  }
+
+  const user = new User({
+    _id: pending.userId,
+    email,
+    hasPassword: false
+  });
+  const verificationToken = user.createEmailVerificationToken();
+  const profile = new Profile({
+    userId: user._id,
+    name,
+    email
+  });
+  const credential = buildCredential(user._id, registration, value.name);
+
+  // The user, profile and passkey are created together or not at all
+  try {
+    await runAtomically(async (session) => {
+      await user.save({ session });
+      await profile.save({ session });
+      await credential.save({ session });
+    }, async () => {
+      await WebAuthnCredential.deleteOne({ _id: credential._id });
+      await Profile.deleteOne({ userId: user._id });
+      await User.deleteOne({ _id: user._id });
+    });
+  } catch (saveError) {
+    rethrowDuplicateCredential(saveError);
+  }
+  console.log('✅ User registered with a passkey:', user._id);
+
+  // Send email verification link (registration still succeeds if mail fails)
+  try {
+    await sendMail({
+      to: user.email,
+      ...emailTemplates.emailVerification({ name, token: verificationToken })
+    });
+  } catch (mailError) {
+    console.error('❌ Failed to send verification email:', mailError.message);
+  }
+
+  // Start session
+  const tokens = await createSession(user, req);
+  await recordSecurityEvent(req, 'register', { user, metadata: { method: 'webauthn' } });
+  await recordSecurityEvent(req, 'passkey_added', { user, metadata: { passkeyId: credential._id } });
+
+  // Update last login
+  await user.updateLastLogin();
+
+  res.status(201).json({
+    success: true,
+    message: 'User registered successfully',
+    data: {
+      user: user.getPublicInfo(),
+      profile: {
+        id: profile._id,
+        name: profile.name,
+        email: profile.email
+      },
+      passkey: credential.getPublicInfo(),
+      ...tokens
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/webauthn/login/options
+ * @desc    Start a passkey login; any discoverable passkey is offered
+ * @access  Public
+ */
+router.post('/login/options', asyncHandler(async (req, res) => {
+  const { error } = loginOptionsSchema.validate(req.body || {});
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  // An email is accepted from older clients but not used: listing that account's
+  // passkeys would reveal whether it exists. Passkeys are discoverable, so the
+  // authenticator finds the account itself.
+  const challenge = await createChallenge('authentication');
+
+  res.json({
+    success: true,
+    data: {
+      options: webauthn.buildAuthenticationOptions({ challenge })
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/webauthn/login/verify
+ * @desc    Finish a passkey login with the authenticator's response
+ * @access  Public
+ */
+router.post('/login/verify', asyncHandler(async (req, res) => {
+  const { error, value } = verifySchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const { challenge } = await consumeChallenge('authentication', value.credential);
+
+  const credential = await WebAuthnCredential.findOne({ credentialId: value.credential.id });
+  if (!credential) {
+    throw createError.unauthorized('Passkey is not registered');
+  }
+
+  const user = await User.findById(credential.userId);
+  if (!user) {
+    throw createError.unauthorized('The account for this passkey no longer exists');
+  }
+
+  // A discoverable login names the account; it must own the passkey
+  const userHandle = value.credential.response && value.credential.response.userHandle;
+  if (userHandle && userHandle !== webauthn.toUserHandle(user._id)) {
+    throw createError.unauthorized('Passkey does not belong to this account');
+  }
+
+  await assertAccountActive(req, user, 'webauthn');
+
+  let assertion;
+  try {
+    assertion = webauthn.verifyAuthenticationResponse({
+      response: value.credential,
+      expectedChallenge: challenge,
+      credential
+    });
+  } catch (verifyError) {
+    await recordSecurityEvent(req, 'login_failure', {
+      user,
+      metadata: { reason: 'invalid_passkey', method: 'webauthn', passkeyId: credential._id }
+    });
+    throw verifyError;
+  }
+
+  credential.signCount = assertion.signCount;
+  credential.backedUp = assertion.backedUp;
+  credential.lastUsedAt = new Date();
+  await credential.save();
+
+  // Asks for the second factor before issuing tokens when 2FA is enabled
+  const result = await completeLogin(req, user, 'webauthn');
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
+/**
+ * @route   GET /api/auth/webauthn/credentials
+ * @desc    List the current user's passkeys
+ * @access  Private
+ */
+router.get('/credentials', authenticateSession, asyncHandler(async (req, res) => {
+  const credentials = await WebAuthnCredential.find({ userId: req.user._id }).sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      passkeys: credentials.map(credential => credential.getPublicInfo())
+    }
+  });
+}));
+
+/**
+ * @route   PATCH /api/auth/webauthn/credentials/:credentialId
+ * @desc    Rename a passkey
+ * @access  Private
+ */
+router.patch('/credentials/:credentialId', authenticateSession, asyncHandler(async (req, res) => {
+  const { error, value } = renameSchema.validate(req.body);
+  if (error) {
+    throw createError.badRequest(error.details[0].message);
+  }
+
+  const credential = await findOwnCredential(req);
+  credential.name = value.name;
+  await credential.save();
+
+  res.json({
+    success: true,
+    message: 'Passkey renamed',
+    data: {
+      passkey: credential.getPublicInfo()
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/auth/webauthn/credentials/:credentialId
+ * @desc    Remove a passkey
+ * @access  Private
+ */
+router.delete('/credentials/:credentialId', authenticateSession, asyncHandler(async (req, res) => {
+  const credential = await findOwnCredential(req);
+
+  // Never remove the only way to sign in
+  if (!req.user.hasPassword && await countPasswordlessLogins(req.user._id) <= 1) {
+    throw createError.conflict('Set a password or link a login provider before removing your only passkey');
+  }
+
+  await credential.deleteOne();
+  await recordSecurityEvent(req, 'passkey_removed', { user: req.user, metadata: { passkeyId: credential._id } });
+
+  res.json({
+    success: true,
+    message: 'Passkey removed'
+  });
+}));
+
+module.exports = router;
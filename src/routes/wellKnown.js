@@ -0,0 +1,17 @@
+const express = require('express');
+const { getJwks } = require('../utils/signingKeys');
+
+const router = express.Router();
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Public keys for verifying Predusk access tokens
+ * @access  Public
+ */
+router.get('/jwks.json', (req, res) => {
+  // Verifiers may cache keys briefly; rotation keeps old keys published until they are retired
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
+module.exports = router;
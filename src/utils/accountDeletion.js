@@ -0,0 +1,99 @@
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const SecurityEvent = require('../models/SecurityEvent');
+const OAuthIdentity = require('../models/OAuthIdentity');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const UsernameChange = require('../models/UsernameChange');
+const ProfileShareLink = require('../models/ProfileShareLink');
+const ProfileVersion = require('../models/ProfileVersion');
+const { removeUploadedImages } = require('../middleware/upload');
+const { removeUserExports } = require('./dataExport');
+const { findReferencedImageUrls } = require('./profileVersions');
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+/**
+ * Deactivate an account and schedule it for deletion after the grace period
+ */
+const scheduleDeletion = async (user) => {
+  const now = new Date();
+  user.isActive = false;
+  user.deletionRequestedAt = now;
+  user.deletionScheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await user.save({ validateBeforeSave: false });
+
+  await Promise.all([
+    Profile.updateOne({ userId: user._id }, { accountActive: false }),
+    Session.revokeAllForUser(user._id, 'revoked'),
+    PersonalAccessToken.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: now })
+  ]);
+
+  return user.deletionScheduledFor;
+};
+
+/**
+ * Cancel a scheduled deletion and reactivate the account
+ */
+const restoreAccount = async (user) => {
+  user.isActive = true;
+  user.deletionRequestedAt = null;
+  user.deletionScheduledFor = null;
+  await user.save({ validateBeforeSave: false });
+
+  await Profile.updateOne({ userId: user._id }, { accountActive: true });
+};
+
+// Remove uploaded project images belonging to a profile, including those
+// only its draft or earlier versions reference. Load the profile with +draft.
+const removeUploadedFiles = async (profile) => removeUploadedImages(await findReferencedImageUrls(profile));
+
+/**
+ * Permanently remove a user and everything derived from them
+ */
+const purgeUser = async (user) => {
+  const profile = await Profile.findOne({ userId: user._id }).select('+draft');
+  const removedFiles = profile ? await removeUploadedFiles(profile) : 0;
+
+  await Promise.all([
+    removeUserExports(user._id),
+    Session.deleteMany({ userId: user._id }),
+    PersonalAccessToken.deleteMany({ userId: user._id }),
+    OAuthIdentity.deleteMany({ userId: user._id }),
+    WebAuthnCredential.deleteMany({ userId: user._id }),
+    UsernameChange.deleteMany({ userId: user._id }),
+    ProfileShareLink.deleteMany({ userId: user._id }),
+    ProfileVersion.deleteMany({ userId: user._id }),
+    LoginAttempt.deleteOne({ key: `account:${user.email}` }),
+    SecurityEvent.deleteMany({ $or: [{ userId: user._id }, { email: user.email }] }),
+    Profile.deleteOne({ userId: user._id })
+  ]);
+  await User.deleteOne({ _id: user._id });
+
+  return { userId: user._id, removedFiles };
+};
+
+/**
+ * Purge every account whose grace period has ended
+ */
+const purgeExpiredAccounts = async () => {
+  const users = await User.find({
+    deletionScheduledFor: { $ne: null, $lte: new Date() }
+  });
+
+  const results = [];
+  for (const user of users) {
+    results.push(await purgeUser(user));
+  }
+  return results;
+};
+
+module.exports = {
+  scheduleDeletion,
+  restoreAccount,
+  removeUploadedFiles,
+  purgeUser,
+  purgeExpiredAccounts
+};
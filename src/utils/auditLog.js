@@ -0,0 +1,28 @@
+const SecurityEvent = require('../models/SecurityEvent');
+
+/**
+ * Append an event to the security log.
+ * Failures are logged and swallowed so auditing never breaks the request.
+ * @param {Object} req - Express request (for IP and user agent), may be null
+ * @param {string} type - One of SecurityEvent.EVENT_TYPES
+ * @param {Object} details - { user, email, actor, metadata }
+ */
+const recordSecurityEvent = async (req, type, { user = null, email, actor = null, metadata = {} } = {}) => {
+  try {
+    await SecurityEvent.create({
+      userId: user ? user._id : null,
+      email: email || (user ? user.email : undefined),
+      type,
+      ipAddress: req ? req.ip : undefined,
+      userAgent: req ? (req.headers['user-agent'] || '').slice(0, 500) : undefined,
+      actorId: actor ? actor._id : null,
+      metadata
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record security event ${type}:`, error.message);
+  }
+};
+
+module.exports = {
+  recordSecurityEvent
+};
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const DataExport = require('../models/DataExport');
+const SecurityEvent = require('../models/SecurityEvent');
+const OAuthIdentity = require('../models/OAuthIdentity');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const ProfileShareLink = require('../models/ProfileShareLink');
+const ProfileVersion = require('../models/ProfileVersion');
+const { resolveUploadedFile } = require('../middleware/upload');
+const { writeZip } = require('./zip');
+
+const EXPORT_DIR = process.env.DATA_EXPORT_DIR || path.join(os.tmpdir(), 'predusk-exports');
+const EXPORT_EXPIRES_HOURS = parseInt(process.env.DATA_EXPORT_EXPIRES_HOURS) || 24;
+// Exports still pending or processing after this long are treated as failed
+const EXPORT_TIMEOUT_MINUTES = parseInt(process.env.DATA_EXPORT_TIMEOUT_MINUTES) || 15;
+// Serverless functions are frozen once the response is sent, so nothing may run after it
+const BACKGROUND_EXPORTS = process.env.VERCEL !== '1';
+// Exports above these limits are generated in the background
+const SYNC_MAX_FILES = 5;
+const SYNC_MAX_BYTES = 5 * 1024 * 1024;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+// List uploaded project images that exist on disk
+const findUploadedImages = async (profile) => {
+  const images = [];
+  for (const project of (profile ? profile.projects : [])) {
+    const filePath = resolveUploadedFile(project.imageUrl);
+    if (!filePath) {
+      continue;
+    }
+    try {
+      const stats = await fs.promises.stat(filePath);
+      images.push({ filePath, size: stats.size, projectId: project._id });
+    } catch (error) {
+      // Image was removed from disk; the profile JSON still references it
+    }
+  }
+  return images;
+};
+
+/**
+ * Decide whether an export is generated during the request: when it is small
+ * enough, or always when background work is not possible
+ */
+const canGenerateSynchronously = async (userId) => {
+  if (!BACKGROUND_EXPORTS) {
+    return true;
+  }
+  const profile = await Profile.findOne({ userId });
+  const images = await findUploadedImages(profile);
+  const totalBytes = images.reduce((sum, image) => sum + image.size, 0);
+  return images.length <= SYNC_MAX_FILES && totalBytes <= SYNC_MAX_BYTES;
+};
+
+// Gather every file that goes into the archive
+const collectEntries = async (userId) => {
+  const [user, profile, sessions, accessTokens, securityEvents, identities, passkeys, shareLinks, versions] = await Promise.all([
+    User.findById(userId),
+    Profile.findOne({ userId }).select('+draft +draftUpdatedAt'),
+    Session.find({ userId }).sort({ createdAt: -1 }),
+    PersonalAccessToken.find({ userId }).sort({ createdAt: -1 }),
+    SecurityEvent.find({ userId }).sort({ createdAt: -1 }),
+    OAuthIdentity.find({ userId }).sort({ createdAt: 1 }),
+    WebAuthnCredential.find({ userId }).sort({ createdAt: 1 }),
+    ProfileShareLink.find({ userId }).sort({ createdAt: -1 }),
+    ProfileVersion.find({ userId }).sort({ version: 1 })
+  ]);
+
+  const userRecord = user.toObject({ virtuals: false });
+  // Secrets never leave the database, even for their owner
+  delete userRecord.password;
+  delete userRecord.__v;
+
+  const images = await findUploadedImages(profile);
+  const entries = [
+    {
+      name: 'README.txt',
+      data: [
+        'Predusk personal data export',
+        `Generated: ${new Date().toISOString()}`,
+        '',
+        'user.json            - your account record',
+        'profile.json         - your full profile, including private projects and unpublished changes',
+        'profile-versions.json - every published version of your profile',
+        'sessions.json        - sign-in sessions (device and IP metadata)',
+        'access-tokens.json   - personal access tokens (metadata only)',
+        'security-events.json - security activity log for your account',
+        'linked-logins.json   - GitHub/OIDC accounts linked for sign-in',
+        'passkeys.json        - passkeys registered for sign-in (no key material)',
+        'share-links.json     - links sharing your profile (metadata only)',
+        'images/              - project images you uploaded'
+      ].join('\n')
+    },
+    { name: 'user.json', data: toJson(userRecord) },
+    { name: 'profile.json', data: toJson(profile ? profile.toObject({ virtuals: false }) : null) },
+    { name: 'profile-versions.json', data: toJson(versions.map(version => ({ ...version.getPublicInfo(), snapshot: version.snapshot }))) },
+    { name: 'sessions.json', data: toJson(sessions.map(session => session.getPublicInfo())) },
+    { name: 'access-tokens.json', data: toJson(accessTokens.map(token => token.getPublicInfo())) },
+    { name: 'security-events.json', data: toJson(securityEvents.map(event => event.getPublicInfo())) },
+    { name: 'linked-logins.json', data: toJson(identities.map(identity => identity.getPublicInfo())) },
+    { name: 'passkeys.json', data: toJson(passkeys.map(passkey => passkey.getPublicInfo())) },
+    { name: 'share-links.json', data: toJson(shareLinks.map(link => link.getPublicInfo())) }
+  ];
+
+  for (const image of images) {
+    entries.push({
+      name: `images/${path.basename(image.filePath)}`,
+      data: await fs.promises.readFile(image.filePath)
+    });
+  }
+
+  return entries;
+};
+
+/**
+ * Generate the archive for an export and mark it ready
+ * @returns {Promise<string>} the raw download token
+ */
+const generateExport = async (dataExport) => {
+  dataExport.status = 'processing';
+  await dataExport.save();
+
+  try {
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const filePath = path.join(EXPORT_DIR, `${dataExport._id}.zip`);
+    const entries = await collectEntries(dataExport.userId);
+    const fileSize = await writeZip(filePath, entries);
+
+    const downloadToken = crypto.randomBytes(32).toString('hex');
+    dataExport.status = 'ready';
+    dataExport.filePath = filePath;
+    dataExport.fileSize = fileSize;
+    dataExport.downloadTokenHash = hashToken(downloadToken);
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + EXPORT_EXPIRES_HOURS * 60 * 60 * 1000);
+    await dataExport.save();
+
+    return downloadToken;
+  } catch (error) {
+    console.error('❌ Data export failed:', error);
+    dataExport.status = 'failed';
+    dataExport.error = 'Export generation failed';
+    await dataExport.save();
+    throw error;
+  }
+};
+
+/**
+ * Mark exports that stopped making progress (e.g. the process died while
+ * generating them) as failed so a new export can be requested
+ * @param {Object} filter - Optional extra conditions, e.g. { userId }
+ * @returns {Promise<number>} how many exports were marked failed
+ */
+const failStaleExports = async (filter = {}) => {
+  const result = await DataExport.updateMany({
+    ...filter,
+    status: { $in: ['pending', 'processing'] },
+    updatedAt: { $lte: new Date(Date.now() - EXPORT_TIMEOUT_MINUTES * 60 * 1000) }
+  }, {
+    $set: { status: 'failed', error: 'Export timed out' }
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * Check a download token against an export loaded with +downloadTokenHash
+ */
+const isValidDownloadToken = (dataExport, token) => {
+  if (!token || !dataExport.downloadTokenHash) {
+    return false;
+  }
+  const expected = Buffer.from(dataExport.downloadTokenHash);
+  const actual = Buffer.from(hashToken(token));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Remove an export archive from disk
+const removeExportFile = async (filePath) => {
+  if (!filePath) {
+    return;
+  }
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Failed to remove export file:', filePath, error.message);
+    }
+  }
+};
+
+/**
+ * Delete archives whose download link has expired
+ */
+const expireOldExports = async () => {
+  const exports = await DataExport.find({
+    status: 'ready',
+    expiresAt: { $lte: new Date() }
+  }).select('+filePath');
+
+  for (const dataExport of exports) {
+    await removeExportFile(dataExport.filePath);
+    dataExport.status = 'expired';
+    dataExport.filePath = undefined;
+    dataExport.downloadTokenHash = undefined;
+    await dataExport.save();
+  }
+  return exports.length;
+};
+
+/**
+ * Delete every export of a user (used when the account is purged)
+ */
+const removeUserExports = async (userId) => {
+  const exports = await DataExport.find({ userId }).select('+filePath');
+  for (const dataExport of exports) {
+    await removeExportFile(dataExport.filePath);
+  }
+  await DataExport.deleteMany({ userId });
+};
+
+module.exports = {
+  canGenerateSynchronously,
+  failStaleExports,
+  generateExport,
+  isValidDownloadToken,
+  expireOldExports,
+  removeUserExports
+};
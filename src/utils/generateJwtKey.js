@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const { SUPPORTED_ALGORITHMS } = require('./signingKeys');
+
+/**
+ * Generate a JWT signing key and print it as a JWT_KEYS entry:
+ *   npm run generate-jwt-key -- ES256 [kid]
+ *
+ * To rotate, add the new entry first in JWT_KEYS (or set JWT_SIGNING_KID),
+ * keep the old key until its tokens have expired, then mark it "retired".
+ */
+const main = () => {
+  const [alg = 'ES256', kid = new Date().toISOString().slice(0, 10)] = process.argv.slice(2);
+
+  if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+    console.error(`Usage: npm run generate-jwt-key -- <${SUPPORTED_ALGORITHMS.join('|')}> [kid]`);
+    process.exit(1);
+  }
+
+  const { privateKey } = alg === 'RS256'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+  console.log(JSON.stringify({
+    kid,
+    alg,
+    status: 'active',
+    privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' })
+  }, null, 2));
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,413 @@
+const Joi = require('joi');
+const { getDraftSnapshot, updateDraft, addDraftProject } = require('./profileVersions');
+
+/**
+ * Conversion between profiles and JSON Resume documents (https://jsonresume.org/schema).
+ * Export uses the live profile. Import maps a document onto the current
+ * profile: name, bio, location, avatar and projects go to the draft like any
+ * other edit of those fields, while work, education, skills and links apply
+ * directly. Those are not versioned, and their own endpoints write them live
+ * too. Entries that do not fit the profile's limits are skipped and reported
+ * as warnings.
+ */
+
+const JSON_RESUME_SECTIONS = ['basics', 'work', 'education', 'projects', 'skills', 'links'];
+
+// Token scope each section is written with, the same as its own endpoints
+const SECTION_SCOPES = {
+  basics: 'profile:write',
+  work: 'work:write',
+  education: 'profile:write',
+  projects: 'projects:write',
+  skills: 'profile:write',
+  links: 'profile:write'
+};
+
+const LINK_NETWORKS = { github: 'GitHub', linkedin: 'LinkedIn', portfolio: 'Portfolio' };
+
+// JSON Resume dates are ISO 8601 with optional month and day
+const RESUME_DATE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+const HTTP_URL = /^https?:\/\/.+/i;
+
+const resumeDate = Joi.string().pattern(RESUME_DATE).allow('').messages({
+  'string.pattern.base': '{{#label}} must be a date like 2020, 2020-04 or 2020-04-15'
+});
+
+// Only the parts that are imported are checked; anything else in the document is ignored
+const jsonResumeSchema = Joi.object({
+  basics: Joi.object({
+    name: Joi.string().allow(''),
+    image: Joi.string().allow(''),
+    email: Joi.string().allow(''),
+    url: Joi.string().allow(''),
+    summary: Joi.string().allow(''),
+    location: Joi.object({
+      address: Joi.string().allow(''),
+      city: Joi.string().allow(''),
+      region: Joi.string().allow(''),
+      countryCode: Joi.string().allow('')
+    }).unknown(true),
+    profiles: Joi.array().items(Joi.object({
+      network: Joi.string().allow(''),
+      username: Joi.string().allow(''),
+      url: Joi.string().allow('')
+    }).unknown(true)).max(50)
+  }).unknown(true),
+  work: Joi.array().items(Joi.object({
+    name: Joi.string().allow(''),
+    // Name of the employer before JSON Resume 1.0
+    company: Joi.string().allow(''),
+    position: Joi.string().allow(''),
+    location: Joi.string().allow(''),
+    summary: Joi.string().allow(''),
+    highlights: Joi.array().items(Joi.string().allow('')),
+    startDate: resumeDate,
+    endDate: resumeDate
+  }).unknown(true)).max(100),
+  education: Joi.array().items(Joi.object({
+    institution: Joi.string().allow(''),
+    area: Joi.string().allow(''),
+    studyType: Joi.string().allow(''),
+    score: Joi.string().allow(''),
+    courses: Joi.array().items(Joi.string().allow('')),
+    startDate: resumeDate,
+    endDate: resumeDate
+  }).unknown(true)).max(100),
+  projects: Joi.array().items(Joi.object({
+    name: Joi.string().allow(''),
+    description: Joi.string().allow(''),
+    highlights: Joi.array().items(Joi.string().allow('')),
+    keywords: Joi.array().items(Joi.string().allow('')),
+    url: Joi.string().allow('')
+  }).unknown(true)).max(100),
+  skills: Joi.array().items(Joi.object({
+    name: Joi.string().allow(''),
+    keywords: Joi.array().items(Joi.string().allow(''))
+  }).unknown(true)).max(200)
+}).unknown(true);
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : undefined);
+
+const parseDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const [year, month = 1, day = 1] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Drop undefined and empty values so exported documents stay compact
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) =>
+    value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && !value.length))
+);
+
+// Username at the end of a profile URL, e.g. https://github.com/octocat -> octocat
+const usernameFromUrl = (url) => {
+  const match = /^https?:\/\/[^/]+\/(?:in\/)?([^/?#]+)\/?$/i.exec(url || '');
+  return match ? decodeURIComponent(match[1]) : undefined;
+};
+
+/**
+ * Build a JSON Resume document from a profile
+ */
+const toJsonResume = (profile) => {
+  const links = profile.links || {};
+
+  return {
+    $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    basics: compact({
+      name: profile.name,
+      image: profile.avatar,
+      email: profile.email,
+      url: links.website,
+      summary: profile.bio,
+      location: profile.location ? { address: profile.location } : undefined,
+      profiles: Object.keys(LINK_NETWORKS)
+        .filter(key => links[key])
+        .map(key => compact({ network: LINK_NETWORKS[key], username: usernameFromUrl(links[key]), url: links[key] }))
+    }),
+    work: (profile.work || []).map(entry => compact({
+      name: entry.company,
+      position: entry.position,
+      location: entry.location,
+      startDate: formatDate(entry.startDate),
+      endDate: entry.isCurrent ? undefined : formatDate(entry.endDate),
+      summary: entry.description
+    })),
+    education: (profile.education || []).map(entry => compact({
+      institution: entry.institution,
+      area: entry.field,
+      studyType: entry.degree,
+      startDate: formatDate(entry.startDate),
+      endDate: formatDate(entry.endDate),
+      score: entry.grade
+    })),
+    projects: (profile.projects || []).map(project => compact({
+      name: project.title,
+      description: project.description,
+      url: (project.links || [])[0],
+      keywords: project.technologies
+    })),
+    skills: (profile.skills || []).map(name => ({ name })),
+    meta: {
+      version: 'v1.0.0',
+      lastModified: profile.updatedAt ? new Date(profile.updatedAt).toISOString() : undefined
+    }
+  };
+};
+
+// Text from a summary and a list of highlights, as bullet points
+const describe = (summary, highlights) => [
+  trimmed(summary),
+  ...(highlights || []).map(trimmed).filter(Boolean).map(highlight => `• ${highlight}`)
+].filter(Boolean).join('\n');
+
+// Work entry for the profile, or a reason it cannot be imported
+const mapWorkEntry = (entry) => {
+  const company = trimmed(entry.name) || trimmed(entry.company);
+  const position = trimmed(entry.position);
+  const description = describe(entry.summary, entry.highlights);
+  const startDate = parseDate(entry.startDate);
+  const endDate = parseDate(entry.endDate);
+
+  if (!company || !position) {
+    return { error: 'needs a company name and a position' };
+  }
+  if (company.length > 100 || position.length > 100) {
+    return { error: 'company name and position cannot exceed 100 characters' };
+  }
+  if (!description) {
+    return { error: 'needs a summary or highlights' };
+  }
+  if (description.length > 500) {
+    return { error: 'summary and highlights cannot exceed 500 characters' };
+  }
+  if (!startDate) {
+    return { error: 'needs a start date' };
+  }
+  if (endDate && endDate < startDate) {
+    return { error: 'end date is before the start date' };
+  }
+  return {
+    value: {
+      company,
+      position,
+      description,
+      startDate,
+      endDate,
+      isCurrent: !endDate,
+      location: trimmed(entry.location).slice(0, 100)
+    }
+  };
+};
+
+// Education entry for the profile, or a reason it cannot be imported
+const mapEducationEntry = (entry) => {
+  const institution = trimmed(entry.institution);
+  const courses = (entry.courses || []).map(trimmed).filter(Boolean);
+  const value = {
+    institution,
+    degree: trimmed(entry.studyType),
+    field: trimmed(entry.area),
+    grade: trimmed(entry.score),
+    description: courses.length ? `Courses: ${courses.join(', ')}` : '',
+    startDate: parseDate(entry.startDate),
+    endDate: parseDate(entry.endDate)
+  };
+
+  if (!institution) {
+    return { error: 'needs an institution' };
+  }
+  if (institution.length > 150 || value.degree.length > 100 || value.field.length > 100 || value.grade.length > 50) {
+    return { error: 'institution, study type, area or score is too long' };
+  }
+  if (value.description.length > 500) {
+    return { error: 'courses cannot exceed 500 characters' };
+  }
+  if (value.startDate && value.endDate && value.endDate < value.startDate) {
+    return { error: 'end date is before the start date' };
+  }
+  return { value };
+};
+
+// Project for the profile, or a reason it cannot be imported
+const mapProject = (project) => {
+  const title = trimmed(project.name);
+  const description = describe(project.description, project.highlights);
+  const url = trimmed(project.url);
+  const technologies = (project.keywords || []).map(trimmed).filter(Boolean);
+
+  if (!title || !description) {
+    return { error: 'needs a name and a description or highlights' };
+  }
+  if (title.length > 100 || description.length > 1000) {
+    return { error: 'name cannot exceed 100 and description 1000 characters' };
+  }
+  if (technologies.some(technology => technology.length > 50)) {
+    return { error: 'keywords cannot exceed 50 characters' };
+  }
+  return {
+    value: {
+      title,
+      description,
+      links: HTTP_URL.test(url) ? [url] : [],
+      technologies
+    }
+  };
+};
+
+const sameText = (a, b) => trimmed(a).toLowerCase() === trimmed(b).toLowerCase();
+
+const sameMonth = (a, b) => (!a && !b) || (a && b && formatDate(a).slice(0, 7) === formatDate(b).slice(0, 7));
+
+// Map a list of document entries, collecting warnings for the ones skipped
+const mapEntries = (section, entries, mapEntry, warnings) => entries.reduce((values, entry, index) => {
+  const { value, error } = mapEntry(entry);
+  if (error) {
+    warnings.push(`${section}[${index}] skipped: ${error}`);
+  } else {
+    values.push(value);
+  }
+  return values;
+}, []);
+
+/**
+ * Apply a JSON Resume document to a profile in memory (the caller saves it)
+ * @param {Object} profile - Profile document, with its draft selected
+ * @param {Object} resume - Validated JSON Resume document
+ * @param {Object} options - { mode: 'merge'|'replace', sections }
+ * @returns {{changes: Object, warnings: Array<string>}} what changed per section
+ */
+// Scopes a personal access token needs to import the given sections
+const scopesForSections = (sections) => [...new Set(sections.map(section => SECTION_SCOPES[section]))];
+
+const importJsonResume = (profile, resume, { mode = 'merge', sections = JSON_RESUME_SECTIONS } = {}) => {
+  const replace = mode === 'replace';
+  const warnings = [];
+  const changes = {};
+  const basics = resume.basics || {};
+
+  if (sections.includes('basics') && resume.basics) {
+    const current = getDraftSnapshot(profile);
+    const location = basics.location
+      ? trimmed(basics.location.address) || [basics.location.city, basics.location.region, basics.location.countryCode]
+        .map(trimmed).filter(Boolean).join(', ')
+      : '';
+    const imported = {
+      name: trimmed(basics.name),
+      bio: trimmed(basics.summary),
+      location,
+      avatar: HTTP_URL.test(trimmed(basics.image)) ? trimmed(basics.image) : ''
+    };
+    const limits = { name: 100, bio: 500, location: 100 };
+
+    const updates = {};
+    for (const [field, value] of Object.entries(imported)) {
+      if (!value || (!replace && current[field])) {
+        continue;
+      }
+      if (limits[field] && value.length > limits[field]) {
+        warnings.push(`basics ${field} skipped: cannot exceed ${limits[field]} characters`);
+        continue;
+      }
+      if (value !== current[field]) {
+        updates[field] = value;
+      }
+    }
+    if (basics.email && !sameText(basics.email, profile.email)) {
+      warnings.push('basics email ignored: change your email with POST /api/auth/email');
+    }
+    if (Object.keys(updates).length) {
+      updateDraft(profile, updates);
+    }
+    changes.basics = { updated: Object.keys(updates) };
+  }
+
+  if (sections.includes('links') && resume.basics) {
+    const imported = {};
+    if (HTTP_URL.test(trimmed(basics.url))) {
+      imported.website = trimmed(basics.url);
+    }
+    for (const item of basics.profiles || []) {
+      const key = Object.keys(LINK_NETWORKS).find(network => sameText(item.network, network));
+      if (key && HTTP_URL.test(trimmed(item.url))) {
+        imported[key] = trimmed(item.url);
+      } else if (item.network) {
+        warnings.push(`basics profile "${item.network}" skipped: only GitHub, LinkedIn and Portfolio links with a URL are supported`);
+      }
+    }
+
+    const updated = [];
+    for (const key of ['github', 'linkedin', 'portfolio', 'website']) {
+      const current = profile.links ? profile.links[key] : '';
+      const value = replace ? imported[key] || '' : current || imported[key] || '';
+      if (value !== (current || '')) {
+        profile.set(`links.${key}`, value);
+        updated.push(key);
+      }
+    }
+    changes.links = { updated };
+  }
+
+  if (sections.includes('work') && resume.work) {
+    const entries = mapEntries('work', resume.work, mapWorkEntry, warnings);
+    const existing = replace ? [] : profile.work;
+    const added = entries.filter(entry => !existing.some(current =>
+      sameText(current.company, entry.company) && sameText(current.position, entry.position) &&
+      sameMonth(current.startDate, entry.startDate)));
+    changes.work = { added: added.length, removed: replace ? profile.work.length : 0, unchanged: entries.length - added.length };
+    profile.work = [...existing, ...added];
+  }
+
+  if (sections.includes('education') && resume.education) {
+    const entries = mapEntries('education', resume.education, mapEducationEntry, warnings);
+    const existing = replace ? [] : profile.education;
+    const added = entries.filter(entry => !existing.some(current =>
+      sameText(current.institution, entry.institution) && sameText(current.degree, entry.degree) &&
+      sameMonth(current.startDate, entry.startDate)));
+    changes.education = { added: added.length, removed: replace ? profile.education.length : 0, unchanged: entries.length - added.length };
+    profile.education = [...existing, ...added];
+  }
+
+  if (sections.includes('projects') && resume.projects) {
+    const entries = mapEntries('projects', resume.projects, mapProject, warnings);
+    const current = getDraftSnapshot(profile).projects;
+    const existing = replace ? [] : current;
+    const added = entries.filter(entry => !existing.some(project => sameText(project.title, entry.title)));
+    if (replace) {
+      updateDraft(profile, { projects: [] });
+    }
+    added.forEach(project => addDraftProject(profile, project));
+    changes.projects = { added: added.length, removed: replace ? current.length : 0, unchanged: entries.length - added.length };
+  }
+
+  if (sections.includes('skills') && resume.skills) {
+    const names = [];
+    for (const skill of resume.skills) {
+      for (const name of [skill.name, ...(skill.keywords || [])].map(trimmed).filter(Boolean)) {
+        if (name.length > 50) {
+          warnings.push(`skill "${name.slice(0, 20)}…" skipped: cannot exceed 50 characters`);
+        } else if (!names.some(existing => sameText(existing, name))) {
+          names.push(name);
+        }
+      }
+    }
+    const existing = replace ? [] : [...profile.skills];
+    const added = names.filter(name => !existing.some(current => sameText(current, name)));
+    changes.skills = { added: added.length, removed: replace ? profile.skills.length : 0, unchanged: names.length - added.length };
+    profile.skills = [...existing, ...added];
+  }
+
+  return { changes, warnings };
+};
+
+module.exports = {
+  JSON_RESUME_SECTIONS,
+  jsonResumeSchema,
+  toJsonResume,
+  scopesForSections,
+  importJsonResume
+};
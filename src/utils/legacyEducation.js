@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * Education used to be a single string. "Degree, Institution" (the format
+ * the app suggested) is split on the last comma; anything else becomes the
+ * institution. Empty strings become an empty list.
+ */
+
+/**
+ * Build the entry list for an old education string
+ * @returns {Array<Object>} zero or one raw education entries
+ */
+const educationFromString = (text, now = new Date()) => {
+  const value = (text || '').trim();
+  if (!value) {
+    return [];
+  }
+
+  const comma = value.lastIndexOf(',');
+  const degree = comma > 0 ? value.slice(0, comma).trim() : '';
+  const institution = comma > 0 ? value.slice(comma + 1).trim() : value;
+
+  return [{
+    _id: new mongoose.Types.ObjectId(),
+    institution: (institution || value).slice(0, 150),
+    degree: institution ? degree.slice(0, 100) : '',
+    field: '',
+    startDate: null,
+    endDate: null,
+    grade: '',
+    description: '',
+    createdAt: now,
+    updatedAt: now
+  }];
+};
+
+module.exports = {
+  educationFromString
+};
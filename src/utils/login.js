@@ -0,0 +1,71 @@
+const { createError } = require('../middleware/errorHandler');
+const { createSession, generateChallengeToken } = require('./tokens');
+const { recordSecurityEvent } = require('./auditLog');
+const loginThrottle = require('./loginThrottle');
+const OAuthIdentity = require('../models/OAuthIdentity');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+
+/**
+ * Refuse a login for a deactivated account (records the failure)
+ * @param {string} method - How the user authenticated, e.g. 'password'
+ */
+const assertAccountActive = async (req, user, method) => {
+  if (user.isActive) {
+    return;
+  }
+  await recordSecurityEvent(req, 'login_failure', { user, metadata: { reason: 'account_inactive', method } });
+  throw createError.unauthorized(user.deletionScheduledFor
+    ? 'Account is scheduled for deletion. Restore it to log in again.'
+    : 'Account is deactivated');
+};
+
+/**
+ * Finish a login once the first factor has been verified: ask for the
+ * second factor when 2FA is enabled, otherwise start a session.
+ * @returns {Promise<{message: string, data: Object}>} response body fields
+ */
+const completeLogin = async (req, user, method) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return {
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id, '2fa')
+      }
+    };
+  }
+
+  await loginThrottle.registerSuccessfulLogin(user.email);
+
+  // Start session
+  const tokens = await createSession(user, req);
+  await recordSecurityEvent(req, 'login_success', { user, metadata: { method } });
+
+  // Update last login
+  await user.updateLastLogin();
+
+  return {
+    message: 'Login successful',
+    data: {
+      user: user.getPublicInfo(),
+      ...tokens
+    }
+  };
+};
+
+/**
+ * Count the ways a user can sign in without a password (linked providers and passkeys)
+ */
+const countPasswordlessLogins = async (userId) => {
+  const [identities, passkeys] = await Promise.all([
+    OAuthIdentity.countDocuments({ userId }),
+    WebAuthnCredential.countDocuments({ userId })
+  ]);
+  return identities + passkeys;
+};
+
+module.exports = {
+  assertAccountActive,
+  completeLogin,
+  countPasswordlessLogins
+};
@@ -0,0 +1,173 @@
+const createMemoryStore = require('./stores/memory');
+const createMongoStore = require('./stores/mongo');
+
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+// Throttling policy (per-account and per-IP)
+const policy = {
+  windowMs: (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000,
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30) * 60 * 1000,
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 1000,
+  account: {
+    freeAttempts: 3,
+    lockAfter: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 10
+  },
+  ip: {
+    freeAttempts: 10,
+    lockAfter: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 100
+  },
+  magicLink: {
+    windowMs: (parseInt(process.env.MAGIC_LINK_WINDOW_MINUTES) || 15) * 60 * 1000,
+    maxRequests: parseInt(process.env.MAGIC_LINK_MAX_REQUESTS) || 3
+  }
+};
+
+let activeStore = null;
+
+// Resolve the configured store (LOGIN_THROTTLE_STORE), defaulting to MongoDB
+const getStore = () => {
+  if (!activeStore) {
+    const storeName = process.env.LOGIN_THROTTLE_STORE || 'mongo';
+    const createStore = stores[storeName];
+
+    if (!createStore) {
+      throw new Error(`Unknown LOGIN_THROTTLE_STORE "${storeName}". Use one of: ${Object.keys(stores).join(', ')}`);
+    }
+
+    activeStore = createStore();
+  }
+  return activeStore;
+};
+
+const accountKey = (email) => `account:${email.toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+const magicLinkKey = (email) => `magic-link:${email.toLowerCase()}`;
+
+// Delay before the next attempt is allowed, doubling after the free attempts
+const getDelayMs = (failures, freeAttempts) => {
+  if (failures < freeAttempts) {
+    return 0;
+  }
+  return Math.min(policy.baseDelayMs * 2 ** (failures - freeAttempts), policy.maxDelayMs);
+};
+
+// Seconds the client has to wait for a record, or 0 when it may try now
+const getRetryAfterSeconds = (record, now = new Date()) => {
+  if (!record) {
+    return 0;
+  }
+  const blockedUntil = Math.max(
+    record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0,
+    record.nextAttemptAt ? new Date(record.nextAttemptAt).getTime() : 0
+  );
+  return blockedUntil > now.getTime() ? Math.ceil((blockedUntil - now.getTime()) / 1000) : 0;
+};
+
+/**
+ * Check whether a login attempt may proceed.
+ * @returns {Promise<{allowed: boolean, locked: boolean, retryAfter: number}>}
+ */
+const checkLoginAllowed = async (email, ip) => {
+  const store = getStore();
+  const [accountRecord, ipRecord] = await Promise.all([
+    store.get(accountKey(email)),
+    store.get(ipKey(ip))
+  ]);
+
+  const now = new Date();
+  const retryAfter = Math.max(getRetryAfterSeconds(accountRecord, now), getRetryAfterSeconds(ipRecord, now));
+  const locked = [accountRecord, ipRecord].some(record =>
+    record && record.lockedUntil && new Date(record.lockedUntil) > now
+  );
+
+  return { allowed: retryAfter === 0, locked, retryAfter };
+};
+
+// Record one failure for a key and apply delay/lockout thresholds
+const recordFailure = async (key, limits) => {
+  const store = getStore();
+  const record = await store.recordFailure(key, {
+    windowMs: policy.windowMs,
+    retainMs: Math.max(policy.windowMs, policy.lockoutMs)
+  });
+
+  const now = Date.now();
+  const fields = {
+    nextAttemptAt: new Date(now + getDelayMs(record.failures, limits.freeAttempts))
+  };
+
+  // Only start a lockout when crossing the threshold, not on every later failure
+  const newlyLocked = record.failures >= limits.lockAfter &&
+    !(record.lockedUntil && new Date(record.lockedUntil) > new Date(now));
+  if (newlyLocked) {
+    fields.lockedUntil = new Date(now + policy.lockoutMs);
+  }
+
+  await store.update(key, fields);
+  return { ...record, ...fields, newlyLocked };
+};
+
+/**
+ * Register a failed login for both the account and the client IP.
+ * @returns {Promise<{accountLocked: boolean, lockedUntil: Date|null}>}
+ */
+const registerFailedLogin = async (email, ip) => {
+  const [accountRecord] = await Promise.all([
+    recordFailure(accountKey(email), policy.account),
+    recordFailure(ipKey(ip), policy.ip)
+  ]);
+
+  return {
+    accountLocked: accountRecord.newlyLocked,
+    lockedUntil: accountRecord.lockedUntil || null
+  };
+};
+
+/**
+ * Clear the failure counter of an account after a successful login
+ */
+const registerSuccessfulLogin = async (email) => {
+  await getStore().reset(accountKey(email));
+};
+
+/**
+ * Lift a lockout on an account (e.g. via the emailed unlock link)
+ */
+const unlockAccount = async (email) => {
+  await getStore().reset(accountKey(email));
+};
+
+/**
+ * Count a magic link request for an address (fixed window per address).
+ * @returns {Promise<{allowed: boolean, retryAfter: number}>}
+ */
+const registerMagicLinkRequest = async (email) => {
+  const { windowMs, maxRequests } = policy.magicLink;
+  const record = await getStore().recordFailure(magicLinkKey(email), { windowMs, retainMs: windowMs });
+
+  if (record.failures <= maxRequests) {
+    return { allowed: true, retryAfter: 0 };
+  }
+  const windowEndsAt = new Date(record.firstFailureAt).getTime() + windowMs;
+  return { allowed: false, retryAfter: Math.max(1, Math.ceil((windowEndsAt - Date.now()) / 1000)) };
+};
+
+/**
+ * Replace the active store (e.g. with an in-memory store in tests)
+ */
+const setStore = (store) => {
+  activeStore = store;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+  unlockAccount,
+  registerMagicLinkRequest,
+  setStore
+};
@@ -0,0 +1,56 @@
+/**
+ * In-memory login attempt store.
+ * Only suitable for a single long-running instance (local development, tests).
+ */
+const createMemoryStore = () => {
+  const records = new Map();
+
+  // Drop records whose retention period has passed
+  const getLive = (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    name: 'memory',
+
+    get: async (key) => {
+      const record = getLive(key);
+      return record ? { ...record } : null;
+    },
+
+    recordFailure: async (key, { windowMs, retainMs }) => {
+      const now = new Date();
+      const record = getLive(key);
+      const inWindow = record && record.firstFailureAt && record.firstFailureAt > new Date(now - windowMs);
+
+      const updated = {
+        key,
+        failures: inWindow ? record.failures + 1 : 1,
+        firstFailureAt: inWindow ? record.firstFailureAt : now,
+        nextAttemptAt: record ? record.nextAttemptAt : null,
+        lockedUntil: record ? record.lockedUntil : null,
+        expiresAt: new Date(now.getTime() + retainMs)
+      };
+      records.set(key, updated);
+      return { ...updated };
+    },
+
+    update: async (key, fields) => {
+      const record = getLive(key);
+      if (record) {
+        records.set(key, { ...record, ...fields });
+      }
+    },
+
+    reset: async (key) => {
+      records.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,48 @@
+const LoginAttempt = require('../../../models/LoginAttempt');
+
+/**
+ * MongoDB login attempt store.
+ * Shared by every instance, so limits hold across serverless invocations.
+ */
+const createMongoStore = () => ({
+  name: 'mongo',
+
+  get: async (key) => LoginAttempt.findOne({ key }).lean(),
+
+  recordFailure: async (key, { windowMs, retainMs }) => {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - windowMs);
+    // A missing or out-of-window first failure starts a fresh count
+    const windowExpired = { $not: [{ $gt: ['$firstFailureAt', windowStart] }] };
+
+    // Single atomic update so concurrent failures are all counted
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          key,
+          failures: {
+            $cond: [windowExpired, 1, { $add: [{ $ifNull: ['$failures', 0] }, 1] }]
+          },
+          firstFailureAt: {
+            $cond: [windowExpired, now, '$firstFailureAt']
+          },
+          expiresAt: new Date(now.getTime() + retainMs),
+          createdAt: { $ifNull: ['$createdAt', now] },
+          updatedAt: now
+        }
+      }],
+      { upsert: true, new: true }
+    ).lean();
+  },
+
+  update: async (key, fields) => {
+    await LoginAttempt.updateOne({ key }, fields);
+  },
+
+  reset: async (key) => {
+    await LoginAttempt.deleteOne({ key });
+  }
+});
+
+module.exports = createMongoStore;
@@ -0,0 +1,17 @@
+/**
+ * Console mail driver - prints each message to stdout
+ */
+const createConsoleDriver = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('📧 ---------- Outgoing mail ----------');
+    console.log(`📧 From: ${message.from}`);
+    console.log(`📧 To: ${message.to}`);
+    console.log(`📧 Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log('📧 -----------------------------------');
+    return { id: `console-${Date.now()}` };
+  }
+});
+
+module.exports = createConsoleDriver;
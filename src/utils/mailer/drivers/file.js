@@ -0,0 +1,29 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * File mail driver - writes each message as JSON for local development
+ */
+const createFileDriver = () => {
+  const mailDir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'predusk-mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(mailDir, { recursive: true });
+
+      const id = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+      const filePath = path.join(mailDir, `${id}.json`);
+      await fs.promises.writeFile(filePath, JSON.stringify({
+        ...message,
+        sentAt: new Date().toISOString()
+      }, null, 2));
+
+      console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+      return { id };
+    }
+  };
+};
+
+module.exports = createFileDriver;
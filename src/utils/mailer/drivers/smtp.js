@@ -0,0 +1,29 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP mail driver backed by nodemailer
+ */
+const createSmtpDriver = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST environment variable is not configured');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+module.exports = createSmtpDriver;
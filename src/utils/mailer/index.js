@@ -0,0 +1,55 @@
+const createSmtpDriver = require('./drivers/smtp');
+const createFileDriver = require('./drivers/file');
+const createConsoleDriver = require('./drivers/console');
+
+const drivers = {
+  smtp: createSmtpDriver,
+  file: createFileDriver,
+  console: createConsoleDriver
+};
+
+let activeDriver = null;
+
+// Resolve the configured driver (MAIL_DRIVER), defaulting to console outside production
+const getDriver = () => {
+  if (!activeDriver) {
+    const driverName = process.env.MAIL_DRIVER || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    const createDriver = drivers[driverName];
+
+    if (!createDriver) {
+      throw new Error(`Unknown MAIL_DRIVER "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}`);
+    }
+
+    activeDriver = createDriver();
+    console.log(`📧 Mailer using ${activeDriver.name} driver`);
+  }
+  return activeDriver;
+};
+
+/**
+ * Send an email through the configured driver
+ * @param {Object} message - { to, subject, text, html }
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'Predusk <no-reply@predusk.local>',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  return getDriver().send(message);
+};
+
+/**
+ * Replace the active driver (e.g. with an in-memory driver in tests)
+ */
+const setDriver = (driver) => {
+  activeDriver = driver;
+};
+
+module.exports = {
+  sendMail,
+  setDriver
+};
@@ -0,0 +1,223 @@
+const APP_NAME = 'Predusk';
+
+// Base URL of the frontend used to build links in emails
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Escape values interpolated into HTML bodies
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Wrap a paragraph list and an optional action link into text + html bodies
+const render = ({ greeting, paragraphs, action }) => {
+  const text = [
+    greeting,
+    '',
+    ...paragraphs,
+    ...(action ? ['', `${action.label}: ${action.url}`] : []),
+    '',
+    `— The ${APP_NAME} team`
+  ].join('\n');
+
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...paragraphs.map(p => `<p>${escapeHtml(p)}</p>`),
+    ...(action ? [`<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`] : []),
+    `<p>— The ${APP_NAME} team</p>`
+  ].join('\n');
+
+  return { text, html };
+};
+
+/**
+ * Password reset email
+ */
+const passwordReset = ({ name, token, expiresInMinutes }) => ({
+  subject: `Reset your ${APP_NAME} password`,
+  ...render({
+    greeting: `Hi ${name || 'there'},`,
+    paragraphs: [
+      'We received a request to reset the password for your account.',
+      `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'If you did not request a password reset, you can safely ignore this email.'
+    ],
+    action: {
+      label: 'Reset password',
+      url: `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(token)}`
+    }
+  })
+});
+
+/**
+ * Notification sent after a password has been changed
+ */
+const passwordChanged = ({ name }) => ({
+  subject: `Your ${APP_NAME} password was changed`,
+  ...render({
+    greeting: `Hi ${name || 'there'},`,
+    paragraphs: [
+      'The password for your account was just changed and any other signed-in sessions were signed out.',
+      'If you did not make this change, reset your password immediately and contact support.'
+    ]
+  })
+});
+
+/**
+ * Email address verification email
+ */
+const emailVerification = ({ name, token }) => ({
+  subject: `Verify your ${APP_NAME} email address`,
+  ...render({
+    greeting: `Hi ${name || 'there'},`,
+    paragraphs: [
+      `Please confirm that this is your email address to finish setting up your ${APP_NAME} account.`,
+      'If you did not create an account, you can safely ignore this email.'
+    ],
+    action: {
+      label: 'Verify email',
+      url: `${getFrontendUrl()}/verify-email/${encodeURIComponent(token)}`
+    }
+  })
+});
+
+/**
+ * Account lockout notice with an unlock link
+ */
+const accountLocked = ({ name, token, lockedUntil }) => ({
+  subject: `Your ${APP_NAME} account has been temporarily locked`,
+  ...render({
+    greeting: `Hi ${name || 'there'},`,
+    paragraphs: [
+      'We locked your account after too many failed sign-in attempts.',
+      `It will unlock automatically at ${new Date(lockedUntil).toUTCString()}, or you can unlock it now with the link below.`,
+      'If these attempts were not you, consider resetting your password.'
+    ],
+    action: {
+      label: 'Unlock account',
+      url: `${getFrontendUrl()}/unlock-account/${encodeURIComponent(token)}`
+    }
+  })
+});
+
+/**
+ * Confirmation that account deletion has been scheduled
+ */
+const accountDeletionScheduled = ({ name, scheduledFor }) => ({
+  subject: `Your ${APP_NAME} account is scheduled for deletion`,
+  ...render({
+    greeting: `Hi ${name || 'there'},`,
+    paragraphs: [
+      `Your account has been deactivated and will be permanently deleted on ${new Date(scheduledFor).toUTCString()}.`,
+      'Until then you can restore it from the account restore page with your password or an emailed restore link.',
+      'After that date your profile, projects and uploaded images cannot be recovered.'
+    ],
+    action: {
+      label: 'Restore account',
+      url: `${getFrontendUrl()}/restore-account`
+    }
+  })
+});
+
+/**
+ * Data export ready for download
+ */
+const dataExportReady = ({ name, downloadUrl, expiresAt }) => ({
+  subject: `Your ${APP_NAME} data export is ready`,
+  ...render({
+    greeting: `Hi ${name || 'there'},`,
+    paragraphs: [
+      'The export of your personal data you requested is ready.',
+      `The download link expires on ${new Date(expiresAt).toUTCString()}.`
+    ],
+    action: {
+      label: 'Download export',
+      url: downloadUrl
+    }
+  })
+});
+
+/**
+ * Confirmation link sent to the new address during an email change
+ */
+const emailChangeConfirmation = ({ name, token, newEmail }) => ({
+  subject: `Confirm your new ${APP_NAME} email address`,
+  ...render({
+    greeting: `Hi ${name || 'there'},`,
+    paragraphs: [
+      `You asked to change the email address of your ${APP_NAME} account to ${newEmail}.`,
+      'Confirm the change with the link below. If you did not request this, ignore this email.'
+    ],
+    action: {
+      label: 'Confirm email change',
+      url: `${getFrontendUrl()}/confirm-email-change?token=${encodeURIComponent(token)}`
+    }
+  })
+});
+
+/**
+ * Notice sent to the old address once an email change completes
+ */
+const emailChanged = ({ name, newEmail }) => ({
+  subject: `Your ${APP_NAME} email address was changed`,
+  ...render({
+    greeting: `Hi ${name || 'there'},`,
+    paragraphs: [
+      `The email address of your ${APP_NAME} account was changed to ${newEmail}.`,
+      'If you did not make this change, contact support immediately.'
+    ]
+  })
+});
+
+/**
+ * Passwordless sign-in link
+ */
+const magicLink = ({ name, token, expiresInMinutes }) => ({
+  subject: `Your ${APP_NAME} sign-in link`,
+  ...render({
+    greeting: `Hi ${name || 'there'},`,
+    paragraphs: [
+      'Use the link below to sign in to your account without a password.',
+      `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'If you did not request this link, you can safely ignore this email.'
+    ],
+    action: {
+      label: 'Sign in',
+      url: `${getFrontendUrl()}/magic-link?token=${encodeURIComponent(token)}`
+    }
+  })
+});
+
+/**
+ * Single-use link to restore an account scheduled for deletion
+ */
+const accountRestoreLink = ({ name, token, expiresInMinutes }) => ({
+  subject: `Restore your ${APP_NAME} account`,
+  ...render({
+    greeting: `Hi ${name || 'there'},`,
+    paragraphs: [
+      'Use the link below to restore your account before it is permanently deleted.',
+      `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'If you did not request this link, you can safely ignore this email.'
+    ],
+    action: {
+      label: 'Restore account',
+      url: `${getFrontendUrl()}/restore-account?token=${encodeURIComponent(token)}`
+    }
+  })
+});
+
+module.exports = {
+  getFrontendUrl,
+  magicLink,
+  accountRestoreLink,
+  emailChangeConfirmation,
+  emailChanged,
+  dataExportReady,
+  accountDeletionScheduled,
+  accountLocked,
+  emailVerification,
+  passwordReset,
+  passwordChanged
+};
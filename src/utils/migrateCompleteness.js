@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Profile = require('../models/Profile');
+
+/**
+ * Store the completeness score on profiles saved before it existed (or whose
+ * score is out of date), so search can sort and filter on it. Profiles keep
+ * their score current on every save afterwards.
+ *
+ * Usage:
+ *   npm run migrate-completeness              # apply changes
+ *   npm run migrate-completeness -- --dry-run # only report
+ */
+
+/**
+ * Recompute every profile's completeness score
+ * @param {Object} options - { dryRun }
+ */
+const migrateCompleteness = async ({ dryRun = false } = {}) => {
+  // Lean documents show profiles that have no score stored at all
+  const cursor = Profile.find({})
+    .select('userId name email bio avatar skills projects work links education location privacy completeness')
+    .lean()
+    .cursor();
+
+  const summary = { profilesChecked: 0, profilesUpdated: 0 };
+
+  for await (const profile of cursor) {
+    summary.profilesChecked++;
+    const score = Profile.hydrate(profile).getPublicCompleteness();
+    if (profile.completeness === score) {
+      continue;
+    }
+
+    if (dryRun) {
+      console.log(`🔍 Would set completeness of profile ${profile._id} (${profile.email}) to ${score}`);
+      continue;
+    }
+
+    // Write only the score; saving would also touch updatedAt
+    await Profile.collection.updateOne({ _id: profile._id }, { $set: { completeness: score } });
+    summary.profilesUpdated++;
+  }
+
+  return summary;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/predusk');
+    console.log('✅ Connected to MongoDB');
+
+    const summary = await migrateCompleteness({ dryRun: args.includes('--dry-run') });
+    console.log('📊 Migration summary:', summary);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Completeness migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  migrateCompleteness
+};
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Profile = require('../models/Profile');
+const { educationFromString } = require('./legacyEducation');
+
+/**
+ * Convert the old single-string `education` field into a list of education
+ * entries (see legacyEducation). Profiles loaded through the model are
+ * already read as a list, but queries on education entries only match
+ * converted documents.
+ *
+ * Usage:
+ *   npm run migrate-education              # apply changes
+ *   npm run migrate-education -- --dry-run # only report
+ */
+
+/**
+ * Migrate every profile whose education is still a string
+ * @param {Object} options - { dryRun }
+ */
+const migrateEducation = async ({ dryRun = false } = {}) => {
+  // Read the raw documents: the schema would reject the old string values
+  const cursor = Profile.collection.find(
+    { education: { $type: 'string' } },
+    { projection: { education: 1, email: 1 } }
+  );
+
+  const summary = { profilesFound: 0, profilesUpdated: 0 };
+
+  for await (const profile of cursor) {
+    summary.profilesFound++;
+    const education = educationFromString(profile.education);
+
+    if (dryRun) {
+      console.log(`🔍 Would convert education "${profile.education}" on profile ${profile._id} (${profile.email})`);
+      continue;
+    }
+
+    await Profile.collection.updateOne({ _id: profile._id }, { $set: { education } });
+    summary.profilesUpdated++;
+    console.log(`✅ Converted education on profile ${profile._id} (${profile.email})`);
+  }
+
+  return summary;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/predusk');
+    console.log('✅ Connected to MongoDB');
+
+    const summary = await migrateEducation({ dryRun: args.includes('--dry-run') });
+    console.log('📊 Migration summary:', summary);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Education migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  educationFromString,
+  migrateEducation
+};
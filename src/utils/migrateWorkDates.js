@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Profile = require('../models/Profile');
+
+/**
+ * Convert work experience dates stored as strings ("YYYY-MM-DD", "" for no end)
+ * into real dates, and drop the stray `duration` strings written by older seed
+ * data. Entries whose dates cannot be parsed are reported and left untouched.
+ *
+ * Usage:
+ *   npm run migrate-work-dates              # apply changes
+ *   npm run migrate-work-dates -- --dry-run # only report
+ */
+
+// Parse a stored date value; '' and null mean "no date"
+const parseStoredDate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { ok: true, date: null };
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? { ok: false } : { ok: true, date };
+};
+
+// Whether a raw work entry still has the old shape
+const needsMigration = (entry) =>
+  typeof entry.startDate === 'string' ||
+  typeof entry.endDate === 'string' ||
+  entry.duration !== undefined ||
+  !!(entry.isCurrent && entry.endDate);
+
+/**
+ * Convert one raw work entry
+ * @returns {{entry: Object|null, warning: string|null}} entry is null when it cannot be converted
+ */
+const migrateWorkEntry = (entry) => {
+  const start = parseStoredDate(entry.startDate);
+  const end = parseStoredDate(entry.endDate);
+  if (!start.ok || !start.date) {
+    return { entry: null, warning: `unreadable start date "${entry.startDate}"` };
+  }
+  if (!end.ok) {
+    return { entry: null, warning: `unreadable end date "${entry.endDate}"` };
+  }
+
+  const { duration, ...rest } = entry;
+  const migrated = {
+    ...rest,
+    startDate: start.date,
+    // A current position has no end date
+    endDate: entry.isCurrent ? null : end.date
+  };
+  const warning = migrated.endDate && migrated.endDate < migrated.startDate
+    ? 'end date is before the start date; the owner must fix it before the next edit'
+    : null;
+  return { entry: migrated, warning };
+};
+
+/**
+ * Migrate every profile with string dates or duration fields in its work entries
+ * @param {Object} options - { dryRun }
+ */
+const migrateWorkDates = async ({ dryRun = false } = {}) => {
+  // Read the raw documents: the schema would cast (or reject) the old values
+  const cursor = Profile.collection.find({
+    work: {
+      $elemMatch: {
+        $or: [
+          { startDate: { $type: 'string' } },
+          { endDate: { $type: 'string' } },
+          { duration: { $exists: true } },
+          // Matches needsMigration: a current position keeps no end date
+          { isCurrent: true, endDate: { $type: 'date' } }
+        ]
+      }
+    }
+  }, { projection: { work: 1, email: 1 } });
+
+  const summary = { profilesFound: 0, profilesUpdated: 0, entriesUpdated: 0, entriesSkipped: 0 };
+
+  for await (const profile of cursor) {
+    summary.profilesFound++;
+    let updated = 0;
+
+    const work = profile.work.map((entry) => {
+      if (!needsMigration(entry)) {
+        return entry;
+      }
+      const result = migrateWorkEntry(entry);
+      if (result.warning) {
+        console.warn(`⚠️  Profile ${profile._id} (${profile.email}), work entry ${entry._id}: ${result.warning}`);
+      }
+      if (!result.entry) {
+        summary.entriesSkipped++;
+        return entry;
+      }
+      updated++;
+      return result.entry;
+    });
+
+    if (updated === 0) {
+      continue;
+    }
+    summary.entriesUpdated += updated;
+
+    if (dryRun) {
+      console.log(`🔍 Would update ${updated} work entries on profile ${profile._id} (${profile.email})`);
+      continue;
+    }
+
+    await Profile.collection.updateOne({ _id: profile._id }, { $set: { work } });
+    summary.profilesUpdated++;
+    console.log(`✅ Updated ${updated} work entries on profile ${profile._id} (${profile.email})`);
+  }
+
+  return summary;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/predusk');
+    console.log('✅ Connected to MongoDB');
+
+    const summary = await migrateWorkDates({ dryRun: args.includes('--dry-run') });
+    console.log('📊 Migration summary:', summary);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Work date migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  migrateWorkEntry,
+  migrateWorkDates
+};
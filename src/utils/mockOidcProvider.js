@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Minimal OpenID Connect provider for local development and tests.
+ * Authorization requests are approved immediately for the user named by
+ * `login_hint` (or the first configured user), so the whole login flow can
+ * run without a real identity provider:
+ *   npm run mock-oidc
+ *   OIDC_PROVIDERS='[{"name":"mock","displayName":"Mock OIDC","issuer":"http://localhost:4400",
+ *                     "clientId":"predusk","clientSecret":"predusk-secret"}]'
+ */
+
+const DEFAULT_USERS = [
+  {
+    sub: 'mock-user-1',
+    email: 'oidc.user@example.com',
+    email_verified: true,
+    name: 'OIDC Test User',
+    preferred_username: 'oidcuser',
+    picture: 'https://example.com/avatar.png'
+  }
+];
+
+const createMockOidcProvider = ({
+  issuer,
+  clientId = 'predusk',
+  clientSecret = 'predusk-secret',
+  users = DEFAULT_USERS
+}) => {
+  const app = express();
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const kid = crypto.randomBytes(4).toString('hex');
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['ES256'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'ES256', use: 'sig' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id: requestClientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, login_hint: loginHint } = req.query;
+    if (requestClientId !== clientId || !redirectUri) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const user = users.find(candidate => candidate.email === loginHint || candidate.sub === loginHint) || users[0];
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { user, nonce, codeChallenge, redirectUri });
+
+    const location = new URL(redirectUri);
+    location.searchParams.set('code', code);
+    location.searchParams.set('state', state);
+    res.redirect(location.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { client_id: requestClientId, client_secret: requestSecret, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+    if (requestClientId !== clientId || requestSecret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(code);
+    codes.delete(code);
+    const challenge = codeVerifier && crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    if (!grant || grant.redirectUri !== redirectUri || (grant.codeChallenge && grant.codeChallenge !== challenge)) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, grant.user);
+
+    res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: jwt.sign(
+        { ...grant.user, nonce: grant.nonce },
+        privateKey,
+        { algorithm: 'ES256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+      )
+    });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const user = accessTokens.get(token);
+    if (!user) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json(user);
+  });
+
+  return app;
+};
+
+// Run if called directly
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT) || 4400;
+  const issuer = `http://localhost:${port}`;
+  createMockOidcProvider({ issuer }).listen(port, () => {
+    console.log(`🔐 Mock OIDC provider running at ${issuer}`);
+    console.log(`   OIDC_PROVIDERS='[{"name":"mock","displayName":"Mock OIDC","issuer":"${issuer}","clientId":"predusk","clientSecret":"predusk-secret"}]'`);
+  });
+}
+
+module.exports = {
+  createMockOidcProvider
+};
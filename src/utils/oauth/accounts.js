@@ -0,0 +1,172 @@
+const User = require('../../models/User');
+const Profile = require('../../models/Profile');
+const OAuthIdentity = require('../../models/OAuthIdentity');
+const { createError } = require('../../middleware/errorHandler');
+const { runAtomically } = require('../transaction');
+
+// Profile fields filled from the provider, only where the profile is still blank
+const fillBlankProfileFields = (profile, providerProfile) => {
+  if (!profile.avatar && providerProfile.avatarUrl) {
+    profile.avatar = providerProfile.avatarUrl;
+  }
+  for (const [key, url] of Object.entries(providerProfile.links || {})) {
+    if (url && !profile.links[key]) {
+      profile.links[key] = url;
+    }
+  }
+};
+
+// Build an identity document linking a provider account to a user
+const buildIdentity = (provider, user, providerProfile) => {
+  const identity = new OAuthIdentity({
+    userId: user._id,
+    provider: provider.name,
+    providerUserId: providerProfile.providerUserId,
+    lastLoginAt: new Date()
+  });
+  identity.updateFromProfile(providerProfile);
+  return identity;
+};
+
+// Translate a duplicate identity into a conflict error
+const rethrowDuplicateIdentity = (provider, error) => {
+  if (error.code === 11000) {
+    throw createError.conflict(`This ${provider.displayName} account is already linked to a user`);
+  }
+  throw error;
+};
+
+// Create a passwordless user, profile and identity from a provider profile, all or nothing
+const createUserFromProfile = async (provider, providerProfile) => {
+  const user = new User({
+    email: providerProfile.email,
+    hasPassword: false,
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+
+  const name = (providerProfile.name || providerProfile.username || providerProfile.email.split('@')[0]).slice(0, 100);
+  const profile = new Profile({
+    userId: user._id,
+    name,
+    email: user.email,
+    emailVerified: true
+  });
+  fillBlankProfileFields(profile, providerProfile);
+  const identity = buildIdentity(provider, user, providerProfile);
+
+  try {
+    await runAtomically(async (session) => {
+      await user.save({ session });
+      await profile.save({ session });
+      await identity.save({ session });
+    }, async () => {
+      await OAuthIdentity.deleteOne({ _id: identity._id });
+      await Profile.deleteOne({ userId: user._id });
+      await User.deleteOne({ _id: user._id });
+    });
+  } catch (error) {
+    rethrowDuplicateIdentity(provider, error);
+  }
+
+  return { user, identity };
+};
+
+// Fill blanks on an existing profile after linking a provider
+const updateProfileFromProvider = async (user, providerProfile) => {
+  const profile = await Profile.findOne({ userId: user._id });
+  if (!profile) {
+    return;
+  }
+  fillBlankProfileFields(profile, providerProfile);
+  try {
+    await profile.save();
+  } catch (error) {
+    console.error('⚠️ Could not fill profile from login provider:', error.message);
+  }
+};
+
+const createIdentity = async (provider, user, providerProfile) => {
+  const identity = buildIdentity(provider, user, providerProfile);
+  try {
+    await identity.save();
+  } catch (error) {
+    rethrowDuplicateIdentity(provider, error);
+  }
+  return identity;
+};
+
+/**
+ * Link a provider account to a signed-in user
+ */
+const linkIdentity = async (provider, user, providerProfile) => {
+  const existing = await OAuthIdentity.findOne({
+    provider: provider.name,
+    providerUserId: providerProfile.providerUserId
+  });
+  if (existing) {
+    if (existing.userId.toString() !== user._id.toString()) {
+      throw createError.conflict(`This ${provider.displayName} account is already linked to another user`);
+    }
+    return existing;
+  }
+
+  const identity = await createIdentity(provider, user, providerProfile);
+  await updateProfileFromProvider(user, providerProfile);
+  return identity;
+};
+
+/**
+ * Find the user for a provider login, linking by verified email or
+ * creating a new account on first login.
+ * @returns {Promise<{user, identity, created: boolean, linked: boolean}>}
+ */
+const findOrCreateUser = async (provider, providerProfile) => {
+  const identity = await OAuthIdentity.findOne({
+    provider: provider.name,
+    providerUserId: providerProfile.providerUserId
+  });
+
+  if (identity) {
+    const user = await User.findById(identity.userId);
+    if (!user) {
+      await identity.deleteOne();
+      throw createError.unauthorized('The account linked to this login no longer exists');
+    }
+    identity.updateFromProfile(providerProfile);
+    identity.lastLoginAt = new Date();
+    await identity.save();
+    return { user, identity, created: false, linked: false };
+  }
+
+  const email = providerProfile.email ? providerProfile.email.toLowerCase() : null;
+  if (!email || !providerProfile.emailVerified) {
+    if (email && await User.emailExists(email)) {
+      throw createError.conflict(`An account with this email already exists. Log in and link ${provider.displayName} from your account settings.`);
+    }
+    throw createError.badRequest(`Your ${provider.displayName} account has no verified email address`);
+  }
+
+  const existingUser = await User.findByEmail(email);
+  if (existingUser) {
+    // Anyone can register an address they do not own, so an unverified account is
+    // not proof of the same person: linking it would hand its password or passkeys
+    // the provider account's identity. Its owner must sign in and link explicitly.
+    if (!existingUser.emailVerified) {
+      throw createError.conflict(`An account with this email already exists but its email is not verified. Log in and link ${provider.displayName} from your account settings.`);
+    }
+
+    // Both the provider and our own verification vouch for the address
+    const linkedIdentity = await createIdentity(provider, existingUser, providerProfile);
+    await updateProfileFromProvider(existingUser, providerProfile);
+    return { user: existingUser, identity: linkedIdentity, created: false, linked: true };
+  }
+
+  const created = await createUserFromProfile(provider, { ...providerProfile, email });
+  return { ...created, created: true, linked: true };
+};
+
+module.exports = {
+  findOrCreateUser,
+  linkIdentity
+};
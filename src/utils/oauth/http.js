@@ -0,0 +1,50 @@
+const { createError } = require('../../middleware/errorHandler');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Call a provider endpoint and parse its JSON response.
+ * Network failures and non-2xx answers become 502 errors.
+ */
+const requestJson = async (url, { method = 'GET', headers = {}, body } = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: { Accept: 'application/json', ...headers },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    console.error('❌ OAuth provider request failed:', url, error.message);
+    throw createError.badGateway('Could not reach the login provider');
+  }
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch (error) {
+    // Handled below
+  }
+
+  // OAuth error responses (e.g. invalid_grant for a reused code)
+  if (response.status >= 400 && response.status < 500 && data && data.error) {
+    throw createError.unauthorized(data.error_description || 'The login provider rejected the authorization');
+  }
+
+  if (!response.ok || data === null) {
+    console.error('❌ OAuth provider returned an error:', url, response.status, data);
+    throw createError.badGateway('The login provider returned an error');
+  }
+  return data;
+};
+
+// Form-encoded body for token endpoint requests
+const formBody = (params) => new URLSearchParams(
+  Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+).toString();
+
+module.exports = {
+  requestJson,
+  formBody
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const createGithubProvider = require('./providers/github');
+const createOidcProvider = require('./providers/oidc');
+const { getFrontendUrl } = require('../mailer/templates');
+
+/**
+ * OAuth2 / OpenID Connect login providers.
+ *
+ * A provider is an object with:
+ *   name, displayName
+ *   getAuthorizationUrl({ state, nonce, codeChallenge, redirectUri }) -> Promise<string>
+ *   fetchProfile({ code, codeVerifier, redirectUri, nonce }) -> Promise<profile>
+ * where profile is { providerUserId, email, emailVerified, name, username,
+ * avatarUrl, profileUrl, links }.
+ *
+ * GitHub is enabled by GITHUB_CLIENT_ID/GITHUB_CLIENT_SECRET; any number of
+ * OIDC providers by OIDC_PROVIDERS, a JSON array of
+ *   { "name", "displayName", "issuer", "clientId", "clientSecret", "scopes" }
+ */
+
+let providers = null;
+
+const loadProviders = () => {
+  const loaded = new Map();
+
+  if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET) {
+    loaded.set('github', createGithubProvider({
+      clientId: process.env.GITHUB_CLIENT_ID,
+      clientSecret: process.env.GITHUB_CLIENT_SECRET,
+      baseUrl: process.env.GITHUB_BASE_URL,
+      apiUrl: process.env.GITHUB_API_URL
+    }));
+  }
+
+  const oidcConfigs = process.env.OIDC_PROVIDERS ? JSON.parse(process.env.OIDC_PROVIDERS) : [];
+  for (const config of oidcConfigs) {
+    if (!config.name || !/^[a-z0-9-]+$/.test(config.name) || !config.issuer || !config.clientId) {
+      throw new Error('Each OIDC provider needs a lowercase name, an issuer and a clientId');
+    }
+    if (loaded.has(config.name)) {
+      throw new Error(`Duplicate OAuth provider name: ${config.name}`);
+    }
+    loaded.set(config.name, createOidcProvider(config));
+  }
+
+  return loaded;
+};
+
+const getProviders = () => {
+  if (!providers) {
+    providers = loadProviders();
+  }
+  return providers;
+};
+
+/**
+ * Get an enabled provider by name, or null
+ */
+const getProvider = (name) => getProviders().get(name) || null;
+
+/**
+ * List enabled providers
+ */
+const listProviders = () => Array.from(getProviders().values())
+  .map(provider => ({ name: provider.name, displayName: provider.displayName }));
+
+/**
+ * Add or replace a provider (e.g. a mock provider in tests)
+ */
+const registerProvider = (provider) => {
+  getProviders().set(provider.name, provider);
+};
+
+/**
+ * Drop loaded providers so the configuration is read again
+ */
+const resetProviders = () => {
+  providers = null;
+};
+
+// Where the provider sends the browser back to; the frontend then posts code and state to the API
+const getRedirectUri = (providerName) => {
+  const base = (process.env.OAUTH_REDIRECT_BASE_URL || `${getFrontendUrl()}/oauth/callback`).replace(/\/$/, '');
+  return `${base}/${providerName}`;
+};
+
+// PKCE verifier and S256 challenge
+const generatePkce = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+};
+
+module.exports = {
+  getProvider,
+  listProviders,
+  registerProvider,
+  resetProviders,
+  getRedirectUri,
+  generatePkce
+};
@@ -0,0 +1,76 @@
+const { createError } = require('../../../middleware/errorHandler');
+const { requestJson, formBody } = require('../http');
+
+/**
+ * GitHub OAuth app provider.
+ * baseUrl/apiUrl can point at GitHub Enterprise or a local mock.
+ */
+const createGithubProvider = ({
+  clientId,
+  clientSecret,
+  baseUrl = 'https://github.com',
+  apiUrl = 'https://api.github.com'
+}) => ({
+  name: 'github',
+  displayName: 'GitHub',
+
+  getAuthorizationUrl: async ({ state, codeChallenge, redirectUri }) => {
+    const params = new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: 'read:user user:email',
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+    return `${baseUrl}/login/oauth/authorize?${params.toString()}`;
+  },
+
+  fetchProfile: async ({ code, codeVerifier, redirectUri }) => {
+    const token = await requestJson(`${baseUrl}/login/oauth/access_token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: formBody({
+        client_id: clientId,
+        client_secret: clientSecret,
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+      })
+    });
+    // GitHub answers 200 with an "error" field for bad codes
+    if (!token.access_token) {
+      throw createError.unauthorized(token.error_description || 'GitHub authorization failed');
+    }
+
+    const headers = {
+      Authorization: `Bearer ${token.access_token}`,
+      Accept: 'application/vnd.github+json',
+      'User-Agent': 'Predusk'
+    };
+    const [user, emails] = await Promise.all([
+      requestJson(`${apiUrl}/user`, { headers }),
+      requestJson(`${apiUrl}/user/emails`, { headers })
+    ]);
+    // A token without the user:email scope gets an error object instead of a list
+    if (!Array.isArray(emails)) {
+      throw createError.badGateway('GitHub did not return the account email addresses');
+    }
+
+    const verifiedEmail = emails.find(email => email.primary && email.verified) ||
+      emails.find(email => email.verified);
+
+    return {
+      providerUserId: String(user.id),
+      email: verifiedEmail ? verifiedEmail.email : user.email,
+      emailVerified: !!verifiedEmail,
+      name: user.name || user.login,
+      username: user.login,
+      avatarUrl: user.avatar_url,
+      profileUrl: user.html_url,
+      links: { github: user.html_url }
+    };
+  }
+});
+
+module.exports = createGithubProvider;
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createError } = require('../../../middleware/errorHandler');
+const { requestJson, formBody } = require('../http');
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'ES256'];
+
+/**
+ * Generic OpenID Connect provider configured through discovery
+ * (`<issuer>/.well-known/openid-configuration`).
+ */
+const createOidcProvider = ({
+  name,
+  displayName = name,
+  issuer,
+  clientId,
+  clientSecret,
+  scopes = 'openid email profile'
+}) => {
+  const issuerUrl = issuer.replace(/\/$/, '');
+  let metadata = null;
+  let keys = [];
+
+  const discover = async () => {
+    if (!metadata) {
+      const discovered = await requestJson(`${issuerUrl}/.well-known/openid-configuration`);
+      if ((discovered.issuer || '').replace(/\/$/, '') !== issuerUrl) {
+        throw createError.badGateway(`OIDC discovery for ${name} returned a different issuer`);
+      }
+      metadata = discovered;
+    }
+    return metadata;
+  };
+
+  // Find the provider key for an ID token, refetching the JWKS once for new keys
+  const getSigningKey = async (kid) => {
+    let jwk = keys.find(key => key.kid === kid);
+    if (!jwk) {
+      const { jwks_uri: jwksUri } = await discover();
+      keys = (await requestJson(jwksUri)).keys || [];
+      jwk = keys.find(key => key.kid === kid) || (!kid && keys.length === 1 ? keys[0] : null);
+    }
+    if (!jwk) {
+      throw createError.unauthorized('ID token was signed with an unknown key');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  };
+
+  const verifyIdToken = async (idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+      throw createError.unauthorized('ID token is invalid');
+    }
+
+    const key = await getSigningKey(decoded.header.kid);
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: [decoded.header.alg],
+        issuer: metadata.issuer,
+        audience: clientId
+      });
+    } catch (error) {
+      throw createError.unauthorized('ID token is invalid or has expired');
+    }
+    if (claims.nonce !== nonce) {
+      throw createError.unauthorized('ID token nonce does not match');
+    }
+    return claims;
+  };
+
+  return {
+    name,
+    displayName,
+
+    getAuthorizationUrl: async ({ state, nonce, codeChallenge, redirectUri }) => {
+      const { authorization_endpoint: authorizationEndpoint } = await discover();
+      const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      });
+      return `${authorizationEndpoint}?${params.toString()}`;
+    },
+
+    fetchProfile: async ({ code, codeVerifier, redirectUri, nonce }) => {
+      const { token_endpoint: tokenEndpoint, userinfo_endpoint: userinfoEndpoint } = await discover();
+
+      const token = await requestJson(tokenEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: formBody({
+          grant_type: 'authorization_code',
+          client_id: clientId,
+          client_secret: clientSecret,
+          code,
+          redirect_uri: redirectUri,
+          code_verifier: codeVerifier
+        })
+      });
+      if (!token.id_token) {
+        throw createError.unauthorized(`${displayName} did not return an ID token`);
+      }
+
+      let claims = await verifyIdToken(token.id_token, nonce);
+
+      // Some providers only put email/profile claims in userinfo
+      if (userinfoEndpoint && token.access_token) {
+        const userinfo = await requestJson(userinfoEndpoint, {
+          headers: { Authorization: `Bearer ${token.access_token}` }
+        });
+        if (userinfo.sub === claims.sub) {
+          claims = { ...userinfo, ...claims };
+        }
+      }
+
+      return {
+        providerUserId: claims.sub,
+        email: claims.email,
+        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+        name: claims.name || claims.preferred_username,
+        username: claims.preferred_username,
+        avatarUrl: claims.picture,
+        profileUrl: claims.profile,
+        links: {}
+      };
+    }
+  };
+};
+
+module.exports = createOidcProvider;
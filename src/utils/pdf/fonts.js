@@ -0,0 +1,91 @@
+/**
+ * Metrics for the PDF standard fonts used by the résumé templates. Standard
+ * fonts ship with every PDF viewer, so nothing is embedded; the widths (in
+ * 1/1000 em, from the Adobe AFM files) are only needed to measure and wrap text.
+ */
+
+// Widths of characters 32-126
+const parseWidths = (list) => list.trim().split(/\s+/).map(Number);
+
+const FONTS = {
+  'Helvetica': {
+    fallbackWidth: 556,
+    widths: parseWidths(`
+      278 278 355 556 556 889 667 191 333 333 389 584 278 333 278 278
+      556 556 556 556 556 556 556 556 556 556 278 278 584 584 584 556
+      1015 667 667 722 722 667 611 778 722 278 500 667 556 833 722 778
+      667 778 722 667 611 722 667 944 667 667 611 278 278 278 469 556
+      333 556 556 500 556 556 278 556 556 222 222 500 222 833 556 556
+      556 556 333 500 278 556 500 722 500 500 500 334 260 334 584`)
+  },
+  'Helvetica-Bold': {
+    fallbackWidth: 611,
+    widths: parseWidths(`
+      278 333 474 556 556 889 722 238 333 333 389 584 278 333 278 278
+      556 556 556 556 556 556 556 556 556 556 333 333 584 584 584 611
+      975 722 722 722 722 667 611 778 722 278 556 722 611 833 722 778
+      667 778 722 667 611 722 667 944 667 667 611 333 278 333 584 556
+      333 556 611 556 611 556 333 611 611 278 278 556 278 889 611 611
+      611 611 389 556 333 611 556 778 556 556 500 389 280 389 584`)
+  },
+  'Times-Roman': {
+    fallbackWidth: 500,
+    widths: parseWidths(`
+      250 333 408 500 500 833 778 180 333 333 500 564 250 333 250 278
+      500 500 500 500 500 500 500 500 500 500 278 278 564 564 564 444
+      921 722 667 667 722 611 556 722 722 333 389 722 611 889 722 722
+      556 722 667 556 611 722 722 944 722 722 611 333 278 333 469 500
+      333 444 500 444 500 444 333 500 500 278 278 500 278 778 500 500
+      500 500 333 389 278 500 500 722 500 500 444 480 200 480 541`)
+  },
+  'Times-Bold': {
+    fallbackWidth: 556,
+    widths: parseWidths(`
+      250 333 555 500 500 1000 833 278 333 333 500 570 250 333 250 278
+      500 500 500 500 500 500 500 500 500 500 333 333 570 570 570 500
+      930 722 667 722 722 667 611 778 778 389 500 778 667 944 722 778
+      611 778 722 556 667 722 722 1000 722 722 667 333 278 333 581 500
+      333 500 556 444 556 444 333 500 556 278 333 556 278 833 556 500
+      556 556 444 389 333 556 500 722 500 500 444 394 220 394 520`)
+  }
+};
+
+// Windows-1252 (WinAnsiEncoding) codes for characters outside Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85,
+  '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a,
+  '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+  '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c,
+  'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+/**
+ * Encode text for a standard font; characters the encoding lacks become "?"
+ * @returns {Buffer} one byte per character
+ */
+const encodeText = (text) => Buffer.from(Array.from(String(text), (char) => {
+  const code = char.codePointAt(0);
+  if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+    return code;
+  }
+  return WIN_ANSI_EXTRAS[char] || 0x3f;
+}));
+
+/**
+ * Width of a string in points
+ */
+const textWidth = (text, fontName, size) => {
+  const font = FONTS[fontName];
+  let total = 0;
+  for (const byte of encodeText(text)) {
+    total += byte >= 32 && byte <= 126 ? font.widths[byte - 32] : font.fallbackWidth;
+  }
+  return (total * size) / 1000;
+};
+
+module.exports = {
+  FONTS,
+  encodeText,
+  textWidth
+};
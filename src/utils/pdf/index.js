@@ -0,0 +1,152 @@
+const zlib = require('zlib');
+const { FONTS, encodeText, textWidth } = require('./fonts');
+
+/**
+ * Minimal PDF 1.4 writer: text in the standard fonts, lines, filled
+ * rectangles and link annotations, one content stream per page. Layout
+ * (positions, wrapping, page breaks) is up to the caller.
+ */
+
+// A4 in points
+const PAGE_SIZE = { width: 595.28, height: 841.89 };
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+const formatColor = (color = [0, 0, 0]) => color.map(channel => formatNumber(channel)).join(' ');
+
+// Text string for the document info dictionary (UTF-16BE with a byte order mark)
+const infoString = (text) => {
+  const utf16 = Buffer.from(String(text), 'utf16le').swap16();
+  return `<FEFF${utf16.toString('hex').toUpperCase()}>`;
+};
+
+// Literal string for a link URI, which must be 7-bit ASCII
+const uriString = (uri) => {
+  const ascii = /^[\x20-\x7e]*$/.test(uri) ? uri : encodeURI(uri);
+  return `(${ascii.replace(/[\\()]/g, '\\$&')})`;
+};
+
+const pdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+// Drawing operators for one page item
+const itemOperators = (item, fontIds) => {
+  switch (item.type) {
+    case 'text':
+      return `BT /${fontIds.get(item.font)} ${formatNumber(item.size)} Tf ${formatColor(item.color)} rg ` +
+        `${formatNumber(item.x)} ${formatNumber(item.y)} Td <${encodeText(item.text).toString('hex')}> Tj ET`;
+    case 'line':
+      return `q ${formatColor(item.color)} RG ${formatNumber(item.width || 1)} w ` +
+        `${formatNumber(item.x1)} ${formatNumber(item.y1)} m ${formatNumber(item.x2)} ${formatNumber(item.y2)} l S Q`;
+    case 'rect':
+      return `q ${formatColor(item.color)} rg ` +
+        `${formatNumber(item.x)} ${formatNumber(item.y)} ${formatNumber(item.width)} ${formatNumber(item.height)} re f Q`;
+    default:
+      throw new Error(`Unknown PDF item type: ${item.type}`);
+  }
+};
+
+/**
+ * Build a PDF file
+ * @param {Object} document - { pages, title, author }; each page is
+ *   { items: [{ type: 'text'|'line'|'rect', ... }], links: [{ x, y, width, height, uri }] }
+ * @returns {Buffer} the PDF file
+ */
+const renderPdf = ({ pages, title = '', author = '', createdAt = new Date() }) => {
+  // Objects are numbered in the order they are added, starting at 1
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  const reserveObject = () => addObject(null);
+
+  const catalogId = reserveObject();
+  const pagesId = reserveObject();
+  const infoId = addObject(
+    `<< /Title ${infoString(title)} /Author ${infoString(author)} ` +
+    `/Producer ${infoString('Predusk')} /CreationDate (${pdfDate(createdAt)}) >>`
+  );
+
+  const usedFonts = new Set();
+  for (const page of pages) {
+    for (const item of page.items) {
+      if (item.type === 'text') {
+        usedFonts.add(item.font);
+      }
+    }
+  }
+  const fontIds = new Map();
+  const fontResources = [];
+  for (const fontName of usedFonts) {
+    if (!FONTS[fontName]) {
+      throw new Error(`Unknown PDF font: ${fontName}`);
+    }
+    const resourceName = `F${fontIds.size + 1}`;
+    fontIds.set(fontName, resourceName);
+    const fontId = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${fontName} /Encoding /WinAnsiEncoding >>`);
+    fontResources.push(`/${resourceName} ${fontId} 0 R`);
+  }
+
+  const pageIds = pages.map((page) => {
+    const content = zlib.deflateSync(Buffer.from(page.items.map(item => itemOperators(item, fontIds)).join('\n'), 'latin1'));
+    const contentId = addObject(Buffer.concat([
+      Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+      content,
+      Buffer.from('\nendstream')
+    ]));
+
+    const annotationIds = (page.links || []).map(link => addObject(
+      `<< /Type /Annot /Subtype /Link /Border [0 0 0] /Rect [${[
+        link.x, link.y, link.x + link.width, link.y + link.height
+      ].map(formatNumber).join(' ')}] /A << /Type /Action /S /URI /URI ${uriString(link.uri)} >> >>`
+    ));
+
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R ` +
+      `/MediaBox [0 0 ${formatNumber(PAGE_SIZE.width)} ${formatNumber(PAGE_SIZE.height)}] ` +
+      `/Resources << /Font << ${fontResources.join(' ')} >> >> /Contents ${contentId} 0 R` +
+      (annotationIds.length ? ` /Annots [${annotationIds.map(id => `${id} 0 R`).join(' ')}]` : '') +
+      ' >>'
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // The binary comment marks the file as binary for transfer tools
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = [];
+  objects.forEach((body, index) => {
+    const chunk = Buffer.concat([
+      Buffer.from(`${index + 1} 0 obj\n`),
+      Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+      Buffer.from('\nendobj\n')
+    ]);
+    offsets.push(length);
+    chunks.push(chunk);
+    length += chunk.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+    ''
+  ].join('\n');
+  chunks.push(Buffer.from(xref));
+
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  PAGE_SIZE,
+  renderPdf,
+  textWidth
+};
@@ -0,0 +1,159 @@
+/**
+ * Profile completeness: a 0-100 score from weighted criteria, plus hints for
+ * what would raise it. Works on a Profile document or a plain profile object
+ * (such as a draft preview). Profiles store the score of what anyone may see
+ * of them in `completeness` when saved, so search can sort and filter on it
+ * without counting private sections.
+ */
+
+const MIN_BIO_LENGTH = 50;
+const TARGET_SKILLS = 5;
+const LINK_LABELS = { github: 'GitHub', linkedin: 'LinkedIn', portfolio: 'portfolio', website: 'website' };
+const LINK_KEYS = Object.keys(LINK_LABELS);
+
+const hasText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const countWith = (items, predicate) => items.filter(predicate).length;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Each criterion scores 0-1 and explains what is missing when it is below 1
+const CRITERIA = [
+  {
+    key: 'bio',
+    label: 'Bio',
+    weight: 15,
+    score: (profile) => {
+      if (!hasText(profile.bio)) {
+        return 0;
+      }
+      return profile.bio.trim().length >= MIN_BIO_LENGTH ? 1 : 0.5;
+    },
+    hint: (profile) => hasText(profile.bio)
+      ? `Expand your bio to at least ${MIN_BIO_LENGTH} characters`
+      : 'Add a short bio about yourself'
+  },
+  {
+    key: 'avatar',
+    label: 'Avatar',
+    weight: 10,
+    score: (profile) => hasText(profile.avatar) ? 1 : 0,
+    hint: () => 'Add a profile picture'
+  },
+  {
+    key: 'skills',
+    label: 'Skills',
+    weight: 15,
+    score: (profile) => Math.min((profile.skills || []).length / TARGET_SKILLS, 1),
+    hint: (profile) => {
+      const missing = TARGET_SKILLS - (profile.skills || []).length;
+      return `Add ${plural(missing, 'more skill')} (${TARGET_SKILLS} or more is best)`;
+    }
+  },
+  {
+    key: 'projects',
+    label: 'Projects',
+    weight: 10,
+    score: (profile) => (profile.projects || []).length > 0 ? 1 : 0,
+    hint: () => 'Add a project you have worked on'
+  },
+  {
+    key: 'projectImages',
+    label: 'Project images',
+    weight: 5,
+    score: (profile) => {
+      const projects = profile.projects || [];
+      return projects.length ? countWith(projects, project => hasText(project.imageUrl)) / projects.length : 0;
+    },
+    hint: (profile) => {
+      const missing = countWith(profile.projects || [], project => !hasText(project.imageUrl));
+      return missing ? `Add an image to ${plural(missing, 'project')}` : 'Add a project with an image';
+    }
+  },
+  {
+    key: 'projectLinks',
+    label: 'Project links',
+    weight: 5,
+    score: (profile) => {
+      const projects = profile.projects || [];
+      return projects.length ? countWith(projects, project => (project.links || []).length > 0) / projects.length : 0;
+    },
+    hint: (profile) => {
+      const missing = countWith(profile.projects || [], project => !(project.links || []).length);
+      return missing ? `Add a link (demo or source code) to ${plural(missing, 'project')}` : 'Add a project with a link';
+    }
+  },
+  {
+    key: 'work',
+    label: 'Work experience',
+    weight: 15,
+    score: (profile) => (profile.work || []).length > 0 ? 1 : 0,
+    hint: () => 'Add your work experience'
+  },
+  {
+    key: 'links',
+    label: 'Links',
+    weight: 15,
+    score: (profile) => countWith(LINK_KEYS, key => profile.links && hasText(profile.links[key])) / LINK_KEYS.length,
+    hint: (profile) => {
+      const missing = LINK_KEYS.filter(key => !(profile.links && hasText(profile.links[key])));
+      const names = missing.map(key => LINK_LABELS[key]);
+      return `Add your ${names.join(', ')} link${missing.length === 1 ? '' : 's'}`;
+    }
+  },
+  {
+    key: 'education',
+    label: 'Education',
+    weight: 5,
+    score: (profile) => (profile.education || []).length > 0 ? 1 : 0,
+    hint: () => 'Add your education'
+  },
+  {
+    key: 'location',
+    label: 'Location',
+    weight: 5,
+    score: (profile) => hasText(profile.location) ? 1 : 0,
+    hint: () => 'Add your location'
+  }
+];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Score a profile
+ * @returns {{score: number, criteria: Array<Object>, hints: Array<Object>}} hints are
+ *   ordered by how many points they are worth
+ */
+const scoreProfile = (profile) => {
+  const criteria = CRITERIA.map(criterion => {
+    const points = round(criterion.weight * criterion.score(profile));
+    return {
+      key: criterion.key,
+      label: criterion.label,
+      weight: criterion.weight,
+      points,
+      complete: points >= criterion.weight
+    };
+  });
+
+  const hints = CRITERIA
+    .map((criterion, index) => ({ criterion, result: criteria[index] }))
+    .filter(({ result }) => !result.complete)
+    .map(({ criterion, result }) => ({
+      key: criterion.key,
+      message: criterion.hint(profile),
+      points: round(criterion.weight - result.points)
+    }))
+    .sort((a, b) => b.points - a.points);
+
+  return {
+    score: Math.round(criteria.reduce((sum, criterion) => sum + criterion.points, 0)),
+    criteria,
+    hints
+  };
+};
+
+module.exports = {
+  CRITERIA,
+  scoreProfile
+};
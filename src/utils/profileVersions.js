@@ -0,0 +1,321 @@
+const mongoose = require('mongoose');
+const ProfileVersion = require('../models/ProfileVersion');
+const { createError } = require('../middleware/errorHandler');
+const { runAtomically } = require('./transaction');
+
+/**
+ * Draft/publish workflow for profile content.
+ * Edits through PUT /api/profile and the project routes are stored in
+ * `profile.draft` and only reach the live fields when published. Each publish
+ * stores a snapshot as a numbered ProfileVersion, which can be compared with
+ * other versions and rolled back to.
+ */
+
+// Profile fields that go through drafts and are kept in version snapshots
+const VERSIONED_FIELDS = ['name', 'bio', 'location', 'avatar', 'projects'];
+
+const PROJECT_FIELDS = ['title', 'description', 'links', 'technologies', 'imageUrl', 'isPublic'];
+
+// JSON-safe copy of a field value (dates become ISO strings, ids plain strings)
+const toPlain = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const object = typeof value.toObject === 'function' ? value.toObject({ virtuals: false }) : value;
+  return JSON.parse(JSON.stringify(object));
+};
+
+/**
+ * Snapshot of the live (published) versioned fields
+ */
+const takeSnapshot = (profile) => {
+  const snapshot = {};
+  for (const field of VERSIONED_FIELDS) {
+    snapshot[field] = toPlain(profile[field]);
+  }
+  snapshot.projects = snapshot.projects || [];
+  return snapshot;
+};
+
+/**
+ * Snapshot of the versioned fields as they will be once the draft is published
+ */
+const getDraftSnapshot = (profile) => ({
+  ...takeSnapshot(profile),
+  ...(profile.draft || {})
+});
+
+/**
+ * The owner's view of the profile with the draft applied
+ */
+const getDraftPreview = (profile) => {
+  const live = profile.toJSON();
+  delete live.draft;
+  delete live.draftUpdatedAt;
+  return { ...live, ...getDraftSnapshot(profile) };
+};
+
+/**
+ * Record changes to versioned fields in the draft (the caller saves the profile)
+ */
+const updateDraft = (profile, changes) => {
+  profile.draft = { ...(profile.draft || {}), ...toPlain(changes) };
+  profile.draftUpdatedAt = new Date();
+};
+
+const discardDraft = (profile) => {
+  profile.draft = undefined;
+  profile.draftUpdatedAt = null;
+};
+
+const imageUrlsOf = (projects) => (projects || []).map(project => project.imageUrl).filter(Boolean);
+
+// Project images of every published version of a profile
+const findVersionImageUrls = async (profile) => {
+  const versions = await ProfileVersion.find({ profileId: profile._id }).select('snapshot.projects.imageUrl');
+  return versions.flatMap(version => imageUrlsOf(version.snapshot && version.snapshot.projects));
+};
+
+/**
+ * Every project image a profile references: live, in the draft and in its
+ * published versions. The profile must be loaded with +draft.
+ */
+const findReferencedImageUrls = async (profile) => [...new Set([
+  ...imageUrlsOf(profile.projects),
+  ...imageUrlsOf(profile.draft && profile.draft.projects),
+  ...await findVersionImageUrls(profile)
+])];
+
+/**
+ * Project images that only the draft references, which are orphaned when it
+ * is discarded
+ */
+const findDraftOnlyImageUrls = async (profile) => {
+  const draftImageUrls = imageUrlsOf(profile.draft && profile.draft.projects);
+  if (!draftImageUrls.length) {
+    return [];
+  }
+  const kept = new Set([...imageUrlsOf(profile.projects), ...await findVersionImageUrls(profile)]);
+  return [...new Set(draftImageUrls)].filter(imageUrl => !kept.has(imageUrl));
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Project changes between two snapshots, matched by project ID
+const diffProjects = (before, after) => {
+  const previousById = new Map(before.map(project => [project._id, project]));
+  const currentIds = new Set(after.map(project => project._id));
+  const changes = [];
+
+  for (const project of after) {
+    const previous = previousById.get(project._id);
+    if (!previous) {
+      changes.push({ field: 'projects', type: 'added', projectId: project._id, title: project.title, after: project });
+      continue;
+    }
+    const fields = PROJECT_FIELDS
+      .filter(key => !sameValue(previous[key], project[key]))
+      .map(key => ({ field: key, before: previous[key] ?? null, after: project[key] ?? null }));
+    if (fields.length) {
+      changes.push({ field: 'projects', type: 'changed', projectId: project._id, title: project.title, changes: fields });
+    }
+  }
+
+  for (const project of before) {
+    if (!currentIds.has(project._id)) {
+      changes.push({ field: 'projects', type: 'removed', projectId: project._id, title: project.title, before: project });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * List the differences between two snapshots
+ * @returns {Array<Object>} changes, each with `field` and `type` (added, removed or changed)
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+  const changes = [];
+  for (const field of VERSIONED_FIELDS) {
+    if (field === 'projects') {
+      changes.push(...diffProjects(before.projects || [], after.projects || []));
+      continue;
+    }
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (!sameValue(from, to)) {
+      const type = from === null ? 'added' : to === null ? 'removed' : 'changed';
+      changes.push({ field, type, before: from, after: to });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Changes the draft would make to the live profile
+ */
+const diffDraft = (profile) => diffSnapshots(takeSnapshot(profile), getDraftSnapshot(profile));
+
+// Projects as they will be after publishing
+const getDraftProjects = (profile) => getDraftSnapshot(profile).projects;
+
+const findDraftProjectIndex = (projects, projectId) => {
+  const index = projects.findIndex(project => project._id === projectId);
+  if (index === -1) {
+    throw createError.notFound('Project not found');
+  }
+  return index;
+};
+
+/**
+ * Add a project to the draft
+ * @returns {Array<Object>} the draft projects
+ */
+const addDraftProject = (profile, projectData) => {
+  const now = new Date().toISOString();
+  const projects = [...getDraftProjects(profile), {
+    _id: new mongoose.Types.ObjectId().toString(),
+    links: [],
+    technologies: [],
+    isPublic: true,
+    ...toPlain(projectData),
+    createdAt: now,
+    updatedAt: now
+  }];
+  updateDraft(profile, { projects });
+  return projects;
+};
+
+/**
+ * Update a project in the draft
+ * @returns {Array<Object>} the draft projects
+ */
+const updateDraftProject = (profile, projectId, projectData) => {
+  const projects = [...getDraftProjects(profile)];
+  const index = findDraftProjectIndex(projects, projectId);
+  projects[index] = {
+    ...projects[index],
+    ...toPlain(projectData),
+    updatedAt: new Date().toISOString()
+  };
+  updateDraft(profile, { projects });
+  return projects;
+};
+
+/**
+ * Remove a project from the draft
+ * @returns {Array<Object>} the draft projects
+ */
+const removeDraftProject = (profile, projectId) => {
+  const projects = [...getDraftProjects(profile)];
+  projects.splice(findDraftProjectIndex(projects, projectId), 1);
+  updateDraft(profile, { projects });
+  return projects;
+};
+
+// Write a snapshot to the live profile fields
+const applySnapshot = (profile, snapshot) => {
+  for (const field of VERSIONED_FIELDS) {
+    profile[field] = field === 'projects' ? (snapshot.projects || []) : (snapshot[field] ?? undefined);
+  }
+};
+
+/**
+ * Make a snapshot the live profile and record it as the next version.
+ * Profiles that predate versioning first get their current state recorded
+ * as version 1, so the first publish can be rolled back too.
+ * @returns {Promise<Object>} the new ProfileVersion
+ */
+const publishSnapshot = async (profile, snapshot, { note = '', restoredFrom = null, keepDraft = false } = {}) => {
+  const versions = [];
+  let number = profile.publishedVersion || 0;
+
+  if (!number) {
+    number = 1;
+    versions.push({ version: number, snapshot: takeSnapshot(profile), note: 'Initial version' });
+  }
+
+  applySnapshot(profile, snapshot);
+  if (!keepDraft) {
+    discardDraft(profile);
+  }
+  number += 1;
+  profile.publishedVersion = number;
+  versions.push({ version: number, snapshot: takeSnapshot(profile), note, restoredFrom });
+
+  // Fail on invalid content before anything is written
+  await profile.validate();
+
+  const records = versions.map(version => ({
+    _id: new mongoose.Types.ObjectId(),
+    ...version,
+    profileId: profile._id,
+    userId: profile.userId
+  }));
+  try {
+    const created = await runAtomically(async (session) => {
+      const docs = await ProfileVersion.create(records, { session, ordered: true });
+      await profile.save({ session });
+      return docs;
+    }, () => ProfileVersion.deleteMany({ _id: { $in: records.map(record => record._id) } }));
+    return created[created.length - 1];
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createError.conflict('The profile was published by another request, please try again');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Publish the profile's draft
+ */
+const publishDraft = (profile, options = {}) => {
+  if (!diffDraft(profile).length) {
+    throw createError.badRequest('There are no draft changes to publish');
+  }
+  return publishSnapshot(profile, getDraftSnapshot(profile), options);
+};
+
+/**
+ * Find a version of a profile by its number
+ */
+const findVersion = async (profile, versionParam) => {
+  const version = Number(versionParam);
+  if (!Number.isInteger(version) || version < 1) {
+    throw createError.badRequest('Version must be a positive whole number');
+  }
+  const record = await ProfileVersion.findOne({ profileId: profile._id, version });
+  if (!record) {
+    throw createError.notFound('Version not found');
+  }
+  return record;
+};
+
+/**
+ * Publish an earlier version again as the newest version. The draft is kept.
+ */
+const restoreVersion = (profile, record) => publishSnapshot(profile, record.snapshot, {
+  note: `Restored version ${record.version}`,
+  restoredFrom: record.version,
+  keepDraft: true
+});
+
+module.exports = {
+  VERSIONED_FIELDS,
+  takeSnapshot,
+  getDraftSnapshot,
+  getDraftPreview,
+  updateDraft,
+  discardDraft,
+  findReferencedImageUrls,
+  findDraftOnlyImageUrls,
+  diffSnapshots,
+  diffDraft,
+  addDraftProject,
+  updateDraftProject,
+  removeDraftProject,
+  publishDraft,
+  findVersion,
+  restoreVersion
+};
@@ -0,0 +1,74 @@
+/**
+ * Helpers deciding which profiles are visible to the public
+ */
+
+// Whether profiles of accounts with an unverified email are hidden (HIDE_UNVERIFIED_PROFILES=true)
+const hideUnverifiedProfiles = () => process.env.HIDE_UNVERIFIED_PROFILES === 'true';
+
+/**
+ * Build the base query for profiles that may be shown to anyone but their owner,
+ * public or not (e.g. through a share link).
+ * Profiles of deactivated accounts and profiles hidden by a moderator are always
+ * excluded; profiles created before email verification existed have no flag and stay visible.
+ */
+const shownProfileFilter = (extra = {}) => ({
+  accountActive: { $ne: false },
+  'moderation.hidden': { $ne: true },
+  ...(hideUnverifiedProfiles() && { emailVerified: { $ne: false } }),
+  ...extra
+});
+
+/**
+ * Build the base query for publicly visible profiles
+ */
+const publicProfileFilter = (extra = {}) => shownProfileFilter({ isPublic: true, ...extra });
+
+/**
+ * Field-level visibility: "public" fields are shown to everyone, "users"
+ * fields only to signed-in users, "private" fields only to the owner.
+ */
+const VISIBILITY_LEVELS = ['public', 'users', 'private'];
+
+const HIDDEN_LEVELS = {
+  anonymous: ['users', 'private'],
+  user: ['private'],
+  owner: []
+};
+
+// How a viewer (req.user, or null) relates to a profile owner
+const viewerAccess = (viewer, ownerId = null) => {
+  if (!viewer) {
+    return 'anonymous';
+  }
+  if (ownerId && viewer._id.toString() === ownerId.toString()) {
+    return 'owner';
+  }
+  return 'user';
+};
+
+/**
+ * Visibility levels a viewer may not see
+ */
+const hiddenLevels = (viewer, ownerId = null) => HIDDEN_LEVELS[viewerAccess(viewer, ownerId)];
+
+/**
+ * Whether a field with `visibility` (missing means public) is shown to a viewer
+ */
+const canView = (visibility, viewer, ownerId = null) =>
+  !hiddenLevels(viewer, ownerId).includes(visibility || 'public');
+
+/**
+ * Query condition for a visibility field being visible to a viewer; documents
+ * saved before the field existed count as public
+ */
+const visibleTo = (path, viewer) => ({ [path]: { $nin: hiddenLevels(viewer) } });
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  hideUnverifiedProfiles,
+  shownProfileFilter,
+  publicProfileFilter,
+  hiddenLevels,
+  canView,
+  visibleTo
+};
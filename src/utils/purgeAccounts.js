@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { purgeExpiredAccounts } = require('./accountDeletion');
+const { expireOldExports } = require('./dataExport');
+
+/**
+ * Permanently delete accounts whose deletion grace period has ended and
+ * data export archives whose download link has expired.
+ * Run on a schedule, e.g. a daily cron job:
+ *   npm run purge-accounts
+ */
+const main = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/predusk');
+    console.log('✅ Connected to MongoDB');
+
+    const results = await purgeExpiredAccounts();
+    results.forEach(result => {
+      console.log(`🗑️  Purged user ${result.userId} (${result.removedFiles} uploaded files removed)`);
+    });
+    console.log(`🎉 Purged ${results.length} account(s)`);
+
+    const expiredExports = await expireOldExports();
+    console.log(`🗑️  Removed ${expiredExports} expired data export(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Account purge failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
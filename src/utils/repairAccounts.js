@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const { removeUploadedFiles, purgeUser } = require('./accountDeletion');
+
+/**
+ * Find and fix accounts left inconsistent by a partially failed registration:
+ *   - Users without a Profile get a default profile (or are purged with --delete-users)
+ *   - Profiles whose User no longer exists are deleted
+ *
+ * Usage:
+ *   npm run repair-accounts              # apply fixes
+ *   npm run repair-accounts -- --dry-run # only report
+ *   npm run repair-accounts -- --delete-users
+ */
+
+// Default display name for a recovered profile, taken from the email address
+const nameFromEmail = (email) => email.split('@')[0].slice(0, 100) || 'User';
+
+const findOrphanUsers = async () => {
+  const profileUserIds = await Profile.distinct('userId');
+  return User.find({ _id: { $nin: profileUserIds } });
+};
+
+const findOrphanProfiles = async () => {
+  const userIds = await User.distinct('_id');
+  return Profile.find({ userId: { $nin: userIds } }).select('+draft');
+};
+
+/**
+ * Repair orphan users and profiles
+ * @param {Object} options - { dryRun, deleteUsers }
+ */
+const repairAccounts = async ({ dryRun = false, deleteUsers = false } = {}) => {
+  const [orphanUsers, orphanProfiles] = await Promise.all([
+    findOrphanUsers(),
+    findOrphanProfiles()
+  ]);
+
+  const summary = {
+    orphanUsers: orphanUsers.length,
+    orphanProfiles: orphanProfiles.length,
+    profilesCreated: 0,
+    usersDeleted: 0,
+    profilesDeleted: 0
+  };
+
+  for (const user of orphanUsers) {
+    if (dryRun) {
+      console.log(`🔍 User without profile: ${user._id} (${user.email})`);
+      continue;
+    }
+
+    if (deleteUsers) {
+      await purgeUser(user);
+      summary.usersDeleted++;
+      console.log(`🗑️  Deleted user without profile: ${user._id} (${user.email})`);
+      continue;
+    }
+
+    try {
+      await Profile.create({
+        userId: user._id,
+        name: nameFromEmail(user.email),
+        email: user.email,
+        emailVerified: user.emailVerified,
+        accountActive: user.isActive
+      });
+      summary.profilesCreated++;
+      console.log(`✅ Created profile for user: ${user._id} (${user.email})`);
+    } catch (error) {
+      console.error(`❌ Could not create profile for user ${user._id}:`, error.message);
+    }
+  }
+
+  for (const profile of orphanProfiles) {
+    if (dryRun) {
+      console.log(`🔍 Profile without user: ${profile._id} (${profile.email})`);
+      continue;
+    }
+
+    await removeUploadedFiles(profile);
+    await Profile.deleteOne({ _id: profile._id });
+    summary.profilesDeleted++;
+    console.log(`🗑️  Deleted profile without user: ${profile._id} (${profile.email})`);
+  }
+
+  return summary;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/predusk');
+    console.log('✅ Connected to MongoDB');
+
+    const summary = await repairAccounts({
+      dryRun: args.includes('--dry-run'),
+      deleteUsers: args.includes('--delete-users')
+    });
+    console.log('📊 Repair summary:', summary);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Account repair failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  findOrphanUsers,
+  findOrphanProfiles,
+  repairAccounts
+};
@@ -0,0 +1,284 @@
+const { PAGE_SIZE, renderPdf, textWidth } = require('./pdf');
+
+/**
+ * Render a profile as a PDF résumé. Takes the profile as a viewer may see it
+ * (see Profile#getPublicProfile), so privacy rules are applied by the caller.
+ */
+
+const TEMPLATES = {
+  // Serif, centered header, black rules
+  classic: {
+    fonts: { regular: 'Times-Roman', bold: 'Times-Bold' },
+    text: [0, 0, 0],
+    muted: [0.3, 0.3, 0.3],
+    accent: [0, 0, 0],
+    headerBand: false
+  },
+  // Sans-serif, colored header band and headings
+  modern: {
+    fonts: { regular: 'Helvetica', bold: 'Helvetica-Bold' },
+    text: [0.13, 0.13, 0.13],
+    muted: [0.42, 0.42, 0.42],
+    accent: [0.15, 0.35, 0.7],
+    headerBand: true
+  }
+};
+
+const RESUME_TEMPLATES = Object.keys(TEMPLATES);
+
+const MARGIN = 54;
+const CONTENT_WIDTH = PAGE_SIZE.width - MARGIN * 2;
+const FOOTER_HEIGHT = 30;
+const WHITE = [1, 1, 1];
+
+const LINK_LABELS = { github: 'GitHub', linkedin: 'LinkedIn', portfolio: 'Portfolio', website: 'Website' };
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const formatMonth = (value) => {
+  if (!value) {
+    return '';
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : `${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+};
+
+// "Jan 2020 – Mar 2022"; without an end date the range ends with `openEnd`
+const formatDateRange = (start, end, openEnd = 'Present') => {
+  const from = formatMonth(start);
+  const to = end ? formatMonth(end) : openEnd;
+  return [from, to].filter(Boolean).join(' – ');
+};
+
+/**
+ * Split text into lines no wider than `maxWidth`; words longer than a line are broken
+ */
+const wrapText = (text, font, size, maxWidth) => {
+  const lines = [];
+  for (const paragraph of String(text).split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, font, size) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) {
+        lines.push(line);
+      }
+      // Break a word that does not fit on a line of its own
+      line = '';
+      for (const char of word) {
+        if (line && textWidth(line + char, font, size) > maxWidth) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+};
+
+/**
+ * Render a résumé
+ * @param {Object} profile - The profile as the viewer may see it
+ * @param {Object} options - { template, generatedAt }
+ * @returns {Buffer} the PDF file
+ */
+const renderResume = (profile, { template = 'classic', generatedAt = new Date() } = {}) => {
+  const style = TEMPLATES[template];
+  if (!style) {
+    throw new Error(`Unknown résumé template: ${template}`);
+  }
+  const { regular, bold } = style.fonts;
+
+  const pages = [];
+  let page = null;
+  let y = 0;
+
+  const newPage = () => {
+    page = { items: [], links: [] };
+    pages.push(page);
+    y = PAGE_SIZE.height - MARGIN;
+  };
+
+  // Start a new page when less than `height` is left above the footer
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN + FOOTER_HEIGHT) {
+      newPage();
+    }
+  };
+
+  const drawText = (text, x, baseline, font, size, color, uri) => {
+    page.items.push({ type: 'text', text, x, y: baseline, font, size, color });
+    if (uri) {
+      page.links.push({ x, y: baseline - size * 0.25, width: textWidth(text, font, size), height: size * 1.1, uri });
+    }
+  };
+
+  // Write wrapped text at the cursor, breaking pages between lines
+  const paragraph = (text, { font = regular, size = 10, color = style.text, indent = 0, gap = 4, uri } = {}) => {
+    const lineHeight = size * 1.35;
+    for (const line of wrapText(text, font, size, CONTENT_WIDTH - indent)) {
+      ensureSpace(lineHeight);
+      y -= lineHeight;
+      drawText(line, MARGIN + indent, y + size * 0.3, font, size, color, uri);
+    }
+    y -= gap;
+  };
+
+  const sectionHeading = (title) => {
+    // Keep a heading on the same page as the start of its section
+    ensureSpace(60);
+    y -= 14;
+    const label = style.headerBand ? title : title.toUpperCase();
+    drawText(label, MARGIN, y, bold, 12, style.accent);
+    y -= 6;
+    page.items.push({
+      type: 'line',
+      x1: MARGIN,
+      y1: y,
+      x2: style.headerBand ? MARGIN + 40 : MARGIN + CONTENT_WIDTH,
+      y2: y,
+      width: style.headerBand ? 2 : 0.75,
+      color: style.accent
+    });
+    y -= 6;
+  };
+
+  // Entry title with its dates right-aligned on the same line
+  const entryHeading = (title, dates, subtitle) => {
+    const datesWidth = dates ? textWidth(dates, regular, 10) : 0;
+    const titleLines = wrapText(title, bold, 11, CONTENT_WIDTH - datesWidth - 12);
+    ensureSpace(titleLines.length * 15 + (subtitle ? 14 : 0) + 14);
+    titleLines.forEach((line, index) => {
+      y -= 15;
+      drawText(line, MARGIN, y + 3, bold, 11, style.text);
+      if (index === 0 && dates) {
+        drawText(dates, MARGIN + CONTENT_WIDTH - datesWidth, y + 3, regular, 10, style.muted);
+      }
+    });
+    if (subtitle) {
+      paragraph(subtitle, { color: style.muted, gap: 0 });
+    }
+  };
+
+  newPage();
+
+  // Header
+  const contact = [profile.email, profile.location].filter(Boolean).join('  |  ');
+  if (style.headerBand) {
+    const bandHeight = contact ? 86 : 70;
+    page.items.push({ type: 'rect', x: 0, y: PAGE_SIZE.height - bandHeight, width: PAGE_SIZE.width, height: bandHeight, color: style.accent });
+    drawText(profile.name, MARGIN, PAGE_SIZE.height - 46, bold, 24, WHITE);
+    if (contact) {
+      drawText(contact, MARGIN, PAGE_SIZE.height - 68, regular, 10, WHITE);
+    }
+    y = PAGE_SIZE.height - bandHeight - 10;
+  } else {
+    const nameWidth = textWidth(profile.name, bold, 24);
+    y -= 24;
+    drawText(profile.name, MARGIN + (CONTENT_WIDTH - nameWidth) / 2, y, bold, 24, style.text);
+    if (contact) {
+      y -= 18;
+      drawText(contact, MARGIN + (CONTENT_WIDTH - textWidth(contact, regular, 10)) / 2, y, regular, 10, style.muted);
+    }
+    y -= 10;
+  }
+
+  if (profile.bio) {
+    sectionHeading('Summary');
+    paragraph(profile.bio);
+  }
+
+  if ((profile.skills || []).length) {
+    sectionHeading('Skills');
+    paragraph(profile.skills.join(', '));
+  }
+
+  if ((profile.work || []).length) {
+    sectionHeading('Experience');
+    for (const entry of profile.work) {
+      const dates = formatDateRange(entry.startDate, entry.isCurrent ? null : entry.endDate);
+      const duration = entry.duration ? ` · ${entry.duration.label}` : '';
+      const subtitle = [entry.company, entry.location].filter(Boolean).join(', ');
+      entryHeading(entry.position, dates + duration, subtitle);
+      if (entry.description) {
+        paragraph(entry.description, { gap: 8 });
+      }
+    }
+  }
+
+  if ((profile.projects || []).length) {
+    sectionHeading('Projects');
+    for (const project of profile.projects) {
+      const technologies = (project.technologies || []).join(', ');
+      entryHeading(project.title, '', technologies);
+      if (project.description) {
+        paragraph(project.description, { gap: 2 });
+      }
+      for (const link of project.links || []) {
+        paragraph(link, { size: 9, color: style.accent, gap: 0, uri: link });
+      }
+      y -= 6;
+    }
+  }
+
+  if ((profile.education || []).length) {
+    sectionHeading('Education');
+    for (const entry of profile.education) {
+      const degree = [entry.degree, entry.field].filter(Boolean).join(', ');
+      entryHeading(degree || entry.institution, formatDateRange(entry.startDate, entry.endDate, null), degree ? entry.institution : '');
+      const details = [entry.grade && `Grade: ${entry.grade}`, entry.description].filter(Boolean).join('\n');
+      if (details) {
+        paragraph(details, { gap: 8 });
+      }
+    }
+  }
+
+  const links = Object.keys(LINK_LABELS).filter(key => profile.links && profile.links[key]);
+  if (links.length) {
+    sectionHeading('Links');
+    for (const key of links) {
+      const label = `${LINK_LABELS[key]}: `;
+      const labelWidth = textWidth(label, bold, 10);
+      ensureSpace(14);
+      y -= 14;
+      drawText(label, MARGIN, y + 3, bold, 10, style.text);
+      // Long URLs are cut rather than wrapped so the whole line stays clickable
+      let url = profile.links[key];
+      while (url.length > 1 && textWidth(url, regular, 10) > CONTENT_WIDTH - labelWidth) {
+        url = url.slice(0, -2) + '…';
+      }
+      drawText(url, MARGIN + labelWidth, y + 3, regular, 10, style.accent, profile.links[key]);
+    }
+  }
+
+  // Footers need the page count, so they are added last
+  pages.forEach((current, index) => {
+    const footer = `${profile.name} · Page ${index + 1} of ${pages.length}`;
+    current.items.push({
+      type: 'text',
+      text: footer,
+      x: MARGIN + (CONTENT_WIDTH - textWidth(footer, regular, 8)) / 2,
+      y: MARGIN - 10,
+      font: regular,
+      size: 8,
+      color: style.muted
+    });
+  });
+
+  return renderPdf({
+    pages,
+    title: `${profile.name} - Résumé`,
+    author: profile.name,
+    createdAt: generatedAt
+  });
+};
+
+module.exports = {
+  RESUME_TEMPLATES,
+  renderResume
+};
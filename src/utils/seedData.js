@@ -13,7 +13,12 @@ const sampleUsers = [
     password: 'password123',
     name: 'John Doe',
     bio: 'Full-stack developer with 5+ years of experience in modern web technologies.',
-    education: 'Bachelor of Computer Science, MIT',
+    education: [
+      {
+        institution: 'MIT',
+        degree: 'Bachelor of Computer Science'
+      }
+    ],
     location: 'San Francisco, CA',
     skills: ['JavaScript', 'React', 'Node.js', 'Python', 'MongoDB', 'AWS'],
     projects: [
@@ -38,7 +43,6 @@ const sampleUsers = [
       {
         company: 'TechCorp Inc.',
         position: 'Senior Full-Stack Developer',
-        duration: '2021 - Present',
         description: 'Leading development of enterprise web applications and mentoring junior developers.',
         startDate: new Date('2021-01-01'),
         isCurrent: true
@@ -46,7 +50,6 @@ const sampleUsers = [
       {
         company: 'StartupXYZ',
         position: 'Full-Stack Developer',
-        duration: '2019 - 2021',
         description: 'Built and maintained multiple web applications using modern JavaScript frameworks.',
         startDate: new Date('2019-06-01'),
         endDate: new Date('2021-01-01'),
@@ -66,7 +69,12 @@ const sampleUsers = [
     password: 'password123',
     name: 'Sarah Smith',
     bio: 'Frontend developer passionate about creating beautiful and accessible user experiences.',
-    education: 'Master of Design, Stanford University',
+    education: [
+      {
+        institution: 'Stanford University',
+        degree: 'Master of Design'
+      }
+    ],
     location: 'New York, NY',
     skills: ['React', 'Vue.js', 'TypeScript', 'CSS', 'SASS', 'Figma', 'Accessibility'],
     projects: [
@@ -91,7 +99,6 @@ const sampleUsers = [
       {
         company: 'Design Studio Pro',
         position: 'Senior Frontend Developer',
-        duration: '2020 - Present',
         description: 'Leading frontend development for client projects and maintaining design systems.',
         startDate: new Date('2020-03-01'),
         isCurrent: true
@@ -110,7 +117,12 @@ const sampleUsers = [
     password: 'password123',
     name: 'Mike Chen',
     bio: 'Backend developer specializing in scalable systems and cloud architecture.',
-    education: 'Bachelor of Engineering, UC Berkeley',
+    education: [
+      {
+        institution: 'UC Berkeley',
+        degree: 'Bachelor of Engineering'
+      }
+    ],
     location: 'Seattle, WA',
     skills: ['Python', 'Django', 'FastAPI', 'Docker', 'Kubernetes', 'AWS', 'PostgreSQL'],
     projects: [
@@ -135,7 +147,6 @@ const sampleUsers = [
       {
         company: 'CloudTech Solutions',
         position: 'Backend Engineer',
-        duration: '2021 - Present',
         description: 'Developing and maintaining cloud-native applications and microservices.',
         startDate: new Date('2021-08-01'),
         isCurrent: true
@@ -182,7 +193,9 @@ const seedData = async () => {
       // Create user
       const user = new User({
         email: userData.email,
-        password: userData.password
+        password: userData.password,
+        emailVerified: true,
+        emailVerifiedAt: new Date()
       });
       await user.save();
 
@@ -199,7 +212,8 @@ const seedData = async () => {
         work: userData.work,
         links: userData.links,
         avatar: userData.avatar,
-        isPublic: true
+        isPublic: true,
+        emailVerified: true
       });
       await profile.save();
 
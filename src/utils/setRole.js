@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+/**
+ * Set a user's role from the command line, e.g. to bootstrap the first admin:
+ *   npm run set-role -- admin@example.com admin
+ */
+const main = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !User.ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${User.ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/predusk');
+
+    const user = await User.findByEmail(email);
+    if (!user) {
+      console.error(`❌ No user found with email ${email}`);
+      process.exit(1);
+    }
+
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+    console.log(`✅ ${user.email} is now ${role}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to set role:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { createError } = require('../middleware/errorHandler');
+const { recordSecurityEvent } = require('./auditLog');
+const { getSigningKey, getVerificationKey } = require('./signingKeys');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const MAX_PREVIOUS_TOKEN_HASHES = 20;
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+const PERSONAL_ACCESS_TOKEN_PREFIX = 'pdk_';
+const JWT_ISSUER = process.env.JWT_ISSUER || 'predusk';
+
+// `token_use` claim values; tokens of one kind are never accepted as another
+const TOKEN_USE = {
+  ACCESS: 'access',
+  CHALLENGE: 'challenge'
+};
+
+// Sign a JWT with the current signing key
+const signJwt = (payload, expiresIn) => {
+  const { key, options } = getSigningKey();
+  return jwt.sign(payload, key, { ...options, expiresIn, issuer: JWT_ISSUER });
+};
+
+/**
+ * Verify a JWT against the key named in its header.
+ * Tokens from retired or unknown keys are rejected.
+ */
+const verifyJwt = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const verification = getVerificationKey(decoded.header);
+  if (!verification) {
+    throw new jwt.JsonWebTokenError('Token was signed with an unknown or retired key');
+  }
+  return jwt.verify(token, verification.key, { algorithms: verification.algorithms, issuer: JWT_ISSUER });
+};
+
+// Hash an opaque token before storing or looking it up
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Generate a random opaque token
+const generateRandomToken = (bytes = 48) => crypto.randomBytes(bytes).toString('base64url');
+
+// Generate a personal access token (recognizable by its prefix)
+const generatePersonalAccessToken = () => `${PERSONAL_ACCESS_TOKEN_PREFIX}${generateRandomToken(32)}`;
+
+// Whether a bearer token is a personal access token rather than a JWT
+const isPersonalAccessToken = (token) => token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+
+// Generate a short-lived access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return signJwt({ userId, sid: sessionId, token_use: TOKEN_USE.ACCESS }, ACCESS_TOKEN_EXPIRES_IN);
+};
+
+// Verify an access token and return its payload
+const verifyAccessToken = (token) => {
+  const decoded = verifyJwt(token);
+  if (decoded.token_use !== TOKEN_USE.ACCESS) {
+    throw new jwt.JsonWebTokenError('Token is not an access token');
+  }
+  return decoded;
+};
+
+// Generate a short-lived token proving the first login step (e.g. password) succeeded
+const generateChallengeToken = (userId, purpose) => {
+  return signJwt({ userId, purpose, token_use: TOKEN_USE.CHALLENGE }, CHALLENGE_TOKEN_EXPIRES_IN);
+};
+
+// Verify a challenge token issued for the given purpose
+const verifyChallengeToken = (token, purpose) => {
+  let decoded;
+  try {
+    decoded = verifyJwt(token);
+  } catch (error) {
+    throw createError.unauthorized('Challenge token is invalid or has expired');
+  }
+  if (decoded.token_use !== TOKEN_USE.CHALLENGE || decoded.purpose !== purpose || decoded.sid) {
+    throw createError.unauthorized('Challenge token is invalid or has expired');
+  }
+  return decoded;
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without a hash scan
+const splitRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[0-9a-fA-F]{24}$/.test(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+// Build the token payload returned to clients
+const buildTokenResponse = (userId, session, secret) => {
+  const accessToken = generateAccessToken(userId, session._id);
+  const { exp } = jwt.decode(accessToken);
+
+  return {
+    token: accessToken,
+    refreshToken: `${session._id}.${secret}`,
+    expiresAt: new Date(exp * 1000),
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+// Extract client metadata stored on a session
+const getClientInfo = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').slice(0, 500),
+  ipAddress: req.ip
+});
+
+/**
+ * Start a new session for a user and issue its first token pair
+ */
+const createSession = async (user, req) => {
+  const secret = generateRandomToken();
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+    ...getClientInfo(req)
+  });
+  await session.save();
+
+  return buildTokenResponse(user._id, session, secret);
+};
+
+// A rotated-out refresh token was presented again: revoke the whole session
+const handleRefreshTokenReuse = async (session, req) => {
+  console.warn('⚠️ Refresh token reuse detected, revoking session:', session._id);
+  await Session.updateOne(
+    { _id: session._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'reuse_detected' }
+  );
+  await recordSecurityEvent(req, 'refresh_token_reuse', {
+    user: { _id: session.userId },
+    metadata: { sessionId: session._id }
+  });
+  throw createError.unauthorized('Refresh token has already been used. Please log in again.');
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * Presenting an already-rotated refresh token revokes the whole session.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) {
+    throw createError.unauthorized('Invalid refresh token');
+  }
+
+  const session = await Session.findById(parts.sessionId).select('+previousTokenHashes');
+  if (!session || !session.isActive()) {
+    throw createError.unauthorized('Session has expired or been revoked');
+  }
+
+  const presentedHash = hashToken(parts.secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    if (session.previousTokenHashes.includes(presentedHash)) {
+      await handleRefreshTokenReuse(session, req);
+    }
+    throw createError.unauthorized('Invalid refresh token');
+  }
+
+  // Swap the token in one conditional update so two requests with the same
+  // token cannot both rotate it; the one that loses is treated as reuse
+  const secret = generateRandomToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: { refreshTokenHash: hashToken(secret), lastUsedAt: new Date(), ...getClientInfo(req) },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES } }
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await handleRefreshTokenReuse(session, req);
+  }
+
+  return { session: rotated, tokens: buildTokenResponse(rotated.userId, rotated, secret) };
+};
+
+module.exports = {
+  hashToken,
+  generateRandomToken,
+  generatePersonalAccessToken,
+  isPersonalAccessToken,
+  generateAccessToken,
+  verifyAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  createSession,
+  rotateSession
+};
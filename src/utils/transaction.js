@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+let transactionsSupported = null;
+
+/**
+ * Check (once) whether the connected deployment supports multi-document
+ * transactions, i.e. it is a replica set or a sharded cluster.
+ */
+const supportsTransactions = async () => {
+  if (transactionsSupported === null) {
+    try {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      transactionsSupported = !!(hello.setName || hello.msg === 'isdbgrid');
+    } catch (error) {
+      console.warn('⚠️ Could not detect transaction support:', error.message);
+      return false;
+    }
+    if (!transactionsSupported) {
+      console.warn('⚠️ MongoDB deployment does not support transactions; using compensating rollback');
+    }
+  }
+  return transactionsSupported;
+};
+
+/**
+ * Run `work(session)` inside a transaction when the deployment supports it.
+ * Otherwise `work(null)` runs directly and, if it throws, `compensate()` is
+ * called to undo whatever was already written before the error is rethrown.
+ */
+const runAtomically = async (work, compensate) => {
+  if (await supportsTransactions()) {
+    // connection.transaction() also resets document state (e.g. isNew) if the transaction retries
+    let result;
+    await mongoose.connection.transaction(async (session) => {
+      result = await work(session);
+    });
+    return result;
+  }
+
+  try {
+    return await work(null);
+  } catch (error) {
+    if (compensate) {
+      try {
+        await compensate();
+      } catch (compensateError) {
+        console.error('❌ Compensating rollback failed:', compensateError);
+      }
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  supportsTransactions,
+  runAtomically
+};
@@ -0,0 +1,132 @@
+const Profile = require('../models/Profile');
+const UsernameChange = require('../models/UsernameChange');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Vanity usernames for public profile URLs (/api/profile/u/:username).
+ * Handles are unique regardless of case. A handle that is changed or removed
+ * keeps redirecting to its profile, and stays unavailable to others, for
+ * USERNAME_REDIRECT_DAYS.
+ */
+
+const USERNAME_REDIRECT_DAYS = parseInt(process.env.USERNAME_REDIRECT_DAYS) || 90;
+
+// 3-30 letters, digits, "-" and "_", starting and ending with a letter or digit
+const USERNAME_PATTERN = /^[a-zA-Z0-9](?:[a-zA-Z0-9_-]{1,28})[a-zA-Z0-9]$/;
+
+// Handles that would be confusing as profile URLs or impersonate the platform
+const RESERVED_USERNAMES = new Set([
+  'about', 'account', 'admin', 'administrator', 'api', 'app', 'auth', 'blog', 'dashboard',
+  'docs', 'education', 'explore', 'export', 'help', 'home', 'import', 'jobs', 'legal',
+  'login', 'logout', 'me', 'moderator', 'new', 'oauth', 'predusk', 'privacy', 'profile',
+  'profiles', 'projects', 'register', 'root', 'search', 'security', 'settings', 'shared',
+  'signin', 'signup', 'skills', 'staff', 'status', 'support', 'system', 'terms', 'user',
+  'username', 'users', 'webauthn', 'well-known', 'work', 'www'
+]);
+
+const normalizeUsername = (username) => username.trim().toLowerCase();
+
+/**
+ * Check a handle's format and the reserved-word list
+ * @returns {string|null} an error message, or null when the handle is allowed
+ */
+const validateUsername = (username) => {
+  if (!USERNAME_PATTERN.test(username)) {
+    return 'Username must be 3-30 characters of letters, numbers, "-" or "_", starting and ending with a letter or number';
+  }
+  if (RESERVED_USERNAMES.has(normalizeUsername(username))) {
+    return 'This username is reserved';
+  }
+  return null;
+};
+
+/**
+ * Whether a handle is free for a profile: not in use by another profile and
+ * not still redirecting to one
+ */
+const isUsernameAvailable = async (username, profileId = null) => {
+  const usernameKey = normalizeUsername(username);
+  const [owner, redirect] = await Promise.all([
+    Profile.findOne({ usernameKey }).select('_id'),
+    UsernameChange.findOne({
+      usernameKey,
+      redirectUntil: { $gt: new Date() },
+      ...(profileId && { profileId: { $ne: profileId } })
+    }).select('_id')
+  ]);
+  const ownedByOther = owner && (!profileId || owner._id.toString() !== profileId.toString());
+  return !ownedByOther && !redirect;
+};
+
+/**
+ * Set, change or (with null) remove a profile's username, recording the old
+ * handle so it keeps redirecting
+ */
+const changeUsername = async (profile, username) => {
+  const previous = profile.username;
+  const newKey = username ? normalizeUsername(username) : null;
+
+  if (username) {
+    const message = validateUsername(username);
+    if (message) {
+      throw createError.badRequest(message);
+    }
+    if (!await isUsernameAvailable(username, profile._id)) {
+      throw createError.conflict('This username is already taken');
+    }
+  }
+
+  if (previous === (username || undefined)) {
+    return profile;
+  }
+
+  profile.username = username || undefined;
+  try {
+    await profile.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createError.conflict('This username is already taken');
+    }
+    throw error;
+  }
+
+  // Taking back an old handle ends its redirect
+  if (newKey) {
+    await UsernameChange.updateMany(
+      { profileId: profile._id, usernameKey: newKey, redirectUntil: { $gt: new Date() } },
+      { redirectUntil: new Date() }
+    );
+  }
+
+  // A change of case only is not a new handle
+  if (previous && normalizeUsername(previous) !== newKey) {
+    await UsernameChange.create({
+      profileId: profile._id,
+      userId: profile.userId,
+      username: previous,
+      usernameKey: normalizeUsername(previous),
+      newUsername: username || null,
+      redirectUntil: new Date(Date.now() + USERNAME_REDIRECT_DAYS * 24 * 60 * 60 * 1000)
+    });
+  }
+
+  return profile;
+};
+
+/**
+ * Find the profile an old handle still redirects to
+ * @returns {Promise<Object|null>} the UsernameChange record, or null
+ */
+const findUsernameRedirect = (username) => UsernameChange.findOne({
+  usernameKey: normalizeUsername(username),
+  redirectUntil: { $gt: new Date() }
+}).sort({ changedAt: -1 });
+
+module.exports = {
+  RESERVED_USERNAMES,
+  normalizeUsername,
+  validateUsername,
+  isUsernameAvailable,
+  changeUsername,
+  findUsernameRedirect
+};
@@ -0,0 +1,134 @@
+/**
+ * Minimal CBOR (RFC 8949) decoder for WebAuthn attestation objects and COSE keys.
+ * Supports definite-length items only, which is all authenticators emit.
+ */
+
+// Read the argument that follows an initial byte
+const readArgument = (buffer, offset, additional) => {
+  if (additional < 24) {
+    return { value: additional, length: 0 };
+  }
+  switch (additional) {
+    case 24:
+      return { value: buffer.readUInt8(offset), length: 1 };
+    case 25:
+      return { value: buffer.readUInt16BE(offset), length: 2 };
+    case 26:
+      return { value: buffer.readUInt32BE(offset), length: 4 };
+    case 27: {
+      const value = buffer.readBigUInt64BE(offset);
+      if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw new Error('CBOR integer too large');
+      }
+      return { value: Number(value), length: 8 };
+    }
+    default:
+      throw new Error('Indefinite-length CBOR items are not supported');
+  }
+};
+
+// Decode one item at `offset`, returning it with the offset just past it
+const decodeItem = (buffer, offset) => {
+  if (offset >= buffer.length) {
+    throw new Error('Unexpected end of CBOR data');
+  }
+
+  const initial = buffer[offset];
+  const majorType = initial >> 5;
+  const additional = initial & 0x1f;
+  let position = offset + 1;
+
+  if (majorType === 7) {
+    switch (additional) {
+      case 20: return { value: false, end: position };
+      case 21: return { value: true, end: position };
+      case 22: return { value: null, end: position };
+      case 23: return { value: undefined, end: position };
+      case 25: return { value: readHalfFloat(buffer.readUInt16BE(position)), end: position + 2 };
+      case 26: return { value: buffer.readFloatBE(position), end: position + 4 };
+      case 27: return { value: buffer.readDoubleBE(position), end: position + 8 };
+      default:
+        throw new Error('Unsupported CBOR simple value');
+    }
+  }
+
+  const argument = readArgument(buffer, position, additional);
+  position += argument.length;
+
+  switch (majorType) {
+    case 0:
+      return { value: argument.value, end: position };
+    case 1:
+      return { value: -1 - argument.value, end: position };
+    case 2:
+    case 3: {
+      const end = position + argument.value;
+      if (end > buffer.length) {
+        throw new Error('Unexpected end of CBOR data');
+      }
+      const bytes = buffer.subarray(position, end);
+      return { value: majorType === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), end };
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < argument.value; i++) {
+        const item = decodeItem(buffer, position);
+        items.push(item.value);
+        position = item.end;
+      }
+      return { value: items, end: position };
+    }
+    case 5: {
+      // Maps keep their keys as-is, since COSE keys use negative integers
+      const map = new Map();
+      for (let i = 0; i < argument.value; i++) {
+        const key = decodeItem(buffer, position);
+        const value = decodeItem(buffer, key.end);
+        map.set(key.value, value.value);
+        position = value.end;
+      }
+      return { value: map, end: position };
+    }
+    case 6:
+      // Tags carry no meaning for WebAuthn; return the tagged item
+      return decodeItem(buffer, position);
+    default:
+      throw new Error('Invalid CBOR major type');
+  }
+};
+
+// IEEE 754 half-precision float
+const readHalfFloat = (half) => {
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+  if (exponent === 0) {
+    return sign * 2 ** -14 * (fraction / 1024);
+  }
+  if (exponent === 31) {
+    return fraction ? NaN : sign * Infinity;
+  }
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+};
+
+/**
+ * Decode the first CBOR item in a buffer
+ * @returns {{value: *, end: number}} the item and the number of bytes it used
+ */
+const decodeFirst = (buffer, offset = 0) => decodeItem(buffer, offset);
+
+/**
+ * Decode a buffer holding exactly one CBOR item
+ */
+const decode = (buffer) => {
+  const { value, end } = decodeItem(buffer, 0);
+  if (end !== buffer.length) {
+    throw new Error('Unexpected data after CBOR item');
+  }
+  return value;
+};
+
+module.exports = {
+  decode,
+  decodeFirst
+};
@@ -0,0 +1,438 @@
+const crypto = require('crypto');
+const cbor = require('./cbor');
+const { createError } = require('../../middleware/errorHandler');
+const { getFrontendUrl } = require('../mailer/templates');
+
+/**
+ * WebAuthn (passkey) registration and authentication ceremonies.
+ *
+ * The relying party is configured with WEBAUTHN_RP_ID (defaults to the
+ * FRONTEND_URL host), WEBAUTHN_RP_NAME and WEBAUTHN_ORIGINS, a comma
+ * separated list of origins allowed to run ceremonies (defaults to the
+ * FRONTEND_URL origin). Attestation is not used for trust decisions, so
+ * only the "none" and "packed" formats are accepted.
+ */
+
+const CHALLENGE_BYTES = 32;
+const CEREMONY_TIMEOUT_MS = 5 * 60 * 1000;
+
+// COSE algorithm identifiers we can verify, in order of preference
+const COSE_ALGORITHMS = {
+  ES256: -7,
+  EdDSA: -8,
+  RS256: -257
+};
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKUP_ELIGIBLE = 0x08;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+/**
+ * Relying party settings for the current environment
+ * @returns {{id: string, name: string, origins: string[]}}
+ */
+const getRelyingParty = () => {
+  const frontendUrl = new URL(getFrontendUrl());
+  const origins = process.env.WEBAUTHN_ORIGINS
+    ? process.env.WEBAUTHN_ORIGINS.split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean)
+    : [frontendUrl.origin];
+
+  return {
+    id: process.env.WEBAUTHN_RP_ID || frontendUrl.hostname,
+    name: process.env.WEBAUTHN_RP_NAME || 'Predusk',
+    origins
+  };
+};
+
+/**
+ * Generate a random base64url challenge
+ */
+const generateChallenge = () => crypto.randomBytes(CHALLENGE_BYTES).toString('base64url');
+
+/**
+ * WebAuthn user handle for a user id (the ObjectId bytes, base64url)
+ */
+const toUserHandle = (userId) => Buffer.from(userId.toString(), 'hex').toString('base64url');
+
+/**
+ * Build PublicKeyCredentialCreationOptions (JSON form) for navigator.credentials.create()
+ */
+const buildRegistrationOptions = ({ challenge, userId, userName, displayName, excludeCredentialIds = [] }) => {
+  const rp = getRelyingParty();
+  return {
+    challenge,
+    rp: { id: rp.id, name: rp.name },
+    user: {
+      id: toUserHandle(userId),
+      name: userName,
+      displayName: displayName || userName
+    },
+    pubKeyCredParams: Object.values(COSE_ALGORITHMS).map(alg => ({ type: 'public-key', alg })),
+    timeout: CEREMONY_TIMEOUT_MS,
+    attestation: 'none',
+    excludeCredentials: excludeCredentialIds.map(id => ({ type: 'public-key', id })),
+    authenticatorSelection: {
+      residentKey: 'required',
+      requireResidentKey: true,
+      userVerification: 'preferred'
+    }
+  };
+};
+
+/**
+ * Build PublicKeyCredentialRequestOptions (JSON form) for navigator.credentials.get().
+ * Without allowed credentials the browser offers any discoverable passkey.
+ */
+const buildAuthenticationOptions = ({ challenge, allowCredentials = [] }) => ({
+  challenge,
+  rpId: getRelyingParty().id,
+  timeout: CEREMONY_TIMEOUT_MS,
+  userVerification: 'preferred',
+  allowCredentials: allowCredentials.map(({ id, transports }) => ({
+    type: 'public-key',
+    id,
+    ...(transports && transports.length && { transports })
+  }))
+});
+
+// Decode a base64url field of the credential response
+const decodeField = (value, field) => {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*={0,2}$/.test(value) || !value.length) {
+    throw createError.badRequest(`Passkey response is missing ${field}`);
+  }
+  return Buffer.from(value, 'base64url');
+};
+
+// Parse clientDataJSON without checking it
+const parseClientData = (response) => {
+  const raw = decodeField(response && response.response && response.response.clientDataJSON, 'clientDataJSON');
+  try {
+    return { raw, clientData: JSON.parse(raw.toString('utf8')) };
+  } catch (error) {
+    throw createError.badRequest('Passkey response has malformed client data');
+  }
+};
+
+/**
+ * Read the challenge a credential response was created for, so the pending
+ * ceremony can be looked up before the response is verified.
+ */
+const readChallenge = (response) => {
+  const { clientData } = parseClientData(response);
+  if (typeof clientData.challenge !== 'string' || !clientData.challenge) {
+    throw createError.badRequest('Passkey response has no challenge');
+  }
+  return clientData.challenge;
+};
+
+// Check the client data against the expected ceremony
+const verifyClientData = (response, { type, expectedChallenge, expectedOrigins }) => {
+  const { raw, clientData } = parseClientData(response);
+
+  if (clientData.type !== type) {
+    throw createError.badRequest('Passkey response is for the wrong ceremony');
+  }
+  const challenge = Buffer.from(String(clientData.challenge || ''));
+  const expected = Buffer.from(expectedChallenge);
+  if (challenge.length !== expected.length || !crypto.timingSafeEqual(challenge, expected)) {
+    throw createError.badRequest('Passkey response does not match the challenge');
+  }
+  if (!expectedOrigins.includes(clientData.origin)) {
+    throw createError.badRequest('Passkey response came from an unexpected origin');
+  }
+  if (clientData.crossOrigin === true) {
+    throw createError.badRequest('Cross-origin passkey ceremonies are not allowed');
+  }
+
+  return crypto.createHash('sha256').update(raw).digest();
+};
+
+/**
+ * Parse authenticator data (rpIdHash, flags, counter and, when present,
+ * the attested credential id and COSE public key)
+ */
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw createError.badRequest('Authenticator data is too short');
+  }
+
+  const flags = authData[32];
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags,
+    userPresent: !!(flags & FLAG_USER_PRESENT),
+    userVerified: !!(flags & FLAG_USER_VERIFIED),
+    backupEligible: !!(flags & FLAG_BACKUP_ELIGIBLE),
+    backedUp: !!(flags & FLAG_BACKED_UP),
+    signCount: authData.readUInt32BE(33)
+  };
+
+  if (flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+    if (authData.length < 55) {
+      throw createError.badRequest('Authenticator data is too short');
+    }
+    const idLength = authData.readUInt16BE(53);
+    const keyOffset = 55 + idLength;
+    if (authData.length <= keyOffset) {
+      throw createError.badRequest('Authenticator data is too short');
+    }
+    parsed.aaguid = authData.subarray(37, 53);
+    parsed.credentialId = authData.subarray(55, keyOffset);
+    try {
+      const { value, end } = cbor.decodeFirst(authData, keyOffset);
+      parsed.credentialPublicKey = value;
+      parsed.credentialPublicKeyBytes = authData.subarray(keyOffset, end);
+    } catch (error) {
+      throw createError.badRequest('Authenticator data has a malformed public key');
+    }
+  }
+
+  return parsed;
+};
+
+// Check the parts of authenticator data common to both ceremonies
+const verifyAuthenticatorData = (authenticatorData, { expectedRpId, requireUserVerification }) => {
+  const expectedRpIdHash = crypto.createHash('sha256').update(expectedRpId).digest();
+  if (!crypto.timingSafeEqual(authenticatorData.rpIdHash, expectedRpIdHash)) {
+    throw createError.badRequest('Passkey was created for a different site');
+  }
+  if (!authenticatorData.userPresent) {
+    throw createError.badRequest('Passkey response lacks user presence');
+  }
+  if (requireUserVerification && !authenticatorData.userVerified) {
+    throw createError.badRequest('Passkey response lacks user verification');
+  }
+};
+
+/**
+ * Convert a COSE_Key map into a Node public key
+ * @returns {{key: crypto.KeyObject, algorithm: number}}
+ */
+const coseToPublicKey = (coseKey) => {
+  if (!(coseKey instanceof Map)) {
+    throw createError.badRequest('Unsupported passkey public key');
+  }
+  const kty = coseKey.get(1);
+  const algorithm = coseKey.get(3);
+  let jwk;
+
+  if (kty === 2 && algorithm === COSE_ALGORITHMS.ES256 && coseKey.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: coseKey.get(-2), y: coseKey.get(-3) };
+  } else if (kty === 1 && algorithm === COSE_ALGORITHMS.EdDSA && coseKey.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: coseKey.get(-2) };
+  } else if (kty === 3 && algorithm === COSE_ALGORITHMS.RS256) {
+    jwk = { kty: 'RSA', n: coseKey.get(-1), e: coseKey.get(-2) };
+  } else {
+    throw createError.badRequest('Unsupported passkey algorithm');
+  }
+
+  for (const [name, value] of Object.entries(jwk)) {
+    if (name !== 'kty' && name !== 'crv') {
+      if (!Buffer.isBuffer(value)) {
+        throw createError.badRequest('Unsupported passkey public key');
+      }
+      jwk[name] = value.toString('base64url');
+    }
+  }
+
+  try {
+    return { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), algorithm };
+  } catch (error) {
+    throw createError.badRequest('Invalid passkey public key');
+  }
+};
+
+// Verify a signature made with a COSE algorithm
+const verifySignature = (algorithm, key, data, signature) => {
+  const digest = algorithm === COSE_ALGORITHMS.EdDSA ? null : 'sha256';
+  try {
+    return crypto.verify(digest, data, key, signature);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Check the attestation statement; "packed" is verified, others must be "none"
+const verifyAttestationStatement = ({ fmt, attStmt }, { authData, clientDataHash, credentialKey }) => {
+  if (fmt === 'none') {
+    if (attStmt instanceof Map && attStmt.size > 0) {
+      throw createError.badRequest('Attestation statement must be empty for format "none"');
+    }
+    return;
+  }
+
+  if (fmt !== 'packed') {
+    throw createError.badRequest(`Unsupported attestation format: ${fmt}`);
+  }
+
+  const algorithm = attStmt.get('alg');
+  const signature = attStmt.get('sig');
+  const x5c = attStmt.get('x5c');
+  const signedData = Buffer.concat([authData, clientDataHash]);
+  if (!Buffer.isBuffer(signature)) {
+    throw createError.badRequest('Attestation statement has no signature');
+  }
+
+  let key;
+  if (Array.isArray(x5c) && x5c.length > 0) {
+    // Full attestation: signed by the authenticator model's certificate
+    try {
+      key = new crypto.X509Certificate(x5c[0]).publicKey;
+    } catch (error) {
+      throw createError.badRequest('Attestation certificate is invalid');
+    }
+  } else {
+    // Self attestation: signed by the new credential itself
+    if (algorithm !== credentialKey.algorithm) {
+      throw createError.badRequest('Attestation algorithm does not match the passkey');
+    }
+    key = credentialKey.key;
+  }
+
+  if (!verifySignature(algorithm, key, signedData, signature)) {
+    throw createError.badRequest('Attestation signature is invalid');
+  }
+};
+
+/**
+ * Verify a registration (navigator.credentials.create) response
+ * @param {Object} params
+ * @param {Object} params.response - PublicKeyCredential in JSON form
+ * @param {string} params.expectedChallenge - Challenge issued for this ceremony
+ * @returns {{credentialId: string, publicKey: string, algorithm: number, signCount: number,
+ *   aaguid: string, transports: string[], userVerified: boolean, backupEligible: boolean,
+ *   backedUp: boolean, attestationFormat: string}}
+ */
+const verifyRegistrationResponse = ({
+  response,
+  expectedChallenge,
+  expectedOrigins = getRelyingParty().origins,
+  expectedRpId = getRelyingParty().id,
+  requireUserVerification = false
+}) => {
+  if (!response || response.type !== 'public-key' || !response.response) {
+    throw createError.badRequest('Passkey response is invalid');
+  }
+
+  const clientDataHash = verifyClientData(response, {
+    type: 'webauthn.create',
+    expectedChallenge,
+    expectedOrigins
+  });
+
+  let attestation;
+  try {
+    attestation = cbor.decode(decodeField(response.response.attestationObject, 'attestationObject'));
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createError.badRequest('Passkey attestation object is malformed');
+  }
+  if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+    throw createError.badRequest('Passkey attestation object is malformed');
+  }
+
+  const authData = attestation.get('authData');
+  const authenticatorData = parseAuthenticatorData(authData);
+  verifyAuthenticatorData(authenticatorData, { expectedRpId, requireUserVerification });
+  if (!authenticatorData.credentialId) {
+    throw createError.badRequest('Passkey response has no credential data');
+  }
+
+  const credentialId = authenticatorData.credentialId.toString('base64url');
+  if (response.id !== credentialId) {
+    throw createError.badRequest('Passkey id does not match the attested credential');
+  }
+
+  const credentialKey = coseToPublicKey(authenticatorData.credentialPublicKey);
+  verifyAttestationStatement(
+    { fmt: attestation.get('fmt'), attStmt: attestation.get('attStmt') || new Map() },
+    { authData, clientDataHash, credentialKey }
+  );
+
+  const transports = Array.isArray(response.response.transports)
+    ? response.response.transports.filter(transport => typeof transport === 'string').slice(0, 10)
+    : [];
+
+  return {
+    credentialId,
+    publicKey: credentialKey.key.export({ format: 'der', type: 'spki' }).toString('base64url'),
+    algorithm: credentialKey.algorithm,
+    signCount: authenticatorData.signCount,
+    aaguid: authenticatorData.aaguid.toString('hex'),
+    transports,
+    userVerified: authenticatorData.userVerified,
+    backupEligible: authenticatorData.backupEligible,
+    backedUp: authenticatorData.backedUp,
+    attestationFormat: attestation.get('fmt')
+  };
+};
+
+/**
+ * Verify an authentication (navigator.credentials.get) response against a stored credential
+ * @param {Object} params
+ * @param {Object} params.response - PublicKeyCredential in JSON form
+ * @param {string} params.expectedChallenge - Challenge issued for this ceremony
+ * @param {{publicKey: string, algorithm: number, signCount: number}} params.credential - Stored credential
+ * @returns {{signCount: number, userVerified: boolean, backedUp: boolean}}
+ */
+const verifyAuthenticationResponse = ({
+  response,
+  expectedChallenge,
+  credential,
+  expectedOrigins = getRelyingParty().origins,
+  expectedRpId = getRelyingParty().id,
+  requireUserVerification = false
+}) => {
+  if (!response || response.type !== 'public-key' || !response.response) {
+    throw createError.badRequest('Passkey response is invalid');
+  }
+
+  const clientDataHash = verifyClientData(response, {
+    type: 'webauthn.get',
+    expectedChallenge,
+    expectedOrigins
+  });
+
+  const authData = decodeField(response.response.authenticatorData, 'authenticatorData');
+  const signature = decodeField(response.response.signature, 'signature');
+  const authenticatorData = parseAuthenticatorData(authData);
+  verifyAuthenticatorData(authenticatorData, { expectedRpId, requireUserVerification });
+
+  const key = crypto.createPublicKey({
+    key: Buffer.from(credential.publicKey, 'base64url'),
+    format: 'der',
+    type: 'spki'
+  });
+  if (!verifySignature(credential.algorithm, key, Buffer.concat([authData, clientDataHash]), signature)) {
+    throw createError.unauthorized('Passkey signature is invalid');
+  }
+
+  // A counter that fails to increase suggests a cloned authenticator (zero means unsupported)
+  if ((authenticatorData.signCount > 0 || credential.signCount > 0) &&
+    authenticatorData.signCount <= credential.signCount) {
+    throw createError.unauthorized('Passkey signature counter did not increase');
+  }
+
+  return {
+    signCount: authenticatorData.signCount,
+    userVerified: authenticatorData.userVerified,
+    backedUp: authenticatorData.backedUp
+  };
+};
+
+module.exports = {
+  COSE_ALGORITHMS,
+  getRelyingParty,
+  generateChallenge,
+  toUserHandle,
+  buildRegistrationOptions,
+  buildAuthenticationOptions,
+  readChallenge,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse
+};
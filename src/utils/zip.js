@@ -0,0 +1,101 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+/**
+ * Minimal ZIP archive writer (deflate, no ZIP64) used for data exports
+ */
+
+// CRC-32 lookup table (IEEE polynomial)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Convert a Date to MS-DOS time and date fields
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Write a ZIP file to disk
+ * @param {string} filePath - Destination of the archive
+ * @param {Array<{name: string, data: Buffer|string}>} entries - Files to include
+ * @returns {Promise<number>} size of the archive in bytes
+ */
+const writeZip = async (filePath, entries) => {
+  const handle = await fs.promises.open(filePath, 'w');
+  const centralDirectory = [];
+  let offset = 0;
+
+  try {
+    for (const entry of entries) {
+      const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data);
+      const compressed = zlib.deflateRawSync(data);
+      const name = Buffer.from(entry.name, 'utf8');
+      const checksum = crc32(data);
+      const { time, date } = toDosDateTime(entry.date || new Date());
+
+      const localHeader = Buffer.alloc(30);
+      localHeader.writeUInt32LE(0x04034b50, 0);
+      localHeader.writeUInt16LE(20, 4); // version needed
+      localHeader.writeUInt16LE(0x0800, 6); // UTF-8 names
+      localHeader.writeUInt16LE(8, 8); // deflate
+      localHeader.writeUInt16LE(time, 10);
+      localHeader.writeUInt16LE(date, 12);
+      localHeader.writeUInt32LE(checksum, 14);
+      localHeader.writeUInt32LE(compressed.length, 18);
+      localHeader.writeUInt32LE(data.length, 22);
+      localHeader.writeUInt16LE(name.length, 26);
+      localHeader.writeUInt16LE(0, 28);
+
+      await handle.write(Buffer.concat([localHeader, name, compressed]));
+
+      const centralHeader = Buffer.alloc(46);
+      centralHeader.writeUInt32LE(0x02014b50, 0);
+      centralHeader.writeUInt16LE(20, 4); // version made by
+      centralHeader.writeUInt16LE(20, 6); // version needed
+      centralHeader.writeUInt16LE(0x0800, 8);
+      centralHeader.writeUInt16LE(8, 10);
+      centralHeader.writeUInt16LE(time, 12);
+      centralHeader.writeUInt16LE(date, 14);
+      centralHeader.writeUInt32LE(checksum, 16);
+      centralHeader.writeUInt32LE(compressed.length, 20);
+      centralHeader.writeUInt32LE(data.length, 24);
+      centralHeader.writeUInt16LE(name.length, 28);
+      centralHeader.writeUInt32LE(offset, 42);
+      centralDirectory.push(Buffer.concat([centralHeader, name]));
+
+      offset += localHeader.length + name.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centralDirectory);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    await handle.write(Buffer.concat([directory, end]));
+    return offset + directory.length + end.length;
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = {
+  crc32,
+  writeZip
+};
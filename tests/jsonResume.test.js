@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Profile = require('../src/models/Profile');
+const { getDraftSnapshot } = require('../src/utils/profileVersions');
+const { jsonResumeSchema, importJsonResume, scopesForSections, toJsonResume } = require('../src/utils/jsonResume');
+
+/**
+ * JSON Resume import in merge and replace mode, applied to an unsaved profile
+ * document (nothing touches the database).
+ */
+
+const buildProfile = () => new Profile({
+  userId: new mongoose.Types.ObjectId(),
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  bio: 'Backend developer',
+  location: '',
+  skills: ['Node.js', 'MongoDB'],
+  links: { github: 'https://github.com/jane', linkedin: '', portfolio: '', website: '' },
+  work: [{
+    company: 'Acme',
+    position: 'Developer',
+    description: 'Built APIs',
+    startDate: new Date('2019-03-01'),
+    endDate: new Date('2021-06-01'),
+    isCurrent: false
+  }],
+  education: [{ institution: 'State University', degree: 'BSc', field: 'Computer Science' }],
+  projects: [{ title: 'Portfolio', description: 'This site', links: [], technologies: ['React'] }]
+});
+
+const RESUME = {
+  basics: {
+    name: 'Jane Q. Doe',
+    email: 'jane@example.com',
+    summary: 'Full-stack developer',
+    location: { city: 'Berlin', countryCode: 'DE' },
+    url: 'https://jane.dev',
+    profiles: [
+      { network: 'GitHub', url: 'https://github.com/janedoe' },
+      { network: 'LinkedIn', url: 'https://linkedin.com/in/janedoe' },
+      { network: 'Mastodon', url: 'https://mastodon.social/@jane' }
+    ]
+  },
+  work: [
+    { name: 'Acme', position: 'developer', startDate: '2019-03', endDate: '2021-06', summary: 'Built APIs' },
+    { name: 'Globex', position: 'Lead Developer', startDate: '2021-07', highlights: ['Led a team of five'] },
+    { name: 'Initech', position: 'Intern', summary: 'Wrote reports' }
+  ],
+  education: [
+    { institution: 'state university', studyType: 'BSc', area: 'Computer Science' },
+    { institution: 'Tech Institute', studyType: 'MSc', startDate: '2018', endDate: '2020', courses: ['Databases'] }
+  ],
+  projects: [
+    { name: 'portfolio', description: 'Rebuilt site' },
+    { name: 'CLI Tool', description: 'A command line tool', url: 'https://github.com/janedoe/cli', keywords: ['Go'] }
+  ],
+  skills: [{ name: 'node.js' }, { name: 'Go', keywords: ['Docker'] }]
+};
+
+const validResume = () => {
+  const { error, value } = jsonResumeSchema.validate(RESUME);
+  expect(error).toBeUndefined();
+  return value;
+};
+
+describe('json resume import (merge)', () => {
+  test('fills only empty basics and keeps the live name and bio in place', () => {
+    const profile = buildProfile();
+    const { changes } = importJsonResume(profile, validResume(), { mode: 'merge' });
+
+    expect(changes.basics).toEqual({ updated: ['location'] });
+    expect(getDraftSnapshot(profile)).toMatchObject({ name: 'Jane Doe', bio: 'Backend developer', location: 'Berlin, DE' });
+    // Draft fields are not published by an import
+    expect(profile.location).toBe('');
+  });
+
+  test('adds new entries and skips ones that are already there', () => {
+    const profile = buildProfile();
+    const { changes } = importJsonResume(profile, validResume(), { mode: 'merge' });
+
+    expect(changes.work).toEqual({ added: 1, removed: 0, unchanged: 1 });
+    expect(profile.work.map(entry => entry.company)).toEqual(['Acme', 'Globex']);
+    expect(profile.work[1]).toMatchObject({ isCurrent: true, endDate: null, description: '• Led a team of five' });
+
+    expect(changes.education).toEqual({ added: 1, removed: 0, unchanged: 1 });
+    expect(profile.education.map(entry => entry.institution)).toEqual(['State University', 'Tech Institute']);
+    expect(profile.education[1].description).toBe('Courses: Databases');
+
+    expect(changes.projects).toEqual({ added: 1, removed: 0, unchanged: 1 });
+    expect(getDraftSnapshot(profile).projects.map(project => project.title)).toEqual(['Portfolio', 'CLI Tool']);
+
+    expect(changes.skills).toEqual({ added: 2, removed: 0, unchanged: 1 });
+    expect([...profile.skills]).toEqual(['Node.js', 'MongoDB', 'Go', 'Docker']);
+  });
+
+  test('keeps existing links and adds missing ones', () => {
+    const profile = buildProfile();
+    const { changes } = importJsonResume(profile, validResume(), { mode: 'merge' });
+
+    expect(changes.links).toEqual({ updated: ['linkedin', 'website'] });
+    expect(profile.links.github).toBe('https://github.com/jane');
+    expect(profile.links.linkedin).toBe('https://linkedin.com/in/janedoe');
+    expect(profile.links.website).toBe('https://jane.dev');
+  });
+
+  test('reports entries it cannot import', () => {
+    const profile = buildProfile();
+    const { warnings } = importJsonResume(profile, validResume(), { mode: 'merge' });
+
+    expect(warnings).toEqual([
+      'basics profile "Mastodon" skipped: only GitHub, LinkedIn and Portfolio links with a URL are supported',
+      'work[2] skipped: needs a start date'
+    ]);
+  });
+
+  test('writes unversioned sections live, as their own endpoints do', () => {
+    const profile = buildProfile();
+    importJsonResume(profile, validResume(), { mode: 'merge', sections: ['work', 'education', 'skills', 'links'] });
+
+    // The draft only versions name, bio, location, avatar and projects
+    expect(profile.draft).toBeUndefined();
+    expect(profile.work).toHaveLength(2);
+    expect(profile.education).toHaveLength(2);
+    expect(profile.links.website).toBe('https://jane.dev');
+  });
+
+  test('imports only the chosen sections', () => {
+    const profile = buildProfile();
+    const { changes } = importJsonResume(profile, validResume(), { mode: 'merge', sections: ['skills'] });
+
+    expect(Object.keys(changes)).toEqual(['skills']);
+    expect(profile.work).toHaveLength(1);
+    expect(profile.draft).toBeUndefined();
+  });
+});
+
+describe('json resume import scopes', () => {
+  test('asks for the write scope of each chosen section', () => {
+    expect(scopesForSections(['work'])).toEqual(['work:write']);
+    expect(scopesForSections(['skills', 'links', 'basics'])).toEqual(['profile:write']);
+    expect(scopesForSections(['projects', 'education'])).toEqual(['projects:write', 'profile:write']);
+  });
+});
+
+describe('json resume import (replace)', () => {
+  test('overwrites basics and links with the document', () => {
+    const profile = buildProfile();
+    const { changes } = importJsonResume(profile, validResume(), { mode: 'replace' });
+
+    expect(changes.basics).toEqual({ updated: ['name', 'bio', 'location'] });
+    expect(getDraftSnapshot(profile)).toMatchObject({ name: 'Jane Q. Doe', bio: 'Full-stack developer' });
+    expect(changes.links).toEqual({ updated: ['github', 'linkedin', 'website'] });
+    expect(profile.links.github).toBe('https://github.com/janedoe');
+  });
+
+  test('replaces lists with the importable entries of the document', () => {
+    const profile = buildProfile();
+    const { changes } = importJsonResume(profile, validResume(), { mode: 'replace' });
+
+    expect(changes.work).toEqual({ added: 2, removed: 1, unchanged: 0 });
+    expect(profile.work.map(entry => entry.company)).toEqual(['Acme', 'Globex']);
+    expect(changes.education).toEqual({ added: 2, removed: 1, unchanged: 0 });
+    expect(profile.education.map(entry => entry.institution)).toEqual(['state university', 'Tech Institute']);
+    expect(changes.projects).toEqual({ added: 2, removed: 1, unchanged: 0 });
+    expect(getDraftSnapshot(profile).projects.map(project => project.title)).toEqual(['portfolio', 'CLI Tool']);
+    expect(changes.skills).toEqual({ added: 3, removed: 2, unchanged: 0 });
+    expect([...profile.skills]).toEqual(['node.js', 'Go', 'Docker']);
+  });
+});
+
+describe('json resume export', () => {
+  test('round-trips through an import into an empty profile', () => {
+    const source = buildProfile();
+    const document = toJsonResume(source);
+    const { error, value } = jsonResumeSchema.validate(document);
+    expect(error).toBeUndefined();
+
+    const target = new Profile({ userId: new mongoose.Types.ObjectId(), name: 'New', email: 'jane@example.com' });
+    const { warnings } = importJsonResume(target, value, { mode: 'replace' });
+
+    expect(warnings).toEqual([]);
+    expect(target.work.map(entry => [entry.company, entry.position])).toEqual([['Acme', 'Developer']]);
+    expect(target.education.map(entry => entry.institution)).toEqual(['State University']);
+    expect([...target.skills]).toEqual(['Node.js', 'MongoDB']);
+    expect(target.links.github).toBe('https://github.com/jane');
+    expect(getDraftSnapshot(target)).toMatchObject({ name: 'Jane Doe', bio: 'Backend developer' });
+  });
+});
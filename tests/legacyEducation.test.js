@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const Profile = require('../src/models/Profile');
+const { educationFromString } = require('../src/utils/legacyEducation');
+
+/**
+ * Education strings from before the list of entries, converted by the
+ * migration and when a profile is loaded.
+ */
+
+const hydrate = (education) => Profile.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  education
+});
+
+describe('legacy education strings', () => {
+  test('split "Degree, Institution" on the last comma', () => {
+    expect(educationFromString('BSc, Computer Science, State University')).toEqual([
+      expect.objectContaining({ degree: 'BSc, Computer Science', institution: 'State University' })
+    ]);
+    expect(educationFromString('State University')).toEqual([
+      expect.objectContaining({ degree: '', institution: 'State University' })
+    ]);
+    expect(educationFromString('  ')).toEqual([]);
+  });
+
+  test('load as a single entry that is written back on save', async () => {
+    const profile = hydrate('BSc Computer Science, State University');
+
+    expect(profile.education).toHaveLength(1);
+    expect(profile.education[0]).toMatchObject({ institution: 'State University', degree: 'BSc Computer Science' });
+    expect(profile.isModified('education')).toBe(true);
+    await expect(profile.validate()).resolves.toBeUndefined();
+  });
+
+  test('leave converted profiles untouched', () => {
+    const profile = hydrate([{ institution: 'State University', degree: 'BSc' }]);
+
+    expect(profile.education).toHaveLength(1);
+    expect(profile.isModified('education')).toBe(false);
+  });
+});
@@ -0,0 +1,198 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { createMockOidcProvider } = require('../src/utils/mockOidcProvider');
+
+/**
+ * Provider login from start to callback against the mock OIDC provider over
+ * HTTP. Pending states are kept in memory and account lookup and session
+ * creation are stubbed, so no database is needed.
+ */
+
+const mockStates = [];
+
+jest.mock('../src/models/OAuthState', () => ({
+  OAUTH_STATE_EXPIRES_MINUTES: 10,
+  create: jest.fn(async (fields) => {
+    const state = { ...fields, expiresAt: new Date(Date.now() + 10 * 60 * 1000) };
+    mockStates.push(state);
+    return state;
+  }),
+  findOneAndDelete: jest.fn(async (filter) => {
+    const index = mockStates.findIndex(state => state.stateHash === filter.stateHash &&
+      state.provider === filter.provider &&
+      state.browserNonceHash === filter.browserNonceHash &&
+      state.expiresAt > filter.expiresAt.$gt);
+    return index === -1 ? null : mockStates.splice(index, 1)[0];
+  })
+}));
+
+jest.mock('../src/utils/oauth/accounts', () => ({
+  findOrCreateUser: jest.fn(async (provider, profile) => ({
+    user: { _id: 'user-1', email: profile.email },
+    created: false,
+    linked: false
+  })),
+  linkIdentity: jest.fn()
+}));
+
+jest.mock('../src/utils/login', () => ({
+  assertAccountActive: jest.fn(),
+  completeLogin: jest.fn(async (req, user) => ({ message: 'Login successful', data: { user: { email: user.email } } })),
+  countPasswordlessLogins: jest.fn()
+}));
+
+jest.mock('../src/utils/auditLog', () => ({
+  recordSecurityEvent: jest.fn()
+}));
+
+const oauth = require('../src/utils/oauth');
+const createOidcProvider = require('../src/utils/oauth/providers/oidc');
+const createGithubProvider = require('../src/utils/oauth/providers/github');
+const oauthRoutes = require('../src/routes/oauth');
+const { findOrCreateUser } = require('../src/utils/oauth/accounts');
+const { completeLogin } = require('../src/utils/login');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+// Serve an Express app on a free local port; the handler gets the base URL
+const listen = async (createHandler) => {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  server.on('request', createHandler(baseUrl));
+  return { server, baseUrl };
+};
+
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth/oauth', oauthRoutes);
+app.use(errorHandler);
+
+// Start a login and follow the provider redirect back to the frontend
+const startLogin = async () => {
+  const start = await request(app).get('/api/auth/oauth/mock/authorize').expect(200);
+  const cookie = start.headers['set-cookie'][0].split(';')[0];
+
+  const redirect = await fetch(start.body.data.authorizationUrl, { redirect: 'manual' });
+  expect(redirect.status).toBe(302);
+  const location = new URL(redirect.headers.get('location'));
+  expect(`${location.origin}${location.pathname}`).toBe(start.body.data.redirectUri);
+
+  return {
+    cookie,
+    code: location.searchParams.get('code'),
+    state: location.searchParams.get('state')
+  };
+};
+
+describe('oauth login with an OIDC provider', () => {
+  let provider;
+
+  beforeAll(async () => {
+    provider = await listen(issuer => createMockOidcProvider({ issuer }));
+    oauth.resetProviders();
+    oauth.registerProvider(createOidcProvider({
+      name: 'mock',
+      displayName: 'Mock OIDC',
+      issuer: provider.baseUrl,
+      clientId: 'predusk',
+      clientSecret: 'predusk-secret'
+    }));
+  });
+
+  afterAll(async () => {
+    oauth.resetProviders();
+    await close(provider.server);
+  });
+
+  beforeEach(() => {
+    mockStates.length = 0;
+    jest.clearAllMocks();
+  });
+
+  test('signs in with the provider profile from the browser that started', async () => {
+    const { cookie, code, state } = await startLogin();
+
+    const response = await request(app)
+      .post('/api/auth/oauth/mock/callback')
+      .set('Cookie', cookie)
+      .send({ code, state })
+      .expect(200);
+
+    expect(response.body.data.user.email).toBe('oidc.user@example.com');
+    expect(findOrCreateUser.mock.calls[0][1]).toMatchObject({
+      providerUserId: 'mock-user-1',
+      email: 'oidc.user@example.com',
+      emailVerified: true,
+      name: 'OIDC Test User'
+    });
+    expect(completeLogin).toHaveBeenCalledTimes(1);
+    expect(mockStates).toHaveLength(0);
+  });
+
+  test('refuses a callback without the flow cookie', async () => {
+    const { code, state } = await startLogin();
+
+    await request(app)
+      .post('/api/auth/oauth/mock/callback')
+      .send({ code, state })
+      .expect(400);
+    expect(completeLogin).not.toHaveBeenCalled();
+  });
+
+  test('refuses a callback from another browser and keeps both states', async () => {
+    const { code, state } = await startLogin();
+    const other = await startLogin();
+
+    await request(app)
+      .post('/api/auth/oauth/mock/callback')
+      .set('Cookie', other.cookie)
+      .send({ code, state })
+      .expect(400);
+    expect(completeLogin).not.toHaveBeenCalled();
+    expect(mockStates).toHaveLength(2);
+  });
+
+  test('uses a state only once', async () => {
+    const { cookie, code, state } = await startLogin();
+    await request(app).post('/api/auth/oauth/mock/callback').set('Cookie', cookie).send({ code, state }).expect(200);
+
+    await request(app)
+      .post('/api/auth/oauth/mock/callback')
+      .set('Cookie', cookie)
+      .send({ code, state })
+      .expect(400);
+    expect(completeLogin).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('github provider', () => {
+  let github;
+
+  beforeAll(async () => {
+    github = await listen(() => {
+      const mock = express();
+      mock.post('/login/oauth/access_token', (req, res) => res.json({ access_token: 'github-token' }));
+      mock.get('/user', (req, res) => res.json({ id: 42, login: 'jane' }));
+      // What GitHub answers when the token lacks the user:email scope
+      mock.get('/user/emails', (req, res) => res.json({ message: 'Resource not accessible by integration' }));
+      return mock;
+    });
+  });
+
+  afterAll(() => close(github.server));
+
+  test('reports a provider error when the email list is missing', async () => {
+    const provider = createGithubProvider({
+      clientId: 'predusk',
+      clientSecret: 'predusk-secret',
+      baseUrl: github.baseUrl,
+      apiUrl: github.baseUrl
+    });
+
+    await expect(provider.fetchProfile({ code: 'code', codeVerifier: 'verifier', redirectUri: 'http://localhost/callback' }))
+      .rejects.toMatchObject({ statusCode: 502, message: 'GitHub did not return the account email addresses' });
+  });
+});
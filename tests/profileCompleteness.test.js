@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Profile = require('../src/models/Profile');
+const { scoreProfile } = require('../src/utils/profileCompleteness');
+
+/**
+ * Completeness of a full profile for its owner, and of what anyone else may
+ * see of it (the score search uses).
+ */
+
+const buildProfile = (privacy = {}) => new Profile({
+  userId: new mongoose.Types.ObjectId(),
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  bio: 'Backend developer who builds APIs and data pipelines for small teams.',
+  avatar: 'https://example.com/jane.png',
+  location: 'Berlin',
+  skills: ['Node.js', 'MongoDB', 'Go', 'Docker', 'AWS'],
+  links: {
+    github: 'https://github.com/jane',
+    linkedin: 'https://linkedin.com/in/jane',
+    portfolio: 'https://jane.dev',
+    website: 'https://blog.jane.dev'
+  },
+  work: [{ company: 'Acme', position: 'Developer', startDate: new Date('2019-03-01'), isCurrent: true }],
+  education: [{ institution: 'State University', degree: 'BSc', field: 'Computer Science' }],
+  projects: [{
+    title: 'Portfolio',
+    description: 'This site',
+    imageUrl: '/uploads/portfolio.png',
+    links: ['https://github.com/jane/portfolio']
+  }],
+  privacy
+});
+
+describe('profile completeness', () => {
+  test('scores a full profile at 100 for the owner and the public', () => {
+    const profile = buildProfile();
+
+    expect(scoreProfile(profile).score).toBe(100);
+    expect(profile.getPublicCompleteness()).toBe(100);
+  });
+
+  test('leaves private and signed-in-only sections out of the public score', () => {
+    const profile = buildProfile({ work: 'private', education: 'users', location: 'private' });
+
+    expect(scoreProfile(profile).score).toBe(100);
+    expect(profile.getPublicCompleteness()).toBe(75);
+  });
+
+  test('leaves private entries, links and projects out of the public score', () => {
+    const profile = buildProfile({ linkItems: { linkedin: 'private', website: 'users' } });
+    profile.work[0].visibility = 'private';
+    profile.projects[0].isPublic = false;
+
+    // Work 15, half the links 7.5, projects with images and links 20
+    expect(profile.getPublicCompleteness()).toBe(58);
+  });
+});
@@ -0,0 +1,79 @@
+const totp = require('../src/utils/totp');
+
+/**
+ * TOTP codes against the RFC 6238 appendix B test vectors (SHA-1). The RFC
+ * lists 8-digit values; 6-digit codes are their last six digits.
+ */
+
+// The RFC's ASCII secret "12345678901234567890"
+const SECRET = totp.base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('totp codes', () => {
+  test('encodes the RFC secret as base32', () => {
+    expect(SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.base32Decode(SECRET.toLowerCase()).toString('ascii')).toBe('12345678901234567890');
+  });
+
+  test.each(RFC_VECTORS)('generates the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(totp.generateCode(SECRET, seconds * 1000)).toBe(code);
+  });
+
+  test('generates secrets that decode to 160 bits', () => {
+    expect(totp.base32Decode(totp.generateSecret())).toHaveLength(20);
+  });
+});
+
+describe('totp verification', () => {
+  const timestamp = 1111111111 * 1000;
+  const step = Math.floor(1111111111 / 30);
+
+  test('returns the matched step for a current code', () => {
+    expect(totp.verifyCode(SECRET, '050471', { timestamp })).toBe(step);
+    expect(totp.verifyCode(SECRET, '050 471', { timestamp })).toBe(step);
+  });
+
+  test('allows one step of clock drift either side', () => {
+    const previous = totp.generateCode(SECRET, timestamp - 30 * 1000);
+    const next = totp.generateCode(SECRET, timestamp + 30 * 1000);
+    expect(totp.verifyCode(SECRET, previous, { timestamp })).toBe(step - 1);
+    expect(totp.verifyCode(SECRET, next, { timestamp })).toBe(step + 1);
+    expect(totp.verifyCode(SECRET, totp.generateCode(SECRET, timestamp + 60 * 1000), { timestamp })).toBeNull();
+  });
+
+  test('refuses a code from an already used step', () => {
+    expect(totp.verifyCode(SECRET, '050471', { timestamp, lastUsedStep: step })).toBeNull();
+    expect(totp.verifyCode(SECRET, '050471', { timestamp, lastUsedStep: step - 1 })).toBe(step);
+  });
+
+  test('rejects malformed and wrong codes', () => {
+    expect(totp.verifyCode(SECRET, '', { timestamp })).toBeNull();
+    expect(totp.verifyCode(SECRET, '05047', { timestamp })).toBeNull();
+    expect(totp.verifyCode(SECRET, 'abcdef', { timestamp })).toBeNull();
+    expect(totp.verifyCode(SECRET, '123456', { timestamp })).toBeNull();
+  });
+});
+
+describe('totp provisioning', () => {
+  test('builds an otpauth URI for authenticator apps', () => {
+    const uri = new URL(totp.buildProvisioningUri({ secret: SECRET, accountName: 'jane@example.com' }));
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Predusk:jane@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: SECRET,
+      issuer: 'Predusk',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
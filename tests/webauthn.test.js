@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const webauthn = require('../src/utils/webauthn');
+const cbor = require('../src/utils/webauthn/cbor');
+
+/**
+ * Passkey ceremony verification against responses built by a software
+ * authenticator (real keys and signatures, no browser).
+ */
+
+const RP_ID = 'localhost';
+const ORIGIN = 'http://localhost:3000';
+
+// Minimal CBOR encoder for building attestation objects and COSE keys
+const encodeHead = (majorType, length) => {
+  if (length < 24) {
+    return Buffer.from([(majorType << 5) | length]);
+  }
+  if (length < 256) {
+    return Buffer.from([(majorType << 5) | 24, length]);
+  }
+  const head = Buffer.alloc(3);
+  head[0] = (majorType << 5) | 25;
+  head.writeUInt16BE(length, 1);
+  return head;
+};
+
+const encodeCbor = (value) => {
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([encodeHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([encodeHead(3, bytes.length), bytes]);
+  }
+  if (typeof value === 'number') {
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([encodeHead(4, value.length), ...value.map(encodeCbor)]);
+  }
+  if (value instanceof Map) {
+    const parts = [];
+    for (const [key, item] of value) {
+      parts.push(encodeCbor(key), encodeCbor(item));
+    }
+    return Buffer.concat([encodeHead(5, value.size), ...parts]);
+  }
+  throw new Error(`Cannot encode ${typeof value}`);
+};
+
+// Software authenticator holding one credential
+const createAuthenticator = (algorithm = 'ES256') => {
+  const { privateKey, publicKey } = algorithm === 'ES256'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+    : crypto.generateKeyPairSync('ed25519');
+  const jwk = publicKey.export({ format: 'jwk' });
+  const coseKey = algorithm === 'ES256'
+    ? new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.from(jwk.x, 'base64url')], [-3, Buffer.from(jwk.y, 'base64url')]])
+    : new Map([[1, 1], [3, -8], [-1, 6], [-2, Buffer.from(jwk.x, 'base64url')]]);
+
+  return {
+    credentialId: crypto.randomBytes(16),
+    privateKey,
+    coseKey,
+    digest: algorithm === 'ES256' ? 'sha256' : null,
+    signCount: 0
+  };
+};
+
+const buildClientData = ({ type, challenge, origin = ORIGIN }) =>
+  Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+
+const buildAuthData = ({ rpId = RP_ID, flags, signCount, attestedCredential }) => {
+  const header = Buffer.alloc(37);
+  crypto.createHash('sha256').update(rpId).digest().copy(header, 0);
+  header[32] = flags;
+  header.writeUInt32BE(signCount, 33);
+  if (!attestedCredential) {
+    return header;
+  }
+  const idLength = Buffer.alloc(2);
+  idLength.writeUInt16BE(attestedCredential.credentialId.length);
+  return Buffer.concat([
+    header,
+    Buffer.alloc(16), // aaguid
+    idLength,
+    attestedCredential.credentialId,
+    encodeCbor(attestedCredential.coseKey)
+  ]);
+};
+
+const sign = (authenticator, authData, clientDataJSON) => crypto.sign(
+  authenticator.digest,
+  Buffer.concat([authData, crypto.createHash('sha256').update(clientDataJSON).digest()]),
+  authenticator.privateKey
+);
+
+// navigator.credentials.create() response in JSON form
+const createRegistrationResponse = (authenticator, challenge, { fmt = 'none', origin, rpId, flags = 0x45 } = {}) => {
+  const clientDataJSON = buildClientData({ type: 'webauthn.create', challenge, origin });
+  const authData = buildAuthData({ rpId, flags, signCount: authenticator.signCount, attestedCredential: authenticator });
+  const attStmt = fmt === 'packed'
+    ? new Map([['alg', authenticator.coseKey.get(3)], ['sig', sign(authenticator, authData, clientDataJSON)]])
+    : new Map();
+
+  return {
+    id: authenticator.credentialId.toString('base64url'),
+    rawId: authenticator.credentialId.toString('base64url'),
+    type: 'public-key',
+    response: {
+      clientDataJSON: clientDataJSON.toString('base64url'),
+      attestationObject: encodeCbor(new Map([['fmt', fmt], ['attStmt', attStmt], ['authData', authData]])).toString('base64url'),
+      transports: ['internal']
+    }
+  };
+};
+
+// navigator.credentials.get() response in JSON form
+const createAuthenticationResponse = (authenticator, challenge, { origin, flags = 0x05 } = {}) => {
+  authenticator.signCount += 1;
+  const clientDataJSON = buildClientData({ type: 'webauthn.get', challenge, origin });
+  const authData = buildAuthData({ flags, signCount: authenticator.signCount });
+
+  return {
+    id: authenticator.credentialId.toString('base64url'),
+    rawId: authenticator.credentialId.toString('base64url'),
+    type: 'public-key',
+    response: {
+      clientDataJSON: clientDataJSON.toString('base64url'),
+      authenticatorData: authData.toString('base64url'),
+      signature: sign(authenticator, authData, clientDataJSON).toString('base64url')
+    }
+  };
+};
+
+const expected = { expectedOrigins: [ORIGIN], expectedRpId: RP_ID };
+
+// Register a fresh authenticator and return it with its stored credential
+const register = (algorithm) => {
+  const authenticator = createAuthenticator(algorithm);
+  const challenge = webauthn.generateChallenge();
+  const credential = webauthn.verifyRegistrationResponse({
+    response: createRegistrationResponse(authenticator, challenge),
+    expectedChallenge: challenge,
+    ...expected
+  });
+  return { authenticator, credential };
+};
+
+describe('webauthn registration', () => {
+  test('accepts a "none" attestation and returns the stored credential', () => {
+    const authenticator = createAuthenticator();
+    const challenge = webauthn.generateChallenge();
+
+    const credential = webauthn.verifyRegistrationResponse({
+      response: createRegistrationResponse(authenticator, challenge),
+      expectedChallenge: challenge,
+      ...expected
+    });
+
+    expect(credential.credentialId).toBe(authenticator.credentialId.toString('base64url'));
+    expect(credential.algorithm).toBe(webauthn.COSE_ALGORITHMS.ES256);
+    expect(credential.signCount).toBe(0);
+    expect(credential.transports).toEqual(['internal']);
+    expect(credential.userVerified).toBe(true);
+    expect(credential.attestationFormat).toBe('none');
+    expect(crypto.createPublicKey({
+      key: Buffer.from(credential.publicKey, 'base64url'),
+      format: 'der',
+      type: 'spki'
+    }).asymmetricKeyType).toBe('ec');
+  });
+
+  test('accepts a packed self attestation', () => {
+    const authenticator = createAuthenticator();
+    const challenge = webauthn.generateChallenge();
+
+    const credential = webauthn.verifyRegistrationResponse({
+      response: createRegistrationResponse(authenticator, challenge, { fmt: 'packed' }),
+      expectedChallenge: challenge,
+      ...expected
+    });
+
+    expect(credential.attestationFormat).toBe('packed');
+  });
+
+  test('rejects a packed attestation with a bad signature', () => {
+    const authenticator = createAuthenticator();
+    const challenge = webauthn.generateChallenge();
+    const response = createRegistrationResponse(authenticator, challenge, { fmt: 'packed' });
+
+    // Re-sign the attestation with an unrelated key
+    const attestation = cbor.decode(Buffer.from(response.response.attestationObject, 'base64url'));
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    attestation.get('attStmt').set('sig', crypto.sign('sha256', Buffer.from('other data'), privateKey));
+    response.response.attestationObject = encodeCbor(attestation).toString('base64url');
+
+    expect(() => webauthn.verifyRegistrationResponse({ response, expectedChallenge: challenge, ...expected }))
+      .toThrow('Attestation signature is invalid');
+  });
+
+  test('rejects a response for a different challenge', () => {
+    const authenticator = createAuthenticator();
+    const response = createRegistrationResponse(authenticator, webauthn.generateChallenge());
+
+    expect(() => webauthn.verifyRegistrationResponse({
+      response,
+      expectedChallenge: webauthn.generateChallenge(),
+      ...expected
+    })).toThrow('Passkey response does not match the challenge');
+  });
+
+  test('rejects a response from another origin', () => {
+    const authenticator = createAuthenticator();
+    const challenge = webauthn.generateChallenge();
+    const response = createRegistrationResponse(authenticator, challenge, { origin: 'https://evil.example' });
+
+    expect(() => webauthn.verifyRegistrationResponse({ response, expectedChallenge: challenge, ...expected }))
+      .toThrow('Passkey response came from an unexpected origin');
+  });
+
+  test('rejects a credential scoped to another relying party', () => {
+    const authenticator = createAuthenticator();
+    const challenge = webauthn.generateChallenge();
+    const response = createRegistrationResponse(authenticator, challenge, { rpId: 'evil.example' });
+
+    expect(() => webauthn.verifyRegistrationResponse({ response, expectedChallenge: challenge, ...expected }))
+      .toThrow('Passkey was created for a different site');
+  });
+
+  test('requires user verification only when asked to', () => {
+    const authenticator = createAuthenticator();
+    const challenge = webauthn.generateChallenge();
+    const response = createRegistrationResponse(authenticator, challenge, { flags: 0x41 });
+
+    expect(webauthn.verifyRegistrationResponse({ response, expectedChallenge: challenge, ...expected }).userVerified)
+      .toBe(false);
+    expect(() => webauthn.verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge,
+      requireUserVerification: true,
+      ...expected
+    })).toThrow('Passkey response lacks user verification');
+  });
+
+  test('reads the challenge from a response before verification', () => {
+    const challenge = webauthn.generateChallenge();
+    const response = createRegistrationResponse(createAuthenticator(), challenge);
+
+    expect(webauthn.readChallenge(response)).toBe(challenge);
+  });
+});
+
+describe('webauthn authentication', () => {
+  test.each(['ES256', 'EdDSA'])('verifies a %s assertion and returns the new counter', (algorithm) => {
+    const { authenticator, credential } = register(algorithm);
+    const challenge = webauthn.generateChallenge();
+
+    const result = webauthn.verifyAuthenticationResponse({
+      response: createAuthenticationResponse(authenticator, challenge),
+      expectedChallenge: challenge,
+      credential,
+      ...expected
+    });
+
+    expect(result).toEqual({ signCount: 1, userVerified: true, backedUp: false });
+  });
+
+  test('rejects an assertion signed by another key', () => {
+    const { credential } = register();
+    const impostor = createAuthenticator();
+    const challenge = webauthn.generateChallenge();
+
+    expect(() => webauthn.verifyAuthenticationResponse({
+      response: createAuthenticationResponse(impostor, challenge),
+      expectedChallenge: challenge,
+      credential,
+      ...expected
+    })).toThrow('Passkey signature is invalid');
+  });
+
+  test('rejects a registration response replayed as a login', () => {
+    const { authenticator, credential } = register();
+    const challenge = webauthn.generateChallenge();
+    const response = createRegistrationResponse(authenticator, challenge);
+
+    expect(() => webauthn.verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge,
+      credential,
+      ...expected
+    })).toThrow('Passkey response is for the wrong ceremony');
+  });
+
+  test('rejects a signature counter that did not increase', () => {
+    const { authenticator, credential } = register();
+    const challenge = webauthn.generateChallenge();
+    const response = createAuthenticationResponse(authenticator, challenge);
+
+    expect(() => webauthn.verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge,
+      credential: { ...credential, signCount: 5 },
+      ...expected
+    })).toThrow('Passkey signature counter did not increase');
+  });
+
+  test('rejects an assertion without user presence', () => {
+    const { authenticator, credential } = register();
+    const challenge = webauthn.generateChallenge();
+
+    expect(() => webauthn.verifyAuthenticationResponse({
+      response: createAuthenticationResponse(authenticator, challenge, { flags: 0x04 }),
+      expectedChallenge: challenge,
+      credential,
+      ...expected
+    })).toThrow('Passkey response lacks user presence');
+  });
+});
+
+describe('webauthn options', () => {
+  test('builds discoverable registration options for a user', () => {
+    const userId = '64b7f0c2a1b2c3d4e5f60718';
+    const options = webauthn.buildRegistrationOptions({
+      challenge: 'abc',
+      userId,
+      userName: 'user@example.com',
+      displayName: 'User',
+      excludeCredentialIds: ['cred-1']
+    });
+
+    expect(options.rp).toEqual({ id: 'localhost', name: 'Predusk' });
+    expect(Buffer.from(options.user.id, 'base64url').toString('hex')).toBe(userId);
+    expect(options.authenticatorSelection.residentKey).toBe('required');
+    expect(options.excludeCredentials).toEqual([{ type: 'public-key', id: 'cred-1' }]);
+  });
+});
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { crc32, writeZip } = require('../src/utils/zip');
+
+/**
+ * Archives written by the ZIP writer, read back through their central
+ * directory the way an unzip tool does.
+ */
+
+// Read every entry of an archive, checking both headers and the checksum
+const readZip = (archive) => {
+  const endOffset = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  expect(endOffset).toBe(archive.length - 22);
+  const count = archive.readUInt16LE(endOffset + 10);
+  const directorySize = archive.readUInt32LE(endOffset + 12);
+  let position = archive.readUInt32LE(endOffset + 16);
+  expect(position + directorySize).toBe(endOffset);
+
+  const entries = [];
+  for (let index = 0; index < count; index++) {
+    expect(archive.readUInt32LE(position)).toBe(0x02014b50);
+    const checksum = archive.readUInt32LE(position + 16);
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const size = archive.readUInt32LE(position + 24);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const localOffset = archive.readUInt32LE(position + 42);
+    const name = archive.subarray(position + 46, position + 46 + nameLength).toString('utf8');
+    position += 46 + nameLength;
+
+    expect(archive.readUInt32LE(localOffset)).toBe(0x04034b50);
+    expect(archive.readUInt32LE(localOffset + 14)).toBe(checksum);
+    const localNameLength = archive.readUInt16LE(localOffset + 26);
+    const dataStart = localOffset + 30 + localNameLength + archive.readUInt16LE(localOffset + 28);
+    const data = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+
+    expect(data).toHaveLength(size);
+    expect(crc32(data)).toBe(checksum);
+    entries.push({ name, data });
+  }
+  return entries;
+};
+
+describe('zip writer', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'predusk-zip-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  test('computes the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+
+  test('round-trips text, binary and empty files', async () => {
+    const filePath = path.join(dir, 'export.zip');
+    const binary = Buffer.from(Array.from({ length: 4096 }, (_, index) => (index * 31) % 256));
+    const entries = [
+      { name: 'user.json', data: JSON.stringify({ name: 'Jane Doe', skills: ['Node.js'] }, null, 2) },
+      { name: 'images/project-1.png', data: binary },
+      { name: 'empty.txt', data: '' },
+      { name: 'résumé notes.txt', data: 'Überblick – ✓' }
+    ];
+
+    const size = await writeZip(filePath, entries);
+    const archive = await fs.promises.readFile(filePath);
+
+    expect(size).toBe(archive.length);
+    expect(readZip(archive)).toEqual(entries.map(entry => ({
+      name: entry.name,
+      data: Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data)
+    })));
+  });
+
+  test('writes a valid archive without entries', async () => {
+    const filePath = path.join(dir, 'empty.zip');
+    const size = await writeZip(filePath, []);
+    const archive = await fs.promises.readFile(filePath);
+
+    expect(size).toBe(22);
+    expect(readZip(archive)).toEqual([]);
+  });
+});